@@ -3,19 +3,60 @@
  * Contains non-sensitive mappings and configuration
  */
 
-// Available providers with their API endpoints
+// Supported image sizes (for validation)
+const SUPPORTED_SIZES = [
+  '256x256',
+  '512x512',
+  '1024x1024',
+  '1792x1024',
+  '1024x1792',
+  '2048x2048',
+  'hd'
+];
+
+// Defaults when the request (or its API key) doesn't name a model or size
+const DEFAULT_MODEL = 'dalle';
+const DEFAULT_SIZE = '1024x1024';
+
+// Operations a provider can serve (declared per provider in PROVIDERS.capabilities)
+const CAPABILITIES = {
+  GENERATIONS: 'generations',
+  EDITS: 'edits',
+  VARIATIONS: 'variations'
+};
+
+// Model used by each operation when the request (or its API key) doesn't name a capable one
+const CAPABILITY_DEFAULT_MODELS = {
+  [CAPABILITIES.GENERATIONS]: DEFAULT_MODEL,
+  [CAPABILITIES.EDITS]: 'sdxl-beta',
+  [CAPABILITIES.VARIATIONS]: 'magicstudio'
+};
+
+// Upstream provider configuration, read by the adapters in services/providers
+// sizes: sizes the provider accepts, params: optional request params it honors,
+// capabilities: operations it serves (edits take a source image and optional mask,
+// variations a source image and no prompt), advertised by /v1/images/models
 const PROVIDERS = {
   'dalle': {
     endpoint: '/ai-image/dalle',
-    models: ['dalle']
+    models: ['dalle'],
+    sizes: SUPPORTED_SIZES,
+    params: [],
+    capabilities: [CAPABILITIES.GENERATIONS]
   },
   'magicstudio': {
     endpoint: '/ai-image/magicstudio',
-    models: ['magicstudio']
+    models: ['magicstudio'],
+    sizes: SUPPORTED_SIZES,
+    params: [],
+    capabilities: [CAPABILITIES.GENERATIONS, CAPABILITIES.VARIATIONS]
   },
   'sdxl': {
     endpoint: '/ai-image/sdxl-beta',
-    models: ['sdxl-beta']
+    models: ['sdxl-beta'],
+    sizes: SUPPORTED_SIZES,
+    params: ['seed'],
+    capabilities: [CAPABILITIES.GENERATIONS, CAPABILITIES.EDITS, CAPABILITIES.VARIATIONS]
   },
   'flux': {
     endpoint: '/ai-image/flux',
@@ -27,49 +68,13 @@ const PROVIDERS = {
       'flux-1.1-pro',
       'flux-1.1-pro-ultra',
       'flux-1.1-pro-ultra-raw'
-    ]
+    ],
+    sizes: SUPPORTED_SIZES,
+    params: ['size', 'seed'],
+    capabilities: [CAPABILITIES.GENERATIONS, CAPABILITIES.EDITS, CAPABILITIES.VARIATIONS]
   }
 };
 
-// Map from frontend model selection to provider
-const MODEL_PROVIDERS = {
-  'dalle': 'dalle',
-  'magicstudio': 'magicstudio',
-  'sdxl-beta': 'sdxl',
-  'flux': 'flux',
-  'flux-schnell': 'flux',
-  'flux-realism': 'flux',
-  'flux-pro': 'flux',
-  'flux-1.1-pro': 'flux',
-  'flux-1.1-pro-ultra': 'flux',
-  'flux-1.1-pro-ultra-raw': 'flux'
-};
-
-// Map sizes to flux model variants (only needed for flux provider)
-const FLUX_SIZE_MAP = {
-  '256x256': 'flux',
-  '512x512': 'flux-schnell',
-  '1024x1024': 'flux-realism', 
-  '1792x1024': 'flux-pro',
-  '1024x1792': 'flux-1.1-pro',
-  '2048x2048': 'flux-1.1-pro-ultra',
-  'hd': 'flux-1.1-pro-ultra-raw'
-};
-
-// List of all supported models (for validation)
-const SUPPORTED_MODELS = [
-  'dalle',
-  'magicstudio',
-  'sdxl-beta',
-  'flux',
-  'flux-schnell',
-  'flux-realism',
-  'flux-pro',
-  'flux-1.1-pro',
-  'flux-1.1-pro-ultra',
-  'flux-1.1-pro-ultra-raw'
-];
-
 // For OpenAI compatibility
 const OPENAI_MODEL_MAP = {
   'dall-e-3': 'dalle',
@@ -78,17 +83,6 @@ const OPENAI_MODEL_MAP = {
   'stable-diffusion-2': 'flux-1.1-pro-ultra'
 };
 
-// Supported image sizes (for validation)
-const SUPPORTED_SIZES = [
-  '256x256',
-  '512x512',
-  '1024x1024',
-  '1792x1024',
-  '1024x1792',
-  '2048x2048',
-  'hd'
-];
-
 // Supported response formats
 const SUPPORTED_FORMATS = [
   'url',
@@ -101,13 +95,294 @@ const POLL_CONFIG = {
   interval: 10000       // Polling interval in milliseconds (10 seconds)
 };
 
+// Generation configuration
+const GENERATION_CONFIG = {
+  maxConcurrentTasks: 4 // Upstream tasks started in parallel per request (n images)
+};
+
+// Failure classes that can trigger provider failover
+const FAILURE_CLASS = {
+  START: 'start_failed',   // The upstream refused or failed to start the task
+  POLL: 'poll_error',      // The upstream reported the task as failed
+  TIMEOUT: 'timeout'       // The task didn't finish within POLL_CONFIG limits
+};
+
+// Provider failover configuration
+// chains: fallback models (tried in order) per native model, triggers: failure classes that fail over
+const FAILOVER_CONFIG = {
+  chains: {
+    'dalle': ['flux-1.1-pro', 'sdxl-beta'],
+    'magicstudio': ['dalle', 'sdxl-beta'],
+    'sdxl-beta': ['flux', 'dalle']
+  },
+  triggers: [FAILURE_CLASS.START, FAILURE_CLASS.POLL, FAILURE_CLASS.TIMEOUT]
+};
+
+// API key roles (admin keys always carry the admin scope)
+const KEY_ROLES = {
+  STANDARD: 'standard',
+  ADMIN: 'admin'
+};
+
+// API key scopes, checked per route
+const SCOPES = {
+  IMAGES_GENERATE: 'images:generate',
+  IMAGES_READ: 'images:read',
+  USAGE_READ: 'usage:read',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  ADMIN: 'admin'
+};
+
+// Scopes of keys created without an explicit scope list
+const DEFAULT_KEY_SCOPES = [SCOPES.IMAGES_GENERATE, SCOPES.IMAGES_READ, SCOPES.USAGE_READ, SCOPES.WEBHOOKS_MANAGE];
+
+// API key rotation: how long (seconds) a rotated key keeps working
+const KEY_ROTATION_CONFIG = {
+  defaultGracePeriod: 24 * 60 * 60, // 1 day
+  maxGracePeriod: 30 * 24 * 60 * 60 // 30 days
+};
+
+// Per-key rate limiting
+// The daily quota comes from each key's rate_limit; the burst limit applies to every key
+const RATE_LIMIT_CONFIG = {
+  defaultDailyLimit: 100,
+  burstPerMinute: 20,
+  // 'open' lets requests through when the store is unavailable, 'closed' rejects them
+  failMode: 'open'
+};
+
+// Credit costs: each image costs its model's cost times its size multiplier (rounded up, at least 1)
+// OpenAI model names are priced as the native model they map to
+const CREDIT_CONFIG = {
+  defaultModelCost: 1,
+  modelCosts: {
+    'dalle': 2,
+    'magicstudio': 1,
+    'sdxl-beta': 1,
+    'flux': 1,
+    'flux-schnell': 1,
+    'flux-realism': 2,
+    'flux-pro': 3,
+    'flux-1.1-pro': 3,
+    'flux-1.1-pro-ultra': 5,
+    'flux-1.1-pro-ultra-raw': 5
+  },
+  defaultSizeMultiplier: 1,
+  sizeMultipliers: {
+    '256x256': 0.5,
+    '512x512': 0.75,
+    '1024x1024': 1,
+    '1792x1024': 1.5,
+    '1024x1792': 1.5,
+    '2048x2048': 3,
+    'hd': 2
+  }
+};
+
+// Credit ledger entry types
+const CREDIT_ENTRY_TYPES = {
+  CHARGE: 'charge',
+  REFUND: 'refund',
+  TOP_UP: 'top_up',
+  ADJUSTMENT: 'adjustment'
+};
+
+// Usage reporting: date range limits (days) and export formats
+const USAGE_CONFIG = {
+  defaultDays: 30,
+  maxDays: 366,
+  formats: ['json', 'csv']
+};
+
+// Image URLs: 'signed' storage URLs expire after a TTL (seconds), 'proxy' URLs point at
+// GET /v1/images/:id/content and stay valid as long as the image exists
+// maxTtl can be changed with IMAGE_URL_MAX_TTL and the default type with IMAGE_URL_TYPE
+const IMAGE_URL_CONFIG = {
+  types: ['signed', 'proxy'],
+  defaultType: 'signed',
+  defaultTtl: 120, // 2 minutes, for generation responses
+  maxTtl: 7 * 24 * 60 * 60 // 7 days, the longest S3 presigned URLs allow
+};
+
+// Stored image history: page sizes and how long (seconds) a freshly signed image URL stays valid by default
+const IMAGE_HISTORY_CONFIG = {
+  defaultPageSize: 20,
+  maxPageSize: 100,
+  signedUrlTtl: 60 * 60 // 1 hour
+};
+
+// Webhook events sent when a generation finishes
+const WEBHOOK_EVENTS = {
+  GENERATION_SUCCEEDED: 'image.generation.succeeded',
+  GENERATION_FAILED: 'image.generation.failed'
+};
+
+// Webhook delivery statuses
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Webhook delivery: attempt n waits initialDelay * 2^(n-2) (capped at maxDelay) after attempt n-1
+const WEBHOOK_CONFIG = {
+  maxWebhooksPerKey: 10,
+  maxAttempts: 6,
+  initialDelay: 10 * 1000, // 10 seconds
+  maxDelay: 60 * 60 * 1000, // 1 hour
+  timeout: 10 * 1000, // per attempt
+  signatureHeader: 'X-FeatherOps-Signature',
+  // Loopback, private and link-local targets are refused unless WEBHOOK_ALLOW_PRIVATE_TARGETS=true (local development)
+  allowPrivateTargets: false
+};
+
+// Server-Sent Events streaming of generations (stream: true)
+const STREAM_CONFIG = {
+  heartbeatInterval: 15 * 1000 // comment line sent while idle so proxies keep the connection open
+};
+
+// Uploaded source images and masks (multipart image edits and variations)
+const UPLOAD_CONFIG = {
+  maxFileSize: 4 * 1024 * 1024, // 4 MB per file, as in the OpenAI API
+  formats: ['png', 'jpeg', 'webp'], // detected from the file's bytes, not its declared type
+  inputUrlTtl: 15 * 60 // lifetime in seconds of the signed URL the provider fetches the input from
+};
+
+// Post-processing of generated images: resized/cropped to the requested size and re-encoded
+const IMAGE_OUTPUT_CONFIG = {
+  formats: ['png', 'jpeg', 'webp'], // output_format
+  defaultFormat: 'png',
+  defaultCompression: 100 // output_compression (0-100), the quality of jpeg and webp output; png is lossless
+};
+
+// Global prompt moderation policy, extended per key (keys.moderation: blocklist, rules, max_prompt_length, pii_detection)
+// Overridable with MODERATION_BLOCKLIST (comma-separated terms), MODERATION_RULES (JSON array of regular expressions),
+// MODERATION_MAX_PROMPT_LENGTH and MODERATION_PII_DETECTION (true/false)
+const MODERATION_CONFIG = {
+  blocklist: [], // terms matched as whole words, case-insensitive
+  rules: [], // regular expressions, case-insensitive
+  maxPromptLength: 4000,
+  piiDetection: true, // reject prompts containing emails, phone, card or social security numbers
+  maxInputs: 32 // prompts per POST /v1/moderations request
+};
+
+// Reasons a prompt can be flagged for
+const MODERATION_CATEGORIES = {
+  BLOCKLIST: 'blocklist',
+  RULE: 'custom_rule',
+  LENGTH: 'prompt_length',
+  PII: 'pii'
+};
+
+// Opt-in result cache for generations, keyed on normalized prompt, model, size, seed and output settings
+// Keys can disable it, change the TTL or turn it on by default (keys.cache: enabled, ttl, default)
+const CACHE_CONFIG = {
+  defaultTtl: 60 * 60, // seconds a stored image can be served from cache
+  maxTtl: 7 * 24 * 60 * 60, // 7 days
+  header: 'X-Cache' // HIT (served from stored images), SHARED (joined an identical request in flight) or MISS
+};
+
+// Idempotency-Key handling for generation requests (window overridable with IDEMPOTENCY_WINDOW, in seconds)
+const IDEMPOTENCY_CONFIG = {
+  header: 'Idempotency-Key',
+  window: 24 * 60 * 60, // seconds a key's response is replayed for
+  // Seconds a running request's lease on its key lasts; it is renewed every renewInterval seconds
+  // while the request runs, so only a record abandoned by a stopped process is taken over
+  processingTimeout: 2 * 60,
+  renewInterval: 30,
+  maxKeyLength: 255,
+  // Response headers replayed along with the stored body
+  replayedHeaders: ['Location', 'X-Credits-Cost', 'X-Credits-Balance', 'X-Credits-Daily-Remaining', 'X-Credits-Monthly-Remaining', 'X-Cache']
+};
+
+// Prometheus metrics served at /metrics (only when METRICS_TOKEN is set, and then only to that bearer token)
+const METRICS_CONFIG = {
+  prefix: 'featherops_',
+  // Histogram buckets in seconds: API requests and upstream calls range from milliseconds to minutes
+  durationBuckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  pollAttemptBuckets: [1, 2, 3, 5, 10, 20, 30, 45, 60]
+};
+
+// Structured JSON logs: LOG_LEVEL sets the minimum level, LOG_REDACT the comma-separated data
+// kept out of logs (prompts, keys), or none
+const LOGGING_CONFIG = {
+  level: 'info',
+  redact: ['prompts', 'keys'],
+  requestIdHeader: 'X-Request-Id',
+  maxRequestIdLength: 128
+};
+
+// Readiness checks (GET /health/ready); the cache TTL is overridable with READINESS_CACHE_TTL, in seconds
+const HEALTH_CONFIG = {
+  readinessCacheTtl: 5, // seconds a readiness result is reused, so frequent probes don't hammer dependencies
+  checkTimeout: 3000    // milliseconds before a dependency check counts as failed
+};
+
+// What a stored image is: a generated output, or an uploaded source image or mask
+const IMAGE_KINDS = {
+  OUTPUT: 'output',
+  INPUT: 'input',
+  MASK: 'mask'
+};
+
+// Async job statuses
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Job statuses that can still make progress (resumed on restart, cancellable)
+const ACTIVE_JOB_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+// Leases that let several server processes share pending jobs and webhook deliveries: a process
+// works on a row only while it holds the lease, and takes over rows whose lease expired when it sweeps
+const LEASE_CONFIG = {
+  duration: 60 * 1000,      // milliseconds a lease lasts without renewal
+  renewInterval: 20 * 1000, // how often a running job renews its lease
+  sweepInterval: 30 * 1000  // how often each process looks for work with an expired lease
+};
+
 module.exports = {
+  SUPPORTED_SIZES,
+  DEFAULT_MODEL,
+  DEFAULT_SIZE,
+  CAPABILITIES,
+  CAPABILITY_DEFAULT_MODELS,
   PROVIDERS,
-  MODEL_PROVIDERS,
-  FLUX_SIZE_MAP,
-  SUPPORTED_MODELS,
   OPENAI_MODEL_MAP,
-  SUPPORTED_SIZES,
   SUPPORTED_FORMATS,
-  POLL_CONFIG
+  POLL_CONFIG,
+  GENERATION_CONFIG,
+  FAILURE_CLASS,
+  FAILOVER_CONFIG,
+  KEY_ROLES,
+  SCOPES,
+  DEFAULT_KEY_SCOPES,
+  KEY_ROTATION_CONFIG,
+  RATE_LIMIT_CONFIG,
+  CREDIT_CONFIG,
+  CREDIT_ENTRY_TYPES,
+  USAGE_CONFIG,
+  IMAGE_URL_CONFIG,
+  IMAGE_HISTORY_CONFIG,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  WEBHOOK_CONFIG,
+  STREAM_CONFIG,
+  UPLOAD_CONFIG,
+  IMAGE_OUTPUT_CONFIG,
+  MODERATION_CONFIG,
+  MODERATION_CATEGORIES,
+  CACHE_CONFIG,
+  IDEMPOTENCY_CONFIG,
+  METRICS_CONFIG,
+  LOGGING_CONFIG,
+  HEALTH_CONFIG,
+  IMAGE_KINDS,
+  JOB_STATUS,
+  ACTIVE_JOB_STATUSES,
+  LEASE_CONFIG
 }; 
\ No newline at end of file
@@ -6,9 +6,9 @@ const supabaseUrl = process.env.DB_URL;
 const supabaseKey = process.env.DB_KEY;
 
 // Check if environment variables are set
+// (this module is only loaded when DB_DRIVER or STORAGE_DRIVER is supabase)
 if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing Supabase configuration. Please check your environment variables.');
-  process.exit(1);
+  throw new Error('Missing Supabase configuration. Set DB_URL and DB_KEY, or use DB_DRIVER=memory to run offline.');
 }
 
 // Create a single Supabase client for interacting with your database
@@ -1,12 +1,8 @@
 require('dotenv').config();
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { createClient } = require('@supabase/supabase-js');
-
-// Initialize Supabase client
-const supabaseUrl = process.env.DB_URL;
-const supabaseKey = process.env.DB_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
+const { keys } = require('./repositories');
+const { KEY_ROLES } = require('./config/constants');
 
 // Parameters
 const keyType = process.argv[2] || 'standard'; // Can be 'standard' or 'admin'
@@ -17,6 +13,11 @@ const ownerEmail = process.argv[5] || 'test@example.com'; // Email of the key ow
 // Generate a new API key
 const generateKey = async () => {
   try {
+    if (!Object.values(KEY_ROLES).includes(keyType)) {
+      console.error(`Invalid key type "${keyType}". Must be one of: ${Object.values(KEY_ROLES).join(', ')}`);
+      return;
+    }
+
     // Generate a key in the correct format
     const keyId = uuidv4().substring(0, 8);
     const apiKey = `feather-ops-apikey-${keyId}`;
@@ -30,47 +31,28 @@ const generateKey = async () => {
     // Generate a UUID for the record
     const recordId = uuidv4();
 
-    // Store in Supabase
-    const { data, error } = await supabase
-      .from('keys')
-      .insert([
-        {
-          id: recordId,
-          key_hash: keyHash,
-          owner_email: ownerEmail,
-          rate_limit: rateLimit,
-          usage_count: 0,
-          created_at: new Date().toISOString(),
-          revoked: false
-        }
-      ])
-      .select();
-
-    if (error) {
+    // Store in the database
+    try {
+      await keys.create({
+        id: recordId,
+        key_hash: keyHash,
+        owner_email: ownerEmail,
+        role: keyType,
+        rate_limit: rateLimit,
+        usage_count: 0,
+        created_at: new Date().toISOString(),
+        revoked: false
+      });
+    } catch (error) {
       console.error('Error storing key:', error);
       return;
     }
 
-    // Also create rate_limits entry like in create-test-key.js
-    const { error: rateLimitError } = await supabase
-      .from('rate_limits')
-      .upsert({
-        key_id: recordId,
-        requests_count: 0,
-        last_reset: new Date().toISOString(),
-        max_requests: rateLimit
-      });
-
-    if (rateLimitError) {
-      console.error('Error creating rate limit entry:', rateLimitError);
-    } else {
-      console.log('✅ Rate limit entry created successfully!');
-    }
-
     console.log('=== NEW API KEY GENERATED ===');
     console.log(`API Key: ${apiKey}`);
     console.log(`Key ID: ${recordId}`);
     console.log(`Owner: ${ownerEmail}`);
+    console.log(`Role: ${keyType}`);
     console.log(`Rate Limit: ${rateLimit} requests per day`);
     console.log('=============================');
     console.log('IMPORTANT: Store this key safely. It will not be displayed again.');
@@ -1,5 +1,9 @@
 const crypto = require('crypto');
-const supabase = require('../config/db');
+const { keys } = require('../repositories');
+const { KEY_ROLES, SCOPES } = require('../config/constants');
+const { resolveScopes } = require('../utils/keyPolicy');
+const { formatErrorResponse } = require('../utils/responseFormat');
+const { logger, setLogContext } = require('../utils/logger');
 
 /**
  * Middleware to validate API keys
@@ -11,14 +15,7 @@ const authenticateApiKey = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        error: {
-          message: 'Invalid API key provided',
-          type: 'invalid_request_error',
-          param: 'authorization',
-          code: 'invalid_api_key'
-        }
-      });
+      return res.status(401).json(formatErrorResponse('Invalid API key provided', 'invalid_request_error', 'authorization', 'invalid_api_key'));
     }
     
     // Extract the API key from the header
@@ -26,14 +23,7 @@ const authenticateApiKey = async (req, res, next) => {
     
     // Validate key format (should start with feather-ops-apikey-)
     if (!apiKey.startsWith('feather-ops-apikey-')) {
-      return res.status(401).json({
-        error: {
-          message: 'Invalid API key format',
-          type: 'invalid_request_error',
-          param: 'authorization',
-          code: 'invalid_api_key_format'
-        }
-      });
+      return res.status(401).json(formatErrorResponse('Invalid API key format', 'invalid_request_error', 'authorization', 'invalid_api_key_format'));
     }
     
     // Hash the API key for secure comparison
@@ -43,60 +33,77 @@ const authenticateApiKey = async (req, res, next) => {
       .digest('hex');
     
     // Check if API key exists in database
-    const { data, error } = await supabase
-      .from('keys')
-      .select('id, rate_limit, revoked')
-      .eq('key_hash', keyHash)
-      .single();
+    const data = await keys.findByHash(keyHash);
     
-    if (error || !data) {
-      return res.status(401).json({
-        error: {
-          message: 'Invalid API key',
-          type: 'invalid_request_error',
-          param: 'authorization',
-          code: 'invalid_api_key'
-        }
-      });
+    if (!data) {
+      return res.status(401).json(formatErrorResponse('Invalid API key', 'invalid_request_error', 'authorization', 'invalid_api_key'));
     }
     
     // Check if the key has been revoked
     if (data.revoked) {
-      return res.status(401).json({
-        error: {
-          message: 'API key has been revoked',
-          type: 'invalid_request_error',
-          param: 'authorization',
-          code: 'revoked_api_key'
-        }
-      });
+      return res.status(401).json(formatErrorResponse('API key has been revoked', 'invalid_request_error', 'authorization', 'revoked_api_key'));
+    }
+    
+    // Check if the key has expired (e.g. the grace period after a rotation ended)
+    if (data.expires_at && new Date(data.expires_at) <= new Date()) {
+      return res.status(401).json(formatErrorResponse('API key has expired', 'invalid_request_error', 'authorization', 'expired_api_key'));
     }
     
     // Add key data to request object for later use
     req.apiKey = {
       id: data.id,
-      rateLimit: data.rate_limit
+      role: data.role || KEY_ROLES.STANDARD,
+      rateLimit: data.rate_limit,
+      scopes: resolveScopes(data),
+      allowedModels: data.allowed_models || null,
+      deniedModels: data.denied_models || null,
+      allowedSizes: data.allowed_sizes || null,
+      deniedSizes: data.denied_sizes || null,
+      defaultModel: data.default_model || null,
+      moderation: data.moderation || null,
+      cache: data.cache || null
     };
     
+    // Every log line of the request names the key from here on
+    setLogContext({ key_id: data.id });
+    
     // Record API key usage
-    await supabase
-      .from('keys')
-      .update({ usage_count: data.usage_count + 1 })
-      .eq('id', data.id);
+    await keys.recordUsage(data.id, req.ip);
     
     next();
   } catch (error) {
-    console.error('API Key authentication error:', error);
+    logger.error('API key authentication error', { error });
+    
+    return res.status(500).json(formatErrorResponse('Authentication service error', 'server_error', null, 'authentication_error'));
+  }
+};
+
+/**
+ * Creates a middleware restricting a route to keys with the given scope
+ * Must run after authenticateApiKey
+ * @param {string} scope - Required scope (see SCOPES)
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || !req.apiKey.scopes.includes(scope)) {
+    const message = scope === SCOPES.ADMIN
+      ? 'This endpoint requires an admin API key'
+      : `This API key is missing the required scope: ${scope}`;
     
-    return res.status(500).json({
-      error: {
-        message: 'Authentication service error',
-        type: 'server_error',
-        param: null,
-        code: 'authentication_error'
-      }
-    });
+    return res.status(403).json(formatErrorResponse(
+      message,
+      'permission_error',
+      'authorization',
+      scope === SCOPES.ADMIN ? 'admin_required' : 'insufficient_scope'
+    ));
   }
+  
+  next();
 };
 
-module.exports = { authenticateApiKey }; 
\ No newline at end of file
+/**
+ * Middleware restricting a route to admin keys
+ * Must run after authenticateApiKey
+ */
+const requireAdmin = requireScope(SCOPES.ADMIN);
+
+module.exports = { authenticateApiKey, requireScope, requireAdmin }; 
\ No newline at end of file
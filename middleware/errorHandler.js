@@ -1,3 +1,6 @@
+const { formatErrorResponse } = require('../utils/responseFormat');
+const { logger } = require('../utils/logger');
+
 /**
  * Custom error class for API errors
  */
@@ -18,8 +21,6 @@ class ApiError extends Error {
  * Formats errors like OpenAI API for consistency
  */
 const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err);
-  
   // Determine if this is a known API error or an unexpected error
   const statusCode = err.statusCode || 500;
   const errorType = err.type || 'server_error';
@@ -27,15 +28,15 @@ const errorHandler = (err, req, res, next) => {
   const errorCode = err.code || null;
   const message = err.message || 'An unexpected error occurred';
   
+  // Client errors are expected, only server errors need a stack trace
+  if (statusCode >= 500) {
+    logger.error('Request failed', { error: err });
+  } else {
+    logger.warn('Request rejected', { status: statusCode, type: errorType, code: errorCode, error_message: message });
+  }
+  
   // Format the error response like OpenAI
-  res.status(statusCode).json({
-    error: {
-      message,
-      type: errorType,
-      param: errorParam,
-      code: errorCode
-    }
-  });
+  res.status(statusCode).json(formatErrorResponse(message, errorType, errorParam, errorCode));
 };
 
 /**
@@ -0,0 +1,93 @@
+const { ApiError } = require('./errorHandler');
+const { logger } = require('../utils/logger');
+const {
+  parseIdempotencyKey,
+  beginRequest,
+  completeRequest,
+  releaseRequest
+} = require('../services/idempotencyService');
+const { IDEMPOTENCY_CONFIG } = require('../config/constants');
+
+/**
+ * Pick the response headers that are replayed with a stored response
+ * @param {Object} res - Express response
+ * @returns {Object} - Header values by name
+ */
+const getReplayedHeaders = (res) => IDEMPOTENCY_CONFIG.replayedHeaders.reduce((headers, name) => {
+  const value = res.get(name);
+  return value === undefined ? headers : { ...headers, [name]: value };
+}, {});
+
+/**
+ * Middleware honoring the Idempotency-Key header, per API key
+ * The first request with a key runs and its successful JSON response is stored; retries within the
+ * window get that response back (marked Idempotent-Replayed) instead of running again.
+ * Failed requests are forgotten, so they can be retried with the same key.
+ * Must run after authentication
+ * @returns {Function} - Express middleware
+ */
+const idempotency = () => {
+  return async (req, res, next) => {
+    const value = req.get(IDEMPOTENCY_CONFIG.header);
+    if (value === undefined) {
+      return next();
+    }
+    
+    const keyId = req.apiKey.id;
+    let idempotencyKey;
+    let owner;
+    
+    try {
+      idempotencyKey = parseIdempotencyKey(value);
+      
+      // A stream can't be stored and replayed
+      if (req.body.stream === true || req.body.stream === 'true') {
+        throw new ApiError(
+          `${IDEMPOTENCY_CONFIG.header} is not supported with stream`,
+          400,
+          'invalid_request_error',
+          'stream',
+          'param_invalid'
+        );
+      }
+      
+      const claim = await beginRequest(keyId, idempotencyKey, req.body);
+      const { replay } = claim;
+      if (replay) {
+        res.set(replay.headers);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(replay.status).json(replay.body);
+      }
+      
+      owner = claim.owner;
+    } catch (error) {
+      if (error.retryAfter) {
+        res.setHeader('Retry-After', error.retryAfter);
+      }
+      return next(error);
+    }
+    
+    // Record the outcome when the response is sent. A client that disconnects doesn't stop the request,
+    // so its retry attaches to the running request rather than starting another one
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      
+      const outcome = res.statusCode < 400
+        ? completeRequest(keyId, idempotencyKey, owner, { status: res.statusCode, headers: getReplayedHeaders(res), body })
+        : releaseRequest(keyId, idempotencyKey, owner);
+      
+      outcome.catch(error => {
+        logger.error('Error recording idempotent request', { error });
+      });
+      
+      return json(body);
+    };
+    
+    next();
+  };
+};
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errorHandler');
+const { httpRequests, httpRequestDuration } = require('../services/metrics');
+
+/**
+ * Remember where the router handling a request is mounted
+ * Express resets req.baseUrl when an error leaves a router, so it is captured when the route is matched
+ * @param {Object} req - Express request
+ * @returns {Function} - Returns the matched route pattern (e.g. /v1/images/:id), or null when none matched
+ */
+const captureRoute = (req) => {
+  let route;
+  let mountPath = '';
+  
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      mountPath = req.baseUrl;
+    }
+  });
+  
+  return () => {
+    if (!route) {
+      return null;
+    }
+    
+    // A router's root route is labeled with the mount path alone (/v1/usage, not /v1/usage/)
+    return route.path === '/' && mountPath ? mountPath : `${mountPath}${route.path}`;
+  };
+};
+
+/**
+ * Middleware to count and time every request for /metrics
+ * Requests are labeled with the route pattern rather than the URL, so IDs don't create new series;
+ * routes that serve a model set res.locals.model once it is validated
+ */
+const trackRequests = (req, res, next) => {
+  const getRoute = captureRoute(req);
+  const end = httpRequestDuration.startTimer();
+  
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: getRoute() || 'unmatched',
+      model: res.locals.model || 'none',
+      status: String(res.statusCode)
+    };
+    
+    end(labels);
+    httpRequests.inc(labels);
+  });
+  
+  next();
+};
+
+/**
+ * Middleware to protect /metrics
+ * The endpoint only exists when METRICS_TOKEN is set, and expects it as a bearer token
+ */
+const authenticateMetrics = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    return next(new ApiError('Metrics are disabled', 404, 'invalid_request_error', null, 'metrics_disabled'));
+  }
+  
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  
+  // Hashing first gives equal lengths for the constant-time comparison
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(provided), digest(token))) {
+    return next(new ApiError('Invalid metrics token', 401, 'invalid_request_error', 'authorization', 'invalid_metrics_token'));
+  }
+  
+  next();
+};
+
+module.exports = {
+  trackRequests,
+  authenticateMetrics
+};
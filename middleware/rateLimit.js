@@ -1,75 +1,99 @@
 const rateLimit = require('express-rate-limit');
-const supabase = require('../config/db');
+const { getRateLimitStore } = require('../services/rateLimit');
+const { rateLimitRejections } = require('../services/metrics');
+const { formatErrorResponse } = require('../utils/responseFormat');
+const { logger } = require('../utils/logger');
+const { RATE_LIMIT_CONFIG } = require('../config/constants');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Read an integer limit from the environment, falling back to a default
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} - The limit
+ */
+const envLimit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Send a rate limit error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} type - Error type
+ * @param {string} code - Error code
+ */
+const sendError = (res, status, message, type, code) => {
+  res.status(status).json(formatErrorResponse(message, type, null, code));
+};
 
 /**
  * Creates a rate limiter middleware based on the API key's allowed rate limit
+ * Each request counts against a per-minute burst window and the key's daily quota (reset at 00:00 UTC)
+ * Counters are incremented atomically before being checked, so concurrent requests can't overshoot
  */
 const createDynamicRateLimiter = () => {
   return async (req, res, next) => {
+    // Skip if there's no API key (should be caught by auth middleware)
+    if (!req.apiKey || !req.apiKey.id) {
+      return next();
+    }
+    
+    const keyId = req.apiKey.id;
+    const dailyLimit = req.apiKey.rateLimit || envLimit('RATE_LIMIT_DAILY_DEFAULT', RATE_LIMIT_CONFIG.defaultDailyLimit);
+    const burstLimit = envLimit('RATE_LIMIT_BURST', RATE_LIMIT_CONFIG.burstPerMinute);
+    
+    let burst;
+    let daily;
     try {
-      // Skip if there's no API key (should be caught by auth middleware)
-      if (!req.apiKey || !req.apiKey.id) {
-        return next();
-      }
-      
-      const keyId = req.apiKey.id;
-      const now = new Date();
-      const resetTime = new Date();
-      resetTime.setHours(0, 0, 0, 0); // Reset at midnight
-      
-      // Get rate limit data for this key
-      const { data, error } = await supabase
-        .from('rate_limits')
-        .select('*')
-        .eq('key_id', keyId)
-        .single();
-      
-      // If no rate limit entry exists or it's a new day, create/reset it
-      if (error || !data || new Date(data.last_reset) < resetTime) {
-        // Create or reset the rate limit counter
-        await supabase
-          .from('rate_limits')
-          .upsert({
-            key_id: keyId,
-            requests_count: 1,
-            last_reset: now.toISOString(),
-            max_requests: req.apiKey.rateLimit || 100 // Default to 100 if not specified
-          })
-          .eq('key_id', keyId);
-          
-        return next();
-      }
+      const store = getRateLimitStore();
+      [burst, daily] = await Promise.all([
+        burstLimit > 0 ? store.hit(`${keyId}:burst`, MINUTE) : null,
+        store.hit(`${keyId}:daily`, DAY)
+      ]);
+    } catch (error) {
+      logger.error('Rate limiter error', { error });
       
-      // Check if rate limit is exceeded
-      if (data.requests_count >= data.max_requests) {
-        return res.status(429).json({
-          error: {
-            message: 'Rate limit exceeded. Please try again later.',
-            type: 'rate_limit_error',
-            param: null,
-            code: 'rate_limit_exceeded'
-          }
-        });
+      const failMode = process.env.RATE_LIMIT_FAIL_MODE || RATE_LIMIT_CONFIG.failMode;
+      if (failMode === 'closed') {
+        return sendError(res, 503, 'Rate limiting is temporarily unavailable. Please try again later.', 'server_error', 'rate_limit_unavailable');
       }
       
-      // Increment the request count
-      await supabase
-        .from('rate_limits')
-        .update({
-          requests_count: data.requests_count + 1
-        })
-        .eq('key_id', keyId);
-      
-      // Add rate limit headers
-      res.setHeader('X-RateLimit-Limit', data.max_requests);
-      res.setHeader('X-RateLimit-Remaining', data.max_requests - data.requests_count - 1);
-      res.setHeader('X-RateLimit-Reset', resetTime.getTime() / 1000 + 86400); // Reset time in seconds
+      // Fail open: continue to avoid blocking requests
+      return next();
+    }
+    
+    // Daily quota headers are sent on every response, including 429s
+    res.setHeader('X-RateLimit-Limit', dailyLimit);
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, dailyLimit - daily.count));
+    res.setHeader('X-RateLimit-Reset', Math.ceil(daily.resetAt / 1000)); // Reset time in seconds (UTC)
+    
+    if (burst) {
+      res.setHeader('X-RateLimit-Burst-Limit', burstLimit);
+      res.setHeader('X-RateLimit-Burst-Remaining', Math.max(0, burstLimit - burst.count));
+      res.setHeader('X-RateLimit-Burst-Reset', Math.ceil(burst.resetAt / 1000));
+    }
+    
+    // The daily quota takes precedence since its wait is the longer one
+    const exceeded = daily.count > dailyLimit
+      ? { name: 'daily', window: daily, message: `Daily rate limit of ${dailyLimit} requests exceeded.` }
+      : burst && burst.count > burstLimit
+        ? { name: 'burst', window: burst, message: `Burst rate limit of ${burstLimit} requests per minute exceeded.` }
+        : null;
+    
+    if (exceeded) {
+      rateLimitRejections.inc({ window: exceeded.name });
       
-      next();
-    } catch (error) {
-      console.error('Rate limiter error:', error);
-      next(); // Continue even on error to avoid blocking requests
+      const retryAfter = Math.max(1, Math.ceil((exceeded.window.resetAt - Date.now()) / 1000));
+      res.setHeader('Retry-After', retryAfter);
+      return sendError(res, 429, `${exceeded.message} Please retry after ${retryAfter} seconds.`, 'rate_limit_error', 'rate_limit_exceeded');
     }
+    
+    next();
   };
 };
 
@@ -91,4 +115,4 @@ const globalRateLimiter = rateLimit({
   }
 });
 
-module.exports = { createDynamicRateLimiter, globalRateLimiter }; 
\ No newline at end of file
+module.exports = { createDynamicRateLimiter, globalRateLimiter }; 
@@ -0,0 +1,50 @@
+const { AsyncResource } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { logger, runWithLogContext } = require('../utils/logger');
+const { LOGGING_CONFIG } = require('../config/constants');
+
+// Request IDs accepted from clients or proxies; anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]+$/;
+
+/**
+ * Middleware to assign each request an ID and a log context, and log it once it completes
+ * An incoming X-Request-Id (e.g. from a load balancer) is kept so logs correlate across services;
+ * the ID is returned in the X-Request-Id response header and in error bodies
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(LOGGING_CONFIG.requestIdHeader);
+  const requestId = incoming && incoming.length <= LOGGING_CONFIG.maxRequestIdLength && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : uuidv4();
+  
+  req.id = requestId;
+  res.setHeader(LOGGING_CONFIG.requestIdHeader, requestId);
+  
+  const startTime = Date.now();
+  
+  runWithLogContext({ request_id: requestId }, () => {
+    // Access log (query strings are left out, they can hold URL signatures)
+    const fields = () => ({
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      duration_ms: Date.now() - startTime,
+      ip: req.ip,
+      user_agent: req.get('User-Agent') || null
+    });
+    
+    // Bound so the lines get the request's context, including what was added while handling it
+    res.on('finish', AsyncResource.bind(() => logger.info('Request completed', fields())));
+    res.on('close', AsyncResource.bind(() => {
+      if (!res.writableFinished) {
+        logger.warn('Request closed before the response was sent', fields());
+      }
+    }));
+    
+    next();
+  });
+};
+
+module.exports = {
+  assignRequestId
+};
@@ -0,0 +1,81 @@
+const multer = require('multer');
+const { ApiError } = require('./errorHandler');
+const { detectImageFormat } = require('../utils/imageFormat');
+const { UPLOAD_CONFIG } = require('../config/constants');
+
+// Uploads are small and handed straight to storage, so they stay in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_CONFIG.maxFileSize }
+});
+
+// Multer error codes, by the message returned to the client
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: `File is too large. Maximum size is ${UPLOAD_CONFIG.maxFileSize / (1024 * 1024)} MB`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+};
+
+/**
+ * Detect the format of each uploaded file, whatever content type the client declared
+ * @param {Object} [files] - Uploaded files by field name
+ * @returns {ApiError|undefined} - Error for the first file that isn't a supported image
+ */
+const checkFormats = (files = {}) => {
+  for (const [field, [file]] of Object.entries(files)) {
+    file.format = detectImageFormat(file.buffer);
+    
+    if (!UPLOAD_CONFIG.formats.includes(file.format)) {
+      return new ApiError(
+        `Invalid ${field} file. Must be one of: ${UPLOAD_CONFIG.formats.join(', ')}`,
+        400,
+        'invalid_request_error',
+        field,
+        'param_invalid'
+      );
+    }
+  }
+  
+  return undefined;
+};
+
+/**
+ * Middleware to parse a multipart/form-data body with image files
+ * Files land in req.files by field name, text fields in req.body;
+ * each file's format is detected from its bytes (file.format) and must be one of UPLOAD_CONFIG.formats
+ * @param {Array<string>} fields - Accepted file fields (one file each)
+ * @returns {Function} - Express middleware
+ */
+const parseImageUpload = (fields) => {
+  const handler = upload.fields(fields.map(name => ({ name, maxCount: 1 })));
+  
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) {
+        return next(checkFormats(req.files));
+      }
+      
+      if (error instanceof multer.MulterError) {
+        return next(new ApiError(
+          MULTER_ERRORS[error.code] || error.message,
+          400,
+          'invalid_request_error',
+          error.field || null,
+          'param_invalid'
+        ));
+      }
+      
+      // Malformed multipart bodies
+      next(new ApiError(
+        error.message || 'Invalid multipart body',
+        400,
+        'invalid_request_error',
+        null,
+        'invalid_body'
+      ));
+    });
+  };
+};
+
+module.exports = {
+  parseImageUpload
+};
@@ -0,0 +1,70 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+// SQL migrations, applied in filename order
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Apply pending schema migrations to the Postgres database behind Supabase
+ * Requires DATABASE_URL (the Postgres connection string from the Supabase dashboard)
+ */
+const migrate = async () => {
+  if (process.env.DB_DRIVER === 'memory') {
+    console.log('DB_DRIVER is memory, nothing to migrate');
+    return;
+  }
+  
+  if (!process.env.DATABASE_URL) {
+    console.error('Missing DATABASE_URL. Set it to the Postgres connection string of your database.');
+    process.exit(1);
+  }
+  
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+  
+  try {
+    await client.query(`
+      create table if not exists schema_migrations (
+        name text primary key,
+        applied_at timestamptz not null default now()
+      )
+    `);
+    
+    const { rows } = await client.query('select name from schema_migrations');
+    const applied = new Set(rows.map(row => row.name));
+    
+    const pending = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql') && !applied.has(file))
+      .sort();
+    
+    if (pending.length === 0) {
+      console.log('Database schema is up to date');
+      return;
+    }
+    
+    for (const file of pending) {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      
+      // Each migration is applied atomically together with its bookkeeping row
+      await client.query('begin');
+      try {
+        await client.query(sql);
+        await client.query('insert into schema_migrations (name) values ($1)', [file]);
+        await client.query('commit');
+        console.log(`✅ Applied ${file}`);
+      } catch (error) {
+        await client.query('rollback');
+        throw new Error(`Migration ${file} failed: ${error.message}`);
+      }
+    }
+  } finally {
+    await client.end();
+  }
+};
+
+migrate().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
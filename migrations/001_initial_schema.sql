@@ -0,0 +1,68 @@
+-- Initial schema: API keys, rate limits, request logs, stored images and async jobs
+
+create table if not exists keys (
+  id uuid primary key,
+  key_hash text not null unique,
+  owner_email text not null,
+  rate_limit integer not null default 100,
+  usage_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  revoked boolean not null default false
+);
+
+create index if not exists keys_owner_email_idx on keys (owner_email);
+
+create table if not exists rate_limits (
+  key_id uuid primary key references keys (id) on delete cascade,
+  requests_count integer not null default 0,
+  last_reset timestamptz not null default now(),
+  max_requests integer not null default 100
+);
+
+create table if not exists request_logs (
+  id uuid primary key default gen_random_uuid(),
+  key_id uuid references keys (id) on delete set null,
+  endpoint text,
+  prompt text,
+  model text,
+  provider text,
+  fallback_used boolean not null default false,
+  status text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists request_logs_key_created_idx on request_logs (key_id, created_at);
+
+create table if not exists images (
+  id uuid primary key default gen_random_uuid(),
+  key_id uuid references keys (id) on delete cascade,
+  storage_path text not null,
+  storage_driver text not null default 'supabase',
+  prompt text,
+  model text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists images_key_created_idx on images (key_id, created_at);
+
+create table if not exists jobs (
+  id uuid primary key,
+  key_id uuid references keys (id) on delete cascade,
+  status text not null,
+  params jsonb not null,
+  task_refs jsonb not null default '[]'::jsonb,
+  result jsonb,
+  error jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists jobs_status_idx on jobs (status);
+
+-- Atomic usage counter used by the keys repository
+create or replace function increment_key_usage(p_key_id uuid)
+returns void
+language sql
+as $$
+  update keys set usage_count = usage_count + 1 where id = p_key_id;
+$$;
@@ -0,0 +1,5 @@
+-- Key roles: admin keys can use the /v1/admin routes
+
+alter table keys add column if not exists role text not null default 'standard';
+
+alter table keys add constraint keys_role_check check (role in ('standard', 'admin'));
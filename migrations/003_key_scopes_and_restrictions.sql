@@ -0,0 +1,9 @@
+-- Key scopes, per-key model/size allow and deny lists, and a per-key default model
+-- A null list means "no restriction" (or the default scopes for scopes)
+
+alter table keys add column if not exists scopes jsonb;
+alter table keys add column if not exists allowed_models jsonb;
+alter table keys add column if not exists denied_models jsonb;
+alter table keys add column if not exists allowed_sizes jsonb;
+alter table keys add column if not exists denied_sizes jsonb;
+alter table keys add column if not exists default_model text;
@@ -0,0 +1,20 @@
+-- Key expiry (also used for the grace period after a rotation) and last-used tracking
+
+alter table keys add column if not exists expires_at timestamptz;
+alter table keys add column if not exists last_used_at timestamptz;
+alter table keys add column if not exists last_used_ip text;
+alter table keys add column if not exists replaced_by uuid references keys (id) on delete set null;
+
+-- Replaces increment_key_usage: also records when and from where the key was used
+drop function if exists increment_key_usage(uuid);
+
+create or replace function record_key_usage(p_key_id uuid, p_ip text)
+returns void
+language sql
+as $$
+  update keys
+  set usage_count = usage_count + 1,
+      last_used_at = now(),
+      last_used_ip = p_ip
+  where id = p_key_id;
+$$;
@@ -0,0 +1,32 @@
+-- Atomic fixed-window rate limit counters (daily quota and per-minute burst)
+-- Replaces the read-then-write rate_limits table, which is left in place and no longer used;
+-- drop it by hand (drop table rate_limits) once nothing reads it
+
+create table if not exists rate_limit_counters (
+  counter_key text primary key,
+  count integer not null default 0,
+  expires_at timestamptz not null
+);
+
+create index if not exists rate_limit_counters_expires_idx on rate_limit_counters (expires_at);
+
+create or replace function hit_rate_limit(p_counter_key text, p_expires_at timestamptz)
+returns integer
+language plpgsql
+as $$
+declare
+  new_count integer;
+begin
+  insert into rate_limit_counters (counter_key, count, expires_at)
+  values (p_counter_key, 1, p_expires_at)
+  on conflict (counter_key) do update set count = rate_limit_counters.count + 1
+  returning count into new_count;
+
+  -- Occasionally drop expired windows
+  if random() < 0.01 then
+    delete from rate_limit_counters where expires_at < now();
+  end if;
+
+  return new_count;
+end;
+$$;
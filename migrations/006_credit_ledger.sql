@@ -0,0 +1,129 @@
+-- Per-key credit ledger with an optional prepaid balance and daily/monthly budgets
+-- A null credit_balance or budget means that limit isn't enforced
+
+alter table keys add column if not exists credit_balance integer;
+alter table keys add column if not exists daily_credit_budget integer;
+alter table keys add column if not exists monthly_credit_budget integer;
+
+create table if not exists credit_ledger (
+  id uuid primary key default gen_random_uuid(),
+  key_id uuid not null references keys (id) on delete cascade,
+  type text not null check (type in ('charge', 'refund', 'top_up', 'adjustment')),
+  amount integer not null,
+  balance_after integer,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_ledger_key_created_idx on credit_ledger (key_id, created_at);
+
+-- Credits spent on generations since a point in time (charges minus refunds)
+create or replace function credits_spent(p_key_id uuid, p_since timestamptz)
+returns integer
+language sql
+stable
+as $$
+  select coalesce(-sum(amount), 0)::integer
+  from credit_ledger
+  where key_id = p_key_id
+    and type in ('charge', 'refund')
+    and created_at >= p_since;
+$$;
+
+-- Current balance, budgets and spend of a key (null when the key doesn't exist)
+create or replace function credit_summary(p_key_id uuid, p_day_start timestamptz, p_month_start timestamptz)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'balance', credit_balance,
+    'daily_budget', daily_credit_budget,
+    'monthly_budget', monthly_credit_budget,
+    'daily_spent', credits_spent(id, p_day_start),
+    'monthly_spent', credits_spent(id, p_month_start)
+  )
+  from keys
+  where id = p_key_id;
+$$;
+
+-- Charge a generation if the balance and both budgets allow it
+-- The key row is locked so concurrent charges are checked one at a time
+create or replace function charge_credits(
+  p_key_id uuid,
+  p_amount integer,
+  p_day_start timestamptz,
+  p_month_start timestamptz,
+  p_details jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  k keys%rowtype;
+  summary jsonb;
+  rejected text := null;
+  new_balance integer;
+begin
+  select * into k from keys where id = p_key_id for update;
+  if not found then
+    return null;
+  end if;
+
+  summary := credit_summary(p_key_id, p_day_start, p_month_start);
+
+  if k.credit_balance is not null and k.credit_balance < p_amount then
+    rejected := 'balance';
+  elsif k.daily_credit_budget is not null and (summary->>'daily_spent')::integer + p_amount > k.daily_credit_budget then
+    rejected := 'daily';
+  elsif k.monthly_credit_budget is not null and (summary->>'monthly_spent')::integer + p_amount > k.monthly_credit_budget then
+    rejected := 'monthly';
+  end if;
+
+  if rejected is not null then
+    return summary || jsonb_build_object('charged', false, 'rejected', rejected);
+  end if;
+
+  new_balance := k.credit_balance - p_amount;
+  update keys set credit_balance = new_balance where id = p_key_id;
+
+  insert into credit_ledger (key_id, type, amount, balance_after, details)
+  values (p_key_id, 'charge', -p_amount, new_balance, p_details);
+
+  return credit_summary(p_key_id, p_day_start, p_month_start) || jsonb_build_object('charged', true, 'rejected', null);
+end;
+$$;
+
+-- Add (or with a negative amount, remove) credits; refunds leave an unmetered balance unmetered
+-- Returns null when the key doesn't exist
+create or replace function adjust_credits(p_key_id uuid, p_amount integer, p_type text, p_details jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  k keys%rowtype;
+  new_balance integer;
+begin
+  select * into k from keys where id = p_key_id for update;
+  if not found then
+    return null;
+  end if;
+
+  if k.credit_balance is null and p_type = 'refund' then
+    new_balance := null;
+  else
+    new_balance := coalesce(k.credit_balance, 0) + p_amount;
+  end if;
+
+  if new_balance < 0 then
+    return jsonb_build_object('applied', false, 'balance', k.credit_balance);
+  end if;
+
+  update keys set credit_balance = new_balance where id = p_key_id;
+
+  insert into credit_ledger (key_id, type, amount, balance_after, details)
+  values (p_key_id, p_type, p_amount, new_balance, p_details);
+
+  return jsonb_build_object('applied', true, 'balance', new_balance);
+end;
+$$;
@@ -0,0 +1,40 @@
+-- Image counts and credits on request logs and the aggregation behind the usage endpoints
+
+alter table request_logs add column if not exists images_requested integer not null default 0;
+alter table request_logs add column if not exists images_generated integer not null default 0;
+alter table request_logs add column if not exists credits_used integer not null default 0;
+
+create index if not exists request_logs_created_idx on request_logs (created_at);
+
+-- Requests, images and credits per UTC day, key, model and status in [p_from, p_to)
+-- A null p_key_id aggregates every key
+create or replace function usage_summary(p_key_id uuid, p_from timestamptz, p_to timestamptz)
+returns table (
+  day date,
+  key_id uuid,
+  model text,
+  status text,
+  requests bigint,
+  images_requested bigint,
+  images_generated bigint,
+  credits_used bigint
+)
+language sql
+stable
+as $$
+  select
+    (created_at at time zone 'UTC')::date as day,
+    key_id,
+    model,
+    status,
+    count(*) as requests,
+    coalesce(sum(images_requested), 0) as images_requested,
+    coalesce(sum(images_generated), 0) as images_generated,
+    coalesce(sum(credits_used), 0) as credits_used
+  from request_logs
+  where created_at >= p_from
+    and created_at < p_to
+    and (p_key_id is null or key_id = p_key_id)
+  group by 1, 2, 3, 4
+  order by 1, 2, 3, 4;
+$$;
@@ -0,0 +1,32 @@
+-- Webhook endpoints registered per key and the log of every delivery attempt
+
+create table if not exists webhooks (
+  id uuid primary key default gen_random_uuid(),
+  key_id uuid not null references keys (id) on delete cascade,
+  url text not null,
+  secret text not null,
+  events jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhooks_key_idx on webhooks (key_id);
+
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  key_id uuid not null references keys (id) on delete cascade,
+  -- Null for deliveries to a per-request callback_url
+  webhook_id uuid references webhooks (id) on delete set null,
+  url text not null,
+  event text not null,
+  payload jsonb not null,
+  status text not null check (status in ('pending', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  last_status_code integer,
+  last_error text,
+  next_attempt_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_key_created_idx on webhook_deliveries (key_id, created_at);
+create index if not exists webhook_deliveries_status_idx on webhook_deliveries (status);
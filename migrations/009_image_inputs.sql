@@ -0,0 +1,9 @@
+-- Uploaded edit inputs are stored as images next to the outputs generated from them
+
+alter table images add column if not exists kind text not null default 'output'
+  check (kind in ('output', 'input', 'mask'));
+
+-- The uploaded source image an output (or mask) belongs to
+alter table images add column if not exists source_image_id uuid references images (id) on delete set null;
+
+create index if not exists images_key_kind_created_idx on images (key_id, kind, created_at);
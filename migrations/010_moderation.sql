@@ -0,0 +1,18 @@
+-- Per-key prompt moderation policy and the log of every moderation decision
+
+-- { blocklist, rules, max_prompt_length, pii_detection }, merged with the global policy; null uses the global policy only
+alter table keys add column if not exists moderation jsonb;
+
+create table if not exists moderation_logs (
+  id uuid primary key default gen_random_uuid(),
+  key_id uuid references keys (id) on delete set null,
+  -- generations, edits or moderations (the pre-check endpoint)
+  source text not null,
+  flagged boolean not null,
+  categories jsonb not null,
+  -- The prompt with detected PII masked
+  prompt text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_logs_key_created_idx on moderation_logs (key_id, created_at);
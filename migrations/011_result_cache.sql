@@ -0,0 +1,9 @@
+-- Opt-in result cache: generated images remember the request they answer, keys get cache controls
+
+-- Hash of the normalized prompt, model, size, seed and output settings (null for edits and variations)
+alter table images add column if not exists cache_key text;
+
+create index if not exists images_key_cache_idx on images (key_id, cache_key, created_at) where cache_key is not null;
+
+-- { enabled, ttl, default }; null uses the server defaults
+alter table keys add column if not exists cache jsonb;
@@ -0,0 +1,56 @@
+-- Idempotency-Key records: the first request with a key runs, retries get its stored response
+
+create table if not exists idempotency_keys (
+  key_id uuid not null references keys (id) on delete cascade,
+  idempotency_key text not null,
+  -- Hash of the request body, so a reused key with a different body can be rejected
+  request_hash text not null,
+  status text not null check (status in ('processing', 'completed')),
+  response_status integer,
+  response_headers jsonb,
+  response_body jsonb,
+  -- Async generation job created by the request, reported with its current status on replay
+  job_id uuid,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  primary key (key_id, idempotency_key)
+);
+
+create index if not exists idempotency_keys_expires_idx on idempotency_keys (expires_at);
+
+-- Claim an idempotency key for a request, replacing an expired record
+-- Returns the record with claimed = true when this request should run, or the existing record with claimed = false
+create or replace function claim_idempotency_key(
+  p_key_id uuid,
+  p_idempotency_key text,
+  p_request_hash text,
+  p_expires_at timestamptz
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  existing idempotency_keys%rowtype;
+begin
+  delete from idempotency_keys
+  where key_id = p_key_id
+    and idempotency_key = p_idempotency_key
+    and expires_at <= now();
+
+  insert into idempotency_keys (key_id, idempotency_key, request_hash, status, expires_at)
+  values (p_key_id, p_idempotency_key, p_request_hash, 'processing', p_expires_at)
+  on conflict (key_id, idempotency_key) do nothing
+  returning * into existing;
+
+  if found then
+    return to_jsonb(existing) || jsonb_build_object('claimed', true);
+  end if;
+
+  select * into existing
+  from idempotency_keys
+  where key_id = p_key_id
+    and idempotency_key = p_idempotency_key;
+
+  return to_jsonb(existing) || jsonb_build_object('claimed', false);
+end;
+$$;
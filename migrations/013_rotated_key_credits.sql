@@ -0,0 +1,197 @@
+-- Share credits across key rotations
+-- A rotated key keeps working during its grace period, so its charges and refunds go to the end of its
+-- replaced_by chain, and budgets count the spend of every key the current one replaced
+
+-- Credits spent on generations since a point in time by a key and the keys it replaced
+create or replace function credits_spent(p_key_id uuid, p_since timestamptz)
+returns integer
+language sql
+stable
+as $$
+  with recursive chain (id) as (
+    select p_key_id
+    union
+    select keys.id from keys join chain on keys.replaced_by = chain.id
+  )
+  select coalesce(-sum(amount), 0)::integer
+  from credit_ledger
+  where key_id in (select id from chain)
+    and type in ('charge', 'refund')
+    and created_at >= p_since;
+$$;
+
+-- The key that holds a key's credits: the key itself, or its latest replacement
+create or replace function credit_account(p_key_id uuid)
+returns uuid
+language sql
+stable
+as $$
+  with recursive chain (id, replaced_by, depth) as (
+    select id, replaced_by, 0 from keys where id = p_key_id
+    union all
+    select keys.id, keys.replaced_by, chain.depth + 1 from keys join chain on keys.id = chain.replaced_by
+  )
+  select id from chain order by depth desc limit 1;
+$$;
+
+-- Lock and return the key that holds a key's credits
+-- Rows are locked from the old key forwards, the same order rotate_key uses, so a charge that
+-- races a rotation waits for it and then follows the new replaced_by
+create or replace function lock_credit_account(p_key_id uuid)
+returns keys
+language plpgsql
+as $$
+declare
+  k keys%rowtype;
+  current_id uuid := p_key_id;
+begin
+  loop
+    select * into k from keys where id = current_id for update;
+    if not found or k.replaced_by is null then
+      return k;
+    end if;
+    current_id := k.replaced_by;
+  end loop;
+end;
+$$;
+
+create or replace function credit_summary(p_key_id uuid, p_day_start timestamptz, p_month_start timestamptz)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'balance', credit_balance,
+    'daily_budget', daily_credit_budget,
+    'monthly_budget', monthly_credit_budget,
+    'daily_spent', credits_spent(id, p_day_start),
+    'monthly_spent', credits_spent(id, p_month_start)
+  )
+  from keys
+  where id = credit_account(p_key_id);
+$$;
+
+create or replace function charge_credits(
+  p_key_id uuid,
+  p_amount integer,
+  p_day_start timestamptz,
+  p_month_start timestamptz,
+  p_details jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  k keys%rowtype;
+  summary jsonb;
+  rejected text := null;
+  new_balance integer;
+begin
+  k := lock_credit_account(p_key_id);
+  if k.id is null then
+    return null;
+  end if;
+
+  summary := credit_summary(k.id, p_day_start, p_month_start);
+
+  if k.credit_balance is not null and k.credit_balance < p_amount then
+    rejected := 'balance';
+  elsif k.daily_credit_budget is not null and (summary->>'daily_spent')::integer + p_amount > k.daily_credit_budget then
+    rejected := 'daily';
+  elsif k.monthly_credit_budget is not null and (summary->>'monthly_spent')::integer + p_amount > k.monthly_credit_budget then
+    rejected := 'monthly';
+  end if;
+
+  if rejected is not null then
+    return summary || jsonb_build_object('charged', false, 'rejected', rejected);
+  end if;
+
+  new_balance := k.credit_balance - p_amount;
+  update keys set credit_balance = new_balance where id = k.id;
+
+  insert into credit_ledger (key_id, type, amount, balance_after, details)
+  values (k.id, 'charge', -p_amount, new_balance, p_details);
+
+  return credit_summary(k.id, p_day_start, p_month_start) || jsonb_build_object('charged', true, 'rejected', null);
+end;
+$$;
+
+create or replace function adjust_credits(p_key_id uuid, p_amount integer, p_type text, p_details jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  k keys%rowtype;
+  new_balance integer;
+begin
+  k := lock_credit_account(p_key_id);
+  if k.id is null then
+    return null;
+  end if;
+
+  if k.credit_balance is null and p_type = 'refund' then
+    new_balance := null;
+  else
+    new_balance := coalesce(k.credit_balance, 0) + p_amount;
+  end if;
+
+  if new_balance < 0 then
+    return jsonb_build_object('applied', false, 'balance', k.credit_balance);
+  end if;
+
+  update keys set credit_balance = new_balance where id = k.id;
+
+  insert into credit_ledger (key_id, type, amount, balance_after, details)
+  values (k.id, p_type, p_amount, new_balance, p_details);
+
+  return jsonb_build_object('applied', true, 'balance', new_balance);
+end;
+$$;
+
+-- Point a key at its replacement, cut its expiry and move its balance, all in one transaction
+-- Both ledgers get an entry so neither balance changes without one; returns the updated old key,
+-- or null when either key doesn't exist
+create or replace function rotate_key(p_key_id uuid, p_replacement_id uuid, p_expires_at timestamptz)
+returns jsonb
+language plpgsql
+as $$
+declare
+  k keys%rowtype;
+  replacement keys%rowtype;
+  moved integer;
+begin
+  select * into k from keys where id = p_key_id for update;
+  if not found then
+    return null;
+  end if;
+
+  select * into replacement from keys where id = p_replacement_id for update;
+  if not found then
+    return null;
+  end if;
+
+  moved := coalesce(k.credit_balance, 0);
+
+  update keys
+  set expires_at = p_expires_at,
+      replaced_by = p_replacement_id,
+      credit_balance = case when credit_balance is null then null else 0 end
+  where id = p_key_id
+  returning * into k;
+
+  if moved <> 0 then
+    insert into credit_ledger (key_id, type, amount, balance_after, details)
+    values (p_key_id, 'adjustment', -moved, 0, jsonb_build_object('note', 'Transferred to rotated key ' || p_replacement_id));
+
+    update keys
+    set credit_balance = coalesce(credit_balance, 0) + moved
+    where id = p_replacement_id
+    returning * into replacement;
+
+    insert into credit_ledger (key_id, type, amount, balance_after, details)
+    values (p_replacement_id, 'top_up', moved, replacement.credit_balance, jsonb_build_object('note', 'Transferred from rotated key ' || p_key_id));
+  end if;
+
+  return to_jsonb(k);
+end;
+$$;
@@ -0,0 +1,33 @@
+-- Job leases, so several server processes can share the jobs table
+-- A process only runs a job while it holds an unexpired lease, and renews the lease while the job runs;
+-- jobs of a process that stopped are taken over once their lease expires
+
+alter table jobs add column if not exists locked_by text;
+alter table jobs add column if not exists locked_until timestamptz;
+
+-- Take the lease of an active job that has none or whose lease expired
+-- Returns the job, or null when it finished or another process holds it
+create or replace function claim_job(p_job_id uuid, p_owner text, p_lease_ms integer)
+returns jsonb
+language sql
+as $$
+  update jobs
+  set locked_by = p_owner,
+      locked_until = now() + p_lease_ms * interval '1 millisecond'
+  where id = p_job_id
+    and status in ('queued', 'running')
+    and (locked_until is null or locked_until < now())
+  returning to_jsonb(jobs.*);
+$$;
+
+-- Extend a lease the owner still holds; returns the job, or null once another process took it over
+create or replace function renew_job_lease(p_job_id uuid, p_owner text, p_lease_ms integer)
+returns jsonb
+language sql
+as $$
+  update jobs
+  set locked_until = now() + p_lease_ms * interval '1 millisecond'
+  where id = p_job_id
+    and locked_by = p_owner
+  returning to_jsonb(jobs.*);
+$$;
@@ -0,0 +1,23 @@
+-- Webhook delivery leases, so several server processes can share pending deliveries
+-- Every process schedules the pending deliveries it sees, but each attempt is only sent by the
+-- process that claims it; deliveries of a process that stopped are retried by the others
+
+alter table webhook_deliveries add column if not exists locked_by text;
+alter table webhook_deliveries add column if not exists locked_until timestamptz;
+
+-- Claim the next attempt of a pending delivery
+-- Fails when another process holds a live lease or already made the attempt (attempts moved on);
+-- returns the delivery, or null when the claim failed
+create or replace function claim_webhook_delivery(p_delivery_id uuid, p_owner text, p_attempts integer, p_lease_ms integer)
+returns jsonb
+language sql
+as $$
+  update webhook_deliveries
+  set locked_by = p_owner,
+      locked_until = now() + p_lease_ms * interval '1 millisecond'
+  where id = p_delivery_id
+    and status = 'pending'
+    and attempts = p_attempts
+    and (locked_until is null or locked_until < now())
+  returning to_jsonb(webhook_deliveries.*);
+$$;
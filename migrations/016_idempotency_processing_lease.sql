@@ -0,0 +1,45 @@
+-- Processing leases for idempotency records
+-- A record left 'processing' by a process that stopped mid-request would block its key for the whole
+-- replay window; once its lease expires the next request with the key takes it over instead
+
+alter table idempotency_keys add column if not exists locked_until timestamptz;
+
+drop function if exists claim_idempotency_key(uuid, text, text, timestamptz);
+
+-- Claim an idempotency key for a request, replacing an expired record or an abandoned 'processing' one
+-- Returns the record with claimed = true when this request should run, or the existing record with claimed = false
+create or replace function claim_idempotency_key(
+  p_key_id uuid,
+  p_idempotency_key text,
+  p_request_hash text,
+  p_expires_at timestamptz,
+  p_locked_until timestamptz
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  existing idempotency_keys%rowtype;
+begin
+  delete from idempotency_keys
+  where key_id = p_key_id
+    and idempotency_key = p_idempotency_key
+    and (expires_at <= now() or (status = 'processing' and locked_until <= now()));
+
+  insert into idempotency_keys (key_id, idempotency_key, request_hash, status, expires_at, locked_until)
+  values (p_key_id, p_idempotency_key, p_request_hash, 'processing', p_expires_at, p_locked_until)
+  on conflict (key_id, idempotency_key) do nothing
+  returning * into existing;
+
+  if found then
+    return to_jsonb(existing) || jsonb_build_object('claimed', true);
+  end if;
+
+  select * into existing
+  from idempotency_keys
+  where key_id = p_key_id
+    and idempotency_key = p_idempotency_key;
+
+  return to_jsonb(existing) || jsonb_build_object('claimed', false);
+end;
+$$;
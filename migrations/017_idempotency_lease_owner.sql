@@ -0,0 +1,46 @@
+-- Owners for idempotency processing leases
+-- The running request renews its lease and stores or releases the record only while it still owns it,
+-- so a request whose record was taken over can't overwrite or delete the new owner's record
+
+alter table idempotency_keys add column if not exists locked_by text;
+
+drop function if exists claim_idempotency_key(uuid, text, text, timestamptz, timestamptz);
+
+-- Claim an idempotency key for a request, replacing an expired record or an abandoned 'processing' one
+-- Returns the record with claimed = true when this request should run, or the existing record with claimed = false
+create or replace function claim_idempotency_key(
+  p_key_id uuid,
+  p_idempotency_key text,
+  p_request_hash text,
+  p_expires_at timestamptz,
+  p_locked_until timestamptz,
+  p_locked_by text
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  existing idempotency_keys%rowtype;
+begin
+  delete from idempotency_keys
+  where key_id = p_key_id
+    and idempotency_key = p_idempotency_key
+    and (expires_at <= now() or (status = 'processing' and locked_until <= now()));
+
+  insert into idempotency_keys (key_id, idempotency_key, request_hash, status, expires_at, locked_until, locked_by)
+  values (p_key_id, p_idempotency_key, p_request_hash, 'processing', p_expires_at, p_locked_until, p_locked_by)
+  on conflict (key_id, idempotency_key) do nothing
+  returning * into existing;
+
+  if found then
+    return to_jsonb(existing) || jsonb_build_object('claimed', true);
+  end if;
+
+  select * into existing
+  from idempotency_keys
+  where key_id = p_key_id
+    and idempotency_key = p_idempotency_key;
+
+  return to_jsonb(existing) || jsonb_build_object('claimed', false);
+end;
+$$;
@@ -0,0 +1,7 @@
+-- Deliveries keep the id of a deleted webhook
+-- With "on delete set null" a deleted webhook's pending deliveries looked like callback_url deliveries,
+-- and were signed with the key's callback secret and still sent to the deleted webhook's URL
+
+alter table webhook_deliveries drop constraint if exists webhook_deliveries_webhook_id_fkey;
+
+create index if not exists webhook_deliveries_webhook_idx on webhook_deliveries (webhook_id);
@@ -0,0 +1,27 @@
+/**
+ * Database repository layer
+ *
+ * Every table is accessed through a repository (keys, rateLimits, requestLogs, images,
+ * jobs, credits, webhooks, webhookDeliveries, moderationLogs, idempotencyKeys).
+ * rateLimits holds the rate limit counters (rate_limit_counters table) and credits the credit ledger.
+ * Repositories return plain rows (or null when nothing matches) and throw on database errors.
+ * Each backend also exports ping(), which throws when the database can't be reached (readiness checks).
+ *
+ * The backend is chosen with DB_DRIVER:
+ * - supabase (default): Supabase/Postgres, schema in migrations/ (apply with `npm run migrate`)
+ * - memory: in-process tables for offline development and tests, lost on restart
+ */
+
+// Backends are loaded lazily so the Supabase client is only created when used
+const BACKENDS = {
+  supabase: './supabase',
+  memory: './memory'
+};
+
+const name = process.env.DB_DRIVER || 'supabase';
+
+if (!BACKENDS[name]) {
+  throw new Error(`Unknown DB_DRIVER "${name}". Must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+module.exports = require(BACKENDS[name]);
@@ -0,0 +1,139 @@
+const store = require('./store');
+const { CREDIT_ENTRY_TYPES } = require('../../config/constants');
+
+const SPEND_TYPES = [CREDIT_ENTRY_TYPES.CHARGE, CREDIT_ENTRY_TYPES.REFUND];
+
+// A key and every key it replaced, directly or through earlier rotations
+const rotationChain = (keyId) => {
+  const ids = [keyId];
+  for (let i = 0; i < ids.length; i++) {
+    store.findAll('keys', key => key.replaced_by === ids[i]).forEach(key => ids.push(key.id));
+  }
+  return ids;
+};
+
+// The key that holds a key's credits: the key itself, or its latest replacement
+const findAccount = (keyId) => {
+  let key = store.findOne('keys', row => row.id === keyId);
+  while (key && key.replaced_by) {
+    key = store.findOne('keys', row => row.id === key.replaced_by);
+  }
+  return key;
+};
+
+// Credits spent on generations since a point in time (charges minus refunds), across rotations
+const spentSince = (keyId, since) => {
+  const chain = rotationChain(keyId);
+  return store
+    .findAll('credit_ledger', entry => chain.includes(entry.key_id) && SPEND_TYPES.includes(entry.type) && entry.created_at >= since)
+    .reduce((total, entry) => total - entry.amount, 0);
+};
+
+const buildSummary = (key, { dayStart, monthStart }) => ({
+  balance: key.credit_balance ?? null,
+  daily_budget: key.daily_credit_budget ?? null,
+  monthly_budget: key.monthly_credit_budget ?? null,
+  daily_spent: spentSince(key.id, dayStart),
+  monthly_spent: spentSince(key.id, monthStart)
+});
+
+const addEntry = (keyId, type, amount, balance, details) => {
+  store.updateOne('keys', key => key.id === keyId, { credit_balance: balance });
+  store.insert('credit_ledger', {
+    key_id: keyId,
+    type,
+    amount,
+    balance_after: balance,
+    details: details || null,
+    created_at: new Date().toISOString()
+  });
+};
+
+/**
+ * In-memory repository for the credit ledger (credit_ledger table and the keys credit columns)
+ * Each method checks and writes without awaiting in between, so calls can't interleave
+ * Charges and refunds on a rotated key go to its replacement (see migration 013)
+ */
+module.exports = {
+  async summary(keyId, windows) {
+    const key = findAccount(keyId);
+    return key ? buildSummary(key, windows) : null;
+  },
+  
+  async charge(keyId, amount, { dayStart, monthStart, details }) {
+    const key = findAccount(keyId);
+    if (!key) {
+      return null;
+    }
+    
+    const summary = buildSummary(key, { dayStart, monthStart });
+    
+    let rejected = null;
+    if (summary.balance !== null && summary.balance < amount) {
+      rejected = 'balance';
+    } else if (summary.daily_budget !== null && summary.daily_spent + amount > summary.daily_budget) {
+      rejected = 'daily';
+    } else if (summary.monthly_budget !== null && summary.monthly_spent + amount > summary.monthly_budget) {
+      rejected = 'monthly';
+    }
+    
+    if (rejected) {
+      return { ...summary, charged: false, rejected };
+    }
+    
+    const balance = summary.balance === null ? null : summary.balance - amount;
+    addEntry(key.id, CREDIT_ENTRY_TYPES.CHARGE, -amount, balance, details);
+    
+    return { ...buildSummary({ ...key, credit_balance: balance }, { dayStart, monthStart }), charged: true, rejected: null };
+  },
+  
+  async adjust(keyId, amount, type, details) {
+    const key = findAccount(keyId);
+    if (!key) {
+      return null;
+    }
+    
+    const current = key.credit_balance ?? null;
+    
+    // Refunds leave an unmetered balance unmetered
+    const balance = current === null && type === CREDIT_ENTRY_TYPES.REFUND ? null : (current || 0) + amount;
+    
+    if (balance !== null && balance < 0) {
+      return { applied: false, balance: current };
+    }
+    
+    addEntry(key.id, type, amount, balance, details);
+    
+    return { applied: true, balance };
+  },
+  
+  async rotate(keyId, replacementId, expiresAt) {
+    const key = store.findOne('keys', row => row.id === keyId);
+    const replacement = store.findOne('keys', row => row.id === replacementId);
+    if (!key || !replacement) {
+      return null;
+    }
+    
+    const moved = key.credit_balance || 0;
+    const previous = store.updateOne('keys', row => row.id === keyId, {
+      expires_at: expiresAt,
+      replaced_by: replacementId,
+      credit_balance: key.credit_balance === null || key.credit_balance === undefined ? null : 0
+    });
+    
+    if (moved !== 0) {
+      addEntry(keyId, CREDIT_ENTRY_TYPES.ADJUSTMENT, -moved, 0, { note: `Transferred to rotated key ${replacementId}` });
+      addEntry(replacementId, CREDIT_ENTRY_TYPES.TOP_UP, moved, (replacement.credit_balance || 0) + moved, {
+        note: `Transferred from rotated key ${keyId}`
+      });
+    }
+    
+    return previous;
+  },
+  
+  async listEntries(keyId, limit) {
+    return store.findAll('credit_ledger', entry => entry.key_id === keyId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+};
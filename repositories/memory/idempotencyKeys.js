@@ -0,0 +1,44 @@
+const store = require('./store');
+
+// Matches one key's record
+const byKey = (keyId, idempotencyKey) => row => row.key_id === keyId && row.idempotency_key === idempotencyKey;
+
+// Matches one key's record while the given request still owns it
+const byOwner = (keyId, idempotencyKey, owner) => {
+  const match = byKey(keyId, idempotencyKey);
+  return row => match(row) && row.locked_by === owner;
+};
+
+/**
+ * In-memory repository for the idempotency_keys table
+ */
+module.exports = {
+  async claim(record) {
+    const match = byKey(record.key_id, record.idempotency_key);
+    const now = new Date().toISOString();
+    
+    // Expired records, and records left processing by a request that never finished
+    store.removeAll('idempotency_keys', row => match(row) &&
+      (row.expires_at <= now || (row.status === 'processing' && row.locked_until <= now)));
+    
+    const existing = store.findOne('idempotency_keys', match);
+    if (existing) {
+      return { ...existing, claimed: false };
+    }
+    
+    return { ...store.insert('idempotency_keys', { ...record, status: 'processing' }), claimed: true };
+  },
+  
+  async renew(keyId, idempotencyKey, owner, lockedUntil) {
+    const match = byOwner(keyId, idempotencyKey, owner);
+    return store.updateOne('idempotency_keys', row => match(row) && row.status === 'processing', { locked_until: lockedUntil });
+  },
+  
+  async complete(keyId, idempotencyKey, owner, fields) {
+    return store.updateOne('idempotency_keys', byOwner(keyId, idempotencyKey, owner), { ...fields, status: 'completed' });
+  },
+  
+  async release(keyId, idempotencyKey, owner) {
+    store.removeAll('idempotency_keys', byOwner(keyId, idempotencyKey, owner));
+  }
+};
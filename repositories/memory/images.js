@@ -0,0 +1,50 @@
+const store = require('./store');
+
+// Newest first, with the id as tie-breaker so cursor pagination is stable
+const compareNewestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id);
+
+/**
+ * In-memory repository for the images table
+ */
+module.exports = {
+  async create(image) {
+    return store.insert('images', image);
+  },
+  
+  async findForKey(id, keyId) {
+    return store.findOne('images', image => image.id === id && image.key_id === keyId);
+  },
+  
+  async listForKey(keyId, { kind, model, from, to, cursor, limit }) {
+    return store.findAll('images', image =>
+      image.key_id === keyId &&
+      (!kind || image.kind === kind) &&
+      (!model || image.model === model) &&
+      (!from || image.created_at >= from) &&
+      (!to || image.created_at < to) &&
+      (!cursor || compareNewestFirst(cursor, image) < 0)
+    )
+      .sort(compareNewestFirst)
+      .slice(0, limit);
+  },
+  
+  async findCached(keyId, cacheKey, since, limit) {
+    return store.findAll('images', image =>
+      image.key_id === keyId &&
+      image.cache_key === cacheKey &&
+      image.created_at >= since
+    )
+      .sort(compareNewestFirst)
+      .slice(0, limit);
+  },
+  
+  async removeForKey(id, keyId) {
+    const image = store.findOne('images', row => row.id === id && row.key_id === keyId);
+    
+    if (image) {
+      store.removeAll('images', row => row.id === id);
+    }
+    
+    return image;
+  }
+};
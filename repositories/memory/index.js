@@ -0,0 +1,18 @@
+/**
+ * In-memory repositories
+ */
+module.exports = {
+  keys: require('./keys'),
+  rateLimits: require('./rateLimits'),
+  requestLogs: require('./requestLogs'),
+  images: require('./images'),
+  jobs: require('./jobs'),
+  credits: require('./credits'),
+  webhooks: require('./webhooks'),
+  webhookDeliveries: require('./webhookDeliveries'),
+  moderationLogs: require('./moderationLogs'),
+  idempotencyKeys: require('./idempotencyKeys'),
+  reset: require('./store').reset,
+  // In-process tables are always reachable
+  ping: async () => {}
+};
@@ -0,0 +1,42 @@
+const store = require('./store');
+const { ACTIVE_JOB_STATUSES } = require('../../config/constants');
+
+const isActive = (job) => ACTIVE_JOB_STATUSES.includes(job.status);
+
+const leaseExpiry = (leaseMs) => new Date(Date.now() + leaseMs).toISOString();
+
+/**
+ * In-memory repository for the jobs table
+ */
+module.exports = {
+  async create(job) {
+    return store.insert('jobs', job);
+  },
+  
+  async findForKey(id, keyId) {
+    return store.findOne('jobs', job => job.id === id && job.key_id === keyId);
+  },
+  
+  async listActive() {
+    return store.findAll('jobs', isActive);
+  },
+  
+  async updateActive(id, fields) {
+    // Only touches queued/running jobs, so a cancelled job is never overwritten
+    return store.updateOne('jobs', job => job.id === id && isActive(job), fields);
+  },
+  
+  async claim(id, owner, leaseMs) {
+    // Only an active job without a live lease, so a job is never run by two processes at once
+    const now = new Date().toISOString();
+    return store.updateOne(
+      'jobs',
+      job => job.id === id && isActive(job) && (!job.locked_until || job.locked_until < now),
+      { locked_by: owner, locked_until: leaseExpiry(leaseMs) }
+    );
+  },
+  
+  async renewLease(id, owner, leaseMs) {
+    return store.updateOne('jobs', job => job.id === id && job.locked_by === owner, { locked_until: leaseExpiry(leaseMs) });
+  }
+};
@@ -0,0 +1,39 @@
+const store = require('./store');
+
+/**
+ * In-memory repository for the keys table
+ */
+module.exports = {
+  async findByHash(keyHash) {
+    return store.findOne('keys', key => key.key_hash === keyHash);
+  },
+  
+  async findById(id) {
+    return store.findOne('keys', key => key.id === id);
+  },
+  
+  async listByOwner(email) {
+    return store.findAll('keys', key => key.owner_email === email);
+  },
+  
+  async listAll() {
+    return store.findAll('keys')
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  },
+  
+  async create(key) {
+    return store.insert('keys', key);
+  },
+  
+  async update(id, fields) {
+    return store.updateOne('keys', key => key.id === id, fields);
+  },
+  
+  async recordUsage(id, ip) {
+    store.updateOne('keys', key => key.id === id, key => ({
+      usage_count: (key.usage_count || 0) + 1,
+      last_used_at: new Date().toISOString(),
+      last_used_ip: ip || null
+    }));
+  }
+};
@@ -0,0 +1,10 @@
+const store = require('./store');
+
+/**
+ * In-memory repository for the moderation_logs table
+ */
+module.exports = {
+  async create(log) {
+    store.insert('moderation_logs', log);
+  }
+};
@@ -0,0 +1,25 @@
+const store = require('./store');
+
+/**
+ * In-memory repository for the rate_limit_counters table
+ */
+module.exports = {
+  async hit(counterKey, expiresAt) {
+    const now = new Date().toISOString();
+    
+    // Drop expired windows so the table doesn't grow forever
+    store.removeAll('rate_limit_counters', row => row.expires_at < now);
+    
+    const updated = store.updateOne('rate_limit_counters', row => row.counter_key === counterKey, row => ({
+      count: row.count + 1
+    }));
+    
+    const row = updated || store.insert('rate_limit_counters', {
+      counter_key: counterKey,
+      count: 1,
+      expires_at: expiresAt.toISOString()
+    });
+    
+    return row.count;
+  }
+};
@@ -0,0 +1,43 @@
+const store = require('./store');
+
+/**
+ * In-memory repository for the request_logs table
+ */
+module.exports = {
+  async create(log) {
+    store.insert('request_logs', log);
+  },
+  
+  async summarize({ keyId, from, to }) {
+    const groups = new Map();
+    
+    store.findAll('request_logs', log => log.created_at >= from && log.created_at < to && (!keyId || log.key_id === keyId))
+      .forEach(log => {
+        const day = log.created_at.slice(0, 10);
+        const groupKey = [day, log.key_id, log.model, log.status].join('|');
+        
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, {
+            day,
+            key_id: log.key_id,
+            model: log.model,
+            status: log.status,
+            requests: 0,
+            images_requested: 0,
+            images_generated: 0,
+            credits_used: 0
+          });
+        }
+        
+        const group = groups.get(groupKey);
+        group.requests += 1;
+        group.images_requested += log.images_requested || 0;
+        group.images_generated += log.images_generated || 0;
+        group.credits_used += log.credits_used || 0;
+      });
+    
+    return [...groups.values()].sort((a, b) =>
+      `${a.day}|${a.key_id}|${a.model}|${a.status}`.localeCompare(`${b.day}|${b.key_id}|${b.model}|${b.status}`)
+    );
+  }
+};
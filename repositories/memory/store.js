@@ -0,0 +1,92 @@
+const { v4: uuidv4 } = require('uuid');
+
+// In-process tables, keyed by table name
+const tables = new Map();
+
+/**
+ * Get (creating if needed) the rows of a table
+ * @param {string} name - Table name
+ * @returns {Array<Object>} - Rows
+ */
+const getTable = (name) => {
+  if (!tables.has(name)) {
+    tables.set(name, []);
+  }
+  
+  return tables.get(name);
+};
+
+// Rows are copied in and out so callers can't mutate stored state
+const copy = (row) => (row ? structuredClone(row) : null);
+
+/**
+ * Insert a row, assigning an id when missing
+ * @param {string} name - Table name
+ * @param {Object} row - Row to insert
+ * @returns {Object} - The stored row
+ */
+const insert = (name, row) => {
+  const stored = { id: uuidv4(), created_at: new Date().toISOString(), ...copy(row) };
+  getTable(name).push(stored);
+  return copy(stored);
+};
+
+/**
+ * Find the first row matching a predicate
+ * @param {string} name - Table name
+ * @param {Function} predicate - Row filter
+ * @returns {Object|null} - The row
+ */
+const findOne = (name, predicate) => copy(getTable(name).find(predicate));
+
+/**
+ * Find all rows matching a predicate
+ * @param {string} name - Table name
+ * @param {Function} [predicate] - Row filter (all rows when omitted)
+ * @returns {Array<Object>} - The rows
+ */
+const findAll = (name, predicate = () => true) => getTable(name).filter(predicate).map(copy);
+
+/**
+ * Update the first row matching a predicate
+ * @param {string} name - Table name
+ * @param {Function} predicate - Row filter
+ * @param {Object|Function} fields - Columns to set, or a function of the current row returning them
+ * @returns {Object|null} - The updated row
+ */
+const updateOne = (name, predicate, fields) => {
+  const row = getTable(name).find(predicate);
+  if (!row) {
+    return null;
+  }
+  
+  Object.assign(row, copy(typeof fields === 'function' ? fields(row) : fields));
+  return copy(row);
+};
+
+/**
+ * Remove all rows matching a predicate
+ * @param {string} name - Table name
+ * @param {Function} predicate - Row filter
+ * @returns {number} - Number of removed rows
+ */
+const removeAll = (name, predicate) => {
+  const rows = getTable(name);
+  const kept = rows.filter(row => !predicate(row));
+  tables.set(name, kept);
+  return rows.length - kept.length;
+};
+
+/**
+ * Drop all tables (for tests)
+ */
+const reset = () => tables.clear();
+
+module.exports = {
+  insert,
+  findOne,
+  findAll,
+  updateOne,
+  removeAll,
+  reset
+};
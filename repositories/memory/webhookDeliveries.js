@@ -0,0 +1,57 @@
+const store = require('./store');
+const { DELIVERY_STATUS } = require('../../config/constants');
+
+/**
+ * In-memory repository for the webhook_deliveries table
+ */
+module.exports = {
+  async create(delivery) {
+    return store.insert('webhook_deliveries', delivery);
+  },
+  
+  async update(id, fields) {
+    return store.updateOne('webhook_deliveries', delivery => delivery.id === id, fields);
+  },
+  
+  async findForKey(id, keyId) {
+    return store.findOne('webhook_deliveries', delivery => delivery.id === id && delivery.key_id === keyId);
+  },
+  
+  async listForKey(keyId, { webhookId, status, limit }) {
+    return store.findAll('webhook_deliveries', delivery =>
+      delivery.key_id === keyId &&
+      (!webhookId || delivery.webhook_id === webhookId) &&
+      (!status || delivery.status === status)
+    )
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  },
+  
+  async listPending() {
+    return store.findAll('webhook_deliveries', delivery => delivery.status === DELIVERY_STATUS.PENDING);
+  },
+  
+  async failPendingForWebhook(webhookId, fields) {
+    const pending = store.findAll('webhook_deliveries', delivery =>
+      delivery.webhook_id === webhookId && delivery.status === DELIVERY_STATUS.PENDING);
+    
+    return pending.map(delivery => store.updateOne(
+      'webhook_deliveries',
+      row => row.id === delivery.id,
+      { ...fields, status: DELIVERY_STATUS.FAILED }
+    ));
+  },
+  
+  async claim(id, owner, attempts, leaseMs) {
+    // Only a pending delivery still at the expected attempt and without a live lease
+    const now = new Date().toISOString();
+    return store.updateOne(
+      'webhook_deliveries',
+      delivery => delivery.id === id &&
+        delivery.status === DELIVERY_STATUS.PENDING &&
+        delivery.attempts === attempts &&
+        (!delivery.locked_until || delivery.locked_until < now),
+      { locked_by: owner, locked_until: new Date(Date.now() + leaseMs).toISOString() }
+    );
+  }
+};
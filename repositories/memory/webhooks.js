@@ -0,0 +1,25 @@
+const store = require('./store');
+
+/**
+ * In-memory repository for the webhooks table
+ */
+module.exports = {
+  async create(webhook) {
+    return store.insert('webhooks', webhook);
+  },
+  
+  async listForKey(keyId) {
+    return store.findAll('webhooks', webhook => webhook.key_id === keyId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  },
+  
+  async removeForKey(id, keyId) {
+    const webhook = store.findOne('webhooks', row => row.id === id && row.key_id === keyId);
+    
+    if (webhook) {
+      store.removeAll('webhooks', row => row.id === id);
+    }
+    
+    return webhook;
+  }
+};
@@ -0,0 +1,67 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Supabase repository for the credit ledger (credit_ledger table and the keys credit columns)
+ * Balance checks and ledger writes run in database functions so concurrent requests can't overspend
+ */
+module.exports = {
+  async summary(keyId, { dayStart, monthStart }) {
+    return unwrap(
+      await supabase.rpc('credit_summary', {
+        p_key_id: keyId,
+        p_day_start: dayStart,
+        p_month_start: monthStart
+      }),
+      'fetch credit summary'
+    );
+  },
+  
+  async charge(keyId, amount, { dayStart, monthStart, details }) {
+    return unwrap(
+      await supabase.rpc('charge_credits', {
+        p_key_id: keyId,
+        p_amount: amount,
+        p_day_start: dayStart,
+        p_month_start: monthStart,
+        p_details: details || null
+      }),
+      'charge credits'
+    );
+  },
+  
+  async adjust(keyId, amount, type, details) {
+    return unwrap(
+      await supabase.rpc('adjust_credits', {
+        p_key_id: keyId,
+        p_amount: amount,
+        p_type: type,
+        p_details: details || null
+      }),
+      'adjust credits'
+    );
+  },
+  
+  async rotate(keyId, replacementId, expiresAt) {
+    return unwrap(
+      await supabase.rpc('rotate_key', {
+        p_key_id: keyId,
+        p_replacement_id: replacementId,
+        p_expires_at: expiresAt
+      }),
+      'rotate key'
+    );
+  },
+  
+  async listEntries(keyId, limit) {
+    return unwrap(
+      await supabase
+        .from('credit_ledger')
+        .select('*')
+        .eq('key_id', keyId)
+        .order('created_at', { ascending: false })
+        .limit(limit),
+      'list credit entries'
+    );
+  }
+};
@@ -0,0 +1,64 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Supabase repository for the idempotency_keys table
+ * Claiming runs in a database function so two concurrent requests can't both claim a key
+ */
+module.exports = {
+  async claim(record) {
+    return unwrap(
+      await supabase.rpc('claim_idempotency_key', {
+        p_key_id: record.key_id,
+        p_idempotency_key: record.idempotency_key,
+        p_request_hash: record.request_hash,
+        p_expires_at: record.expires_at,
+        p_locked_until: record.locked_until,
+        p_locked_by: record.locked_by
+      }),
+      'claim idempotency key'
+    );
+  },
+  
+  async renew(keyId, idempotencyKey, owner, lockedUntil) {
+    return unwrap(
+      await supabase
+        .from('idempotency_keys')
+        .update({ locked_until: lockedUntil })
+        .eq('key_id', keyId)
+        .eq('idempotency_key', idempotencyKey)
+        .eq('locked_by', owner)
+        .eq('status', 'processing')
+        .select()
+        .maybeSingle(),
+      'renew idempotency key'
+    );
+  },
+  
+  // complete and release only touch the record while the request still owns it
+  async complete(keyId, idempotencyKey, owner, fields) {
+    return unwrap(
+      await supabase
+        .from('idempotency_keys')
+        .update({ ...fields, status: 'completed' })
+        .eq('key_id', keyId)
+        .eq('idempotency_key', idempotencyKey)
+        .eq('locked_by', owner)
+        .select()
+        .maybeSingle(),
+      'complete idempotency key'
+    );
+  },
+  
+  async release(keyId, idempotencyKey, owner) {
+    unwrap(
+      await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('key_id', keyId)
+        .eq('idempotency_key', idempotencyKey)
+        .eq('locked_by', owner),
+      'release idempotency key'
+    );
+  }
+};
@@ -0,0 +1,75 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Supabase repository for the images table
+ */
+module.exports = {
+  async create(image) {
+    return unwrap(
+      await supabase.from('images').insert(image).select().single(),
+      'save image'
+    );
+  },
+  
+  async findForKey(id, keyId) {
+    return unwrap(
+      await supabase.from('images').select('*').eq('id', id).eq('key_id', keyId).maybeSingle(),
+      'find image'
+    );
+  },
+  
+  async listForKey(keyId, { kind, model, from, to, cursor, limit }) {
+    // Newest first; (created_at, id) keeps the order stable for cursor pagination
+    let query = supabase
+      .from('images')
+      .select('*')
+      .eq('key_id', keyId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+    
+    if (kind) {
+      query = query.eq('kind', kind);
+    }
+    
+    if (model) {
+      query = query.eq('model', model);
+    }
+    
+    if (from) {
+      query = query.gte('created_at', from);
+    }
+    
+    if (to) {
+      query = query.lt('created_at', to);
+    }
+    
+    if (cursor) {
+      query = query.or(`created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.lt.${cursor.id})`);
+    }
+    
+    return unwrap(await query, 'list images');
+  },
+  
+  async findCached(keyId, cacheKey, since, limit) {
+    return unwrap(
+      await supabase
+        .from('images')
+        .select('*')
+        .eq('key_id', keyId)
+        .eq('cache_key', cacheKey)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(limit),
+      'find cached images'
+    );
+  },
+  
+  async removeForKey(id, keyId) {
+    return unwrap(
+      await supabase.from('images').delete().eq('id', id).eq('key_id', keyId).select().maybeSingle(),
+      'delete image'
+    );
+  }
+};
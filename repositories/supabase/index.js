@@ -0,0 +1,16 @@
+/**
+ * Supabase/Postgres repositories
+ */
+module.exports = {
+  keys: require('./keys'),
+  rateLimits: require('./rateLimits'),
+  requestLogs: require('./requestLogs'),
+  images: require('./images'),
+  jobs: require('./jobs'),
+  credits: require('./credits'),
+  webhooks: require('./webhooks'),
+  webhookDeliveries: require('./webhookDeliveries'),
+  moderationLogs: require('./moderationLogs'),
+  idempotencyKeys: require('./idempotencyKeys'),
+  ping: require('./ping')
+};
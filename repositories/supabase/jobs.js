@@ -0,0 +1,58 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+const { ACTIVE_JOB_STATUSES } = require('../../config/constants');
+
+/**
+ * Supabase repository for the jobs table
+ */
+module.exports = {
+  async create(job) {
+    return unwrap(
+      await supabase.from('jobs').insert(job).select().single(),
+      'create job'
+    );
+  },
+  
+  async findForKey(id, keyId) {
+    return unwrap(
+      await supabase.from('jobs').select('*').eq('id', id).eq('key_id', keyId).maybeSingle(),
+      'find job'
+    );
+  },
+  
+  async listActive() {
+    return unwrap(
+      await supabase.from('jobs').select('*').in('status', ACTIVE_JOB_STATUSES),
+      'list active jobs'
+    );
+  },
+  
+  async updateActive(id, fields) {
+    // Only touches queued/running jobs, so a cancelled job is never overwritten
+    return unwrap(
+      await supabase
+        .from('jobs')
+        .update(fields)
+        .eq('id', id)
+        .in('status', ACTIVE_JOB_STATUSES)
+        .select()
+        .maybeSingle(),
+      'update job'
+    );
+  },
+  
+  async claim(id, owner, leaseMs) {
+    // Checked and taken in one statement, against the database clock
+    return unwrap(
+      await supabase.rpc('claim_job', { p_job_id: id, p_owner: owner, p_lease_ms: leaseMs }),
+      'claim job'
+    );
+  },
+  
+  async renewLease(id, owner, leaseMs) {
+    return unwrap(
+      await supabase.rpc('renew_job_lease', { p_job_id: id, p_owner: owner, p_lease_ms: leaseMs }),
+      'renew job lease'
+    );
+  }
+};
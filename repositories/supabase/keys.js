@@ -0,0 +1,57 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Supabase repository for the keys table
+ */
+module.exports = {
+  async findByHash(keyHash) {
+    return unwrap(
+      await supabase.from('keys').select('*').eq('key_hash', keyHash).maybeSingle(),
+      'find key'
+    );
+  },
+  
+  async findById(id) {
+    return unwrap(
+      await supabase.from('keys').select('*').eq('id', id).maybeSingle(),
+      'find key'
+    );
+  },
+  
+  async listByOwner(email) {
+    return unwrap(
+      await supabase.from('keys').select('*').eq('owner_email', email),
+      'list keys'
+    );
+  },
+  
+  async listAll() {
+    return unwrap(
+      await supabase.from('keys').select('*').order('created_at', { ascending: false }),
+      'list keys'
+    );
+  },
+  
+  async create(key) {
+    return unwrap(
+      await supabase.from('keys').insert(key).select().single(),
+      'create key'
+    );
+  },
+  
+  async update(id, fields) {
+    return unwrap(
+      await supabase.from('keys').update(fields).eq('id', id).select().maybeSingle(),
+      'update key'
+    );
+  },
+  
+  async recordUsage(id, ip) {
+    // Done in the database so concurrent requests don't lose increments
+    unwrap(
+      await supabase.rpc('record_key_usage', { p_key_id: id, p_ip: ip || null }),
+      'record key usage'
+    );
+  }
+};
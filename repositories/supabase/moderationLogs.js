@@ -0,0 +1,14 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Supabase repository for the moderation_logs table
+ */
+module.exports = {
+  async create(log) {
+    unwrap(
+      await supabase.from('moderation_logs').insert(log),
+      'log moderation decision'
+    );
+  }
+};
@@ -0,0 +1,10 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Check that the database answers, with a head-only query on the keys table
+ * @returns {Promise<void>}
+ */
+module.exports = async () => {
+  unwrap(await supabase.from('keys').select('id', { head: true }).limit(1), 'reach the database');
+};
@@ -0,0 +1,18 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Supabase repository for the rate_limit_counters table
+ */
+module.exports = {
+  async hit(counterKey, expiresAt) {
+    // Increment-and-return runs in a single statement, so concurrent requests can't overshoot
+    return unwrap(
+      await supabase.rpc('hit_rate_limit', {
+        p_counter_key: counterKey,
+        p_expires_at: expiresAt.toISOString()
+      }),
+      'update rate limit counter'
+    );
+  }
+};
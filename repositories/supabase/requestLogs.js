@@ -0,0 +1,26 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Supabase repository for the request_logs table
+ */
+module.exports = {
+  async create(log) {
+    unwrap(
+      await supabase.from('request_logs').insert(log),
+      'log request'
+    );
+  },
+  
+  async summarize({ keyId, from, to }) {
+    // Grouped in the database; see usage_summary in migrations/
+    return unwrap(
+      await supabase.rpc('usage_summary', {
+        p_key_id: keyId || null,
+        p_from: from,
+        p_to: to
+      }),
+      'summarize usage'
+    );
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Unwrap a Supabase response, throwing on error
+ * @param {Object} response - { data, error } returned by the Supabase client
+ * @param {string} action - Description used in the error message
+ * @returns {*} - The response data
+ */
+const unwrap = ({ data, error }, action) => {
+  if (error) {
+    throw new Error(`Failed to ${action}: ${error.message}`);
+  }
+  
+  return data;
+};
+
+module.exports = {
+  unwrap
+};
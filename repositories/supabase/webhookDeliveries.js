@@ -0,0 +1,80 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+const { DELIVERY_STATUS } = require('../../config/constants');
+
+/**
+ * Supabase repository for the webhook_deliveries table
+ */
+module.exports = {
+  async create(delivery) {
+    return unwrap(
+      await supabase.from('webhook_deliveries').insert(delivery).select().single(),
+      'create webhook delivery'
+    );
+  },
+  
+  async update(id, fields) {
+    return unwrap(
+      await supabase.from('webhook_deliveries').update(fields).eq('id', id).select().maybeSingle(),
+      'update webhook delivery'
+    );
+  },
+  
+  async findForKey(id, keyId) {
+    return unwrap(
+      await supabase.from('webhook_deliveries').select('*').eq('id', id).eq('key_id', keyId).maybeSingle(),
+      'find webhook delivery'
+    );
+  },
+  
+  async listForKey(keyId, { webhookId, status, limit }) {
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('key_id', keyId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (webhookId) {
+      query = query.eq('webhook_id', webhookId);
+    }
+    
+    if (status) {
+      query = query.eq('status', status);
+    }
+    
+    return unwrap(await query, 'list webhook deliveries');
+  },
+  
+  async listPending() {
+    return unwrap(
+      await supabase.from('webhook_deliveries').select('*').eq('status', DELIVERY_STATUS.PENDING),
+      'list pending webhook deliveries'
+    );
+  },
+  
+  async failPendingForWebhook(webhookId, fields) {
+    return unwrap(
+      await supabase
+        .from('webhook_deliveries')
+        .update({ ...fields, status: DELIVERY_STATUS.FAILED })
+        .eq('webhook_id', webhookId)
+        .eq('status', DELIVERY_STATUS.PENDING)
+        .select(),
+      'fail pending webhook deliveries'
+    );
+  },
+  
+  async claim(id, owner, attempts, leaseMs) {
+    // Checked and taken in one statement, against the database clock
+    return unwrap(
+      await supabase.rpc('claim_webhook_delivery', {
+        p_delivery_id: id,
+        p_owner: owner,
+        p_attempts: attempts,
+        p_lease_ms: leaseMs
+      }),
+      'claim webhook delivery'
+    );
+  }
+};
@@ -0,0 +1,28 @@
+const supabase = require('../../config/db');
+const { unwrap } = require('./utils');
+
+/**
+ * Supabase repository for the webhooks table
+ */
+module.exports = {
+  async create(webhook) {
+    return unwrap(
+      await supabase.from('webhooks').insert(webhook).select().single(),
+      'create webhook'
+    );
+  },
+  
+  async listForKey(keyId) {
+    return unwrap(
+      await supabase.from('webhooks').select('*').eq('key_id', keyId).order('created_at', { ascending: true }),
+      'list webhooks'
+    );
+  },
+  
+  async removeForKey(id, keyId) {
+    return unwrap(
+      await supabase.from('webhooks').delete().eq('id', id).eq('key_id', keyId).select().maybeSingle(),
+      'delete webhook'
+    );
+  }
+};
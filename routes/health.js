@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { getReadiness } = require('../services/healthService');
+
+/**
+ * Liveness response: the process is up and serving requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const sendLiveness = (req, res) => {
+  res.status(200).json({ status: 'ok', message: 'Service is running' });
+};
+
+/**
+ * @route GET /health
+ * @desc Liveness check (kept for existing monitors and the keep-alive ping)
+ * @access Public
+ */
+router.get('/', sendLiveness);
+
+/**
+ * @route GET /health/live
+ * @desc Liveness check; never looks at dependencies, so a slow database doesn't get the process restarted
+ * @access Public
+ */
+router.get('/live', sendLiveness);
+
+/**
+ * @route GET /health/ready
+ * @desc Readiness check: status and latency of the database, storage, temp directory and each provider
+ * (503 when the database, storage or temp directory is down; providers are report-only). Error details are only logged
+ * @access Public
+ */
+router.get('/ready', async (req, res, next) => {
+  try {
+    const readiness = await getReadiness();
+    res.status(readiness.status === 'ok' ? 200 : 503).json(readiness);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
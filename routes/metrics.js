@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateMetrics } = require('../middleware/metrics');
+const { register } = require('../services/metrics');
+
+/**
+ * @route GET /metrics
+ * @desc Prometheus metrics in the text exposition format
+ * @access Private (METRICS_TOKEN bearer token required; disabled when unset)
+ */
+router.get('/', authenticateMetrics, async (req, res, next) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
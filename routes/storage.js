@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { ApiError } = require('../middleware/errorHandler');
+const { getStorage } = require('../services/storage');
+
+/**
+ * @route GET /storage/*
+ * @desc Serve a file from the local storage driver using a signed, expiring URL
+ * @access Public (valid signature required)
+ */
+router.get('/*', (req, res, next) => {
+  try {
+    // Always the local driver, so its signed URLs keep working after STORAGE_DRIVER is switched
+    const storage = getStorage('local');
+    const storagePath = req.params[0];
+    
+    if (!storage.verifySignature(storagePath, req.query.expires, req.query.signature)) {
+      throw new ApiError('Invalid or expired file URL', 403, 'invalid_request_error', 'signature', 'invalid_signature');
+    }
+    
+    res.sendFile(storage.resolvePath(storagePath), (err) => {
+      if (err) {
+        next(new ApiError('File not found', 404, 'invalid_request_error', null, 'file_not_found'));
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
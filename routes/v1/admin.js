@@ -1,14 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateApiKey } = require('../../middleware/auth');
+const { authenticateApiKey, requireAdmin } = require('../../middleware/auth');
 const keepAliveService = require('../../utils/keepAlive');
+const {
+  generateApiKey,
+  listApiKeys,
+  getApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('../../services/keyService');
+const { getCreditSummary, adjustCredits } = require('../../services/creditService');
+const { parseUsageQuery, parseKeyFilter, getUsage, formatUsageCsv } = require('../../services/usageService');
+
+// Every admin route requires an admin API key
+router.use(authenticateApiKey, requireAdmin);
 
 /**
  * @route GET /v1/admin/keepalive/status
  * @desc Get the status of the keep-alive service
- * @access Private (API key required)
+ * @access Admin (admin API key required)
  */
-router.get('/keepalive/status', authenticateApiKey, async (req, res) => {
+router.get('/keepalive/status', async (req, res) => {
   const status = keepAliveService.getStatus();
   res.status(200).json({
     status,
@@ -19,9 +32,9 @@ router.get('/keepalive/status', authenticateApiKey, async (req, res) => {
 /**
  * @route GET /v1/admin/keepalive/logs
  * @desc Get the logs of the keep-alive service
- * @access Private (API key required)
+ * @access Admin (admin API key required)
  */
-router.get('/keepalive/logs', authenticateApiKey, async (req, res) => {
+router.get('/keepalive/logs', async (req, res) => {
   const logs = keepAliveService.getLogs();
   res.status(200).json({
     logs,
@@ -33,9 +46,9 @@ router.get('/keepalive/logs', authenticateApiKey, async (req, res) => {
 /**
  * @route POST /v1/admin/keepalive/start
  * @desc Start the keep-alive service
- * @access Private (API key required)
+ * @access Admin (admin API key required)
  */
-router.post('/keepalive/start', authenticateApiKey, async (req, res) => {
+router.post('/keepalive/start', async (req, res) => {
   const { url, intervalMinutes } = req.body;
   
   // If not running, start the service
@@ -52,9 +65,9 @@ router.post('/keepalive/start', authenticateApiKey, async (req, res) => {
 /**
  * @route POST /v1/admin/keepalive/stop
  * @desc Stop the keep-alive service
- * @access Private (API key required)
+ * @access Admin (admin API key required)
  */
-router.post('/keepalive/stop', authenticateApiKey, async (req, res) => {
+router.post('/keepalive/stop', async (req, res) => {
   // If running, stop the service
   if (keepAliveService.isRunning) {
     keepAliveService.stop();
@@ -66,4 +79,175 @@ router.post('/keepalive/stop', authenticateApiKey, async (req, res) => {
   });
 });
 
+/**
+ * @route POST /v1/admin/keys
+ * @desc Create an API key with optional expiry, scopes, model/size restrictions, moderation policy, cache settings, credit balance and budgets (the key itself is only returned once)
+ * @access Admin (admin API key required)
+ */
+router.post('/keys', async (req, res, next) => {
+  try {
+    const { email, rate_limit, role, ...policy } = req.body;
+    const key = await generateApiKey(email, rate_limit, role, policy);
+    
+    res.status(201).json({
+      key,
+      message: 'API key created'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/admin/keys
+ * @desc List API keys, optionally filtered by owner email (?email=)
+ * @access Admin (admin API key required)
+ */
+router.get('/keys', async (req, res, next) => {
+  try {
+    const keys = await listApiKeys(req.query.email);
+    
+    res.status(200).json({
+      keys,
+      count: keys.length,
+      message: 'API keys'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/admin/keys/:id
+ * @desc Get an API key
+ * @access Admin (admin API key required)
+ */
+router.get('/keys/:id', async (req, res, next) => {
+  try {
+    const key = await getApiKey(req.params.id);
+    
+    res.status(200).json({
+      key,
+      message: 'API key'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PATCH /v1/admin/keys/:id
+ * @desc Update the daily rate limit, expiry, scopes, model/size lists, default model, moderation policy, cache settings or credit budgets of an API key
+ * @access Admin (admin API key required)
+ */
+router.patch('/keys/:id', async (req, res, next) => {
+  try {
+    const key = await updateApiKey(req.params.id, req.body);
+    
+    res.status(200).json({
+      key,
+      message: 'API key updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /v1/admin/keys/:id/rotate
+ * @desc Issue a replacement key; the old key keeps working for grace_period seconds
+ * @access Admin (admin API key required)
+ */
+router.post('/keys/:id/rotate', async (req, res, next) => {
+  try {
+    const { key, previous } = await rotateApiKey(req.params.id, req.body.grace_period);
+    
+    res.status(201).json({
+      key,
+      previous,
+      message: 'API key rotated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/admin/keys/:id/credits
+ * @desc Get the credit balance, daily/monthly budgets and recent ledger entries (?limit=) of an API key
+ * @access Admin (admin API key required)
+ */
+router.get('/keys/:id/credits', async (req, res, next) => {
+  try {
+    const { credits, entries } = await getCreditSummary(req.params.id, req.query.limit);
+    
+    res.status(200).json({
+      credits,
+      entries,
+      count: entries.length,
+      message: 'API key credits'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /v1/admin/keys/:id/credits
+ * @desc Top up (positive amount) or adjust (negative amount) the credit balance of an API key, with an optional note
+ * @access Admin (admin API key required)
+ */
+router.post('/keys/:id/credits', async (req, res, next) => {
+  try {
+    const { credits, entries } = await adjustCredits(req.params.id, req.body.amount, req.body.note);
+    
+    res.status(200).json({
+      credits,
+      entry: entries[0],
+      message: req.body.amount > 0 ? 'Credits added' : 'Credits adjusted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /v1/admin/keys/:id
+ * @desc Revoke an API key
+ * @access Admin (admin API key required)
+ */
+router.delete('/keys/:id', async (req, res, next) => {
+  try {
+    const key = await revokeApiKey(req.params.id);
+    
+    res.status(200).json({
+      key,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/admin/usage
+ * @desc Usage across keys grouped by day, key, model and status (?key_id=, ?start_date=&end_date= as YYYY-MM-DD, ?format=json|csv)
+ * @access Admin (admin API key required)
+ */
+router.get('/usage', async (req, res, next) => {
+  try {
+    const query = parseUsageQuery(req.query);
+    const usage = await getUsage({ ...query, keyId: parseKeyFilter(req.query.key_id) });
+    
+    if (query.format === 'csv') {
+      res.attachment(`usage-${usage.start_date}-${usage.end_date}.csv`);
+      return res.status(200).type('text/csv').send(formatUsageCsv(usage));
+    }
+    
+    res.status(200).json(usage);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,91 +1,533 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateApiKey } = require('../../middleware/auth');
+const { authenticateApiKey, requireScope } = require('../../middleware/auth');
 const { createDynamicRateLimiter } = require('../../middleware/rateLimit');
+const { parseImageUpload } = require('../../middleware/upload');
+const { idempotency } = require('../../middleware/idempotency');
 const { ApiError } = require('../../middleware/errorHandler');
-const { generateImage } = require('../../services/imageService');
+const { generateImage, storeInputImage } = require('../../services/imageService');
+const { createJob, getJob, cancelJob } = require('../../services/jobService');
+const { chargeCredits, settleCredits, getCreditHeaders } = require('../../services/creditService');
+const {
+  listImages,
+  getImage,
+  getImageContentInfo,
+  readImageContent,
+  deleteImage
+} = require('../../services/imageHistoryService');
+const { parseUrlTtl, parseUrlType } = require('../../utils/imageUrls');
+const { parseWebhookUrl, notifyGeneration } = require('../../services/webhookService');
+const { enforcePromptPolicy } = require('../../services/moderationService');
+const {
+  resolveCacheOption,
+  getCacheKey,
+  findCachedResult,
+  getInFlight,
+  startFlight
+} = require('../../services/cacheService');
+const { formatErrorResponse } = require('../../utils/responseFormat');
+const { setLogContext } = require('../../utils/logger');
+const {
+  getProviderForModel,
+  getSupportedModels,
+  listProviders,
+  supportsCapability,
+  getModelsWithCapability
+} = require('../../services/providers');
+const { isModelAllowed, isSizeAllowed } = require('../../utils/keyPolicy');
 const {
-  SUPPORTED_MODELS,
-  SUPPORTED_SIZES,
   SUPPORTED_FORMATS,
-  PROVIDERS,
-  OPENAI_MODEL_MAP
+  DEFAULT_SIZE,
+  CAPABILITIES,
+  CAPABILITY_DEFAULT_MODELS,
+  OPENAI_MODEL_MAP,
+  SCOPES,
+  IMAGE_URL_CONFIG,
+  IMAGE_OUTPUT_CONFIG,
+  CACHE_CONFIG,
+  STREAM_CONFIG,
+  IMAGE_KINDS
 } = require('../../config/constants');
 
+/**
+ * Run a generation while streaming its progress as Server-Sent Events
+ * Emits queued, task.started, task.progress, task.failover, image.uploading,
+ * then either completed (the OpenAI-shaped result) or error
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - Validated generation parameters
+ * @returns {Promise<void>}
+ */
+const streamGeneration = async (req, res, params) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  // A client that disconnects abandons the generation
+  let disconnected = false;
+  res.on('close', () => {
+    disconnected = true;
+  });
+  
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) {
+      res.write(': keep-alive\n\n');
+    }
+  }, STREAM_CONFIG.heartbeatInterval);
+  
+  send('queued', { model: params.model, size: params.size, n: params.n });
+  
+  try {
+    const result = await generateImage(params, {
+      onProgress: send,
+      isCancelled: () => disconnected
+    });
+    await settleCredits(req.apiKey.id, params.creditCharge, result);
+    
+    send('completed', result);
+  } catch (error) {
+    await settleCredits(req.apiKey.id, params.creditCharge, null);
+    
+    send('error', formatErrorResponse(
+      error.message || 'Failed to generate image',
+      error.type || 'server_error',
+      error.param || null,
+      error.code || null
+    ));
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+};
+
+// Operation names used in error messages
+const OPERATION_LABELS = {
+  [CAPABILITIES.GENERATIONS]: 'image generations',
+  [CAPABILITIES.EDITS]: 'image edits',
+  [CAPABILITIES.VARIATIONS]: 'image variations'
+};
+
+/**
+ * Validate the request options shared by generations, edits and variations
+ * @param {Object} req - Express request (JSON or multipart body)
+ * @param {string} operation - One of CAPABILITIES, which the model must support
+ * @returns {Object} - { params (generation parameters without prompt or inputs), runAsync, stream }
+ */
+const parseImageOptions = (req, operation) => {
+  const { n, response_format } = req.body;
+  const runAsync = req.body.async === true || req.body.async === 'true';
+  const stream = req.body.stream === true || req.body.stream === 'true';
+  const strictModel = req.body.strict_model === true || req.body.strict_model === 'true';
+  
+  // OpenAI-compatible parameter validation
+  const numImages = n ? parseInt(n) : 1;
+  
+  if (isNaN(numImages) || numImages < 1 || numImages > 10) {
+    throw new ApiError('n must be between 1 and 10', 400, 'invalid_request_error', 'n', 'param_invalid');
+  }
+  
+  if (runAsync && stream) {
+    throw new ApiError('stream cannot be combined with async', 400, 'invalid_request_error', 'stream', 'param_invalid');
+  }
+  
+  // Validate response format
+  if (response_format && !SUPPORTED_FORMATS.includes(response_format)) {
+    throw new ApiError(
+      `Invalid response_format. Must be one of: ${SUPPORTED_FORMATS.join(', ')}`,
+      400,
+      'invalid_request_error',
+      'response_format',
+      'param_invalid'
+    );
+  }
+  
+  // Post-processing: encoding of the stored images and, for jpeg and webp, their quality
+  const outputFormat = req.body.output_format || IMAGE_OUTPUT_CONFIG.defaultFormat;
+  if (!IMAGE_OUTPUT_CONFIG.formats.includes(outputFormat)) {
+    throw new ApiError(
+      `Invalid output_format. Must be one of: ${IMAGE_OUTPUT_CONFIG.formats.join(', ')}`,
+      400,
+      'invalid_request_error',
+      'output_format',
+      'param_invalid'
+    );
+  }
+  
+  const outputCompression = req.body.output_compression === undefined
+    ? IMAGE_OUTPUT_CONFIG.defaultCompression
+    : Number(req.body.output_compression);
+  if (!Number.isInteger(outputCompression) || outputCompression < 0 || outputCompression > 100) {
+    throw new ApiError('output_compression must be an integer between 0 and 100', 400, 'invalid_request_error', 'output_compression', 'param_invalid');
+  }
+  
+  // Seed forwarded to providers that honor one, and part of the cache key
+  const seed = req.body.seed === undefined ? null : Number(req.body.seed);
+  if (seed !== null && (!Number.isInteger(seed) || seed < 0 || seed > 4294967295)) {
+    throw new ApiError('seed must be an integer between 0 and 4294967295', 400, 'invalid_request_error', 'seed', 'param_invalid');
+  }
+  
+  // Opt-in result cache, subject to the key's cache settings
+  const cache = resolveCacheOption(req.body.cache, req.apiKey.cache, { operation, deferred: runAsync || stream });
+  
+  // Signed URL lifetime (bounded by server config), or stable proxy URLs
+  const urlType = parseUrlType(req.body.url_type);
+  const urlTtl = parseUrlTtl(req.body.url_ttl, IMAGE_URL_CONFIG.defaultTtl);
+  
+  // Per-request webhook, in addition to the key's registered webhooks
+  const callbackUrl = req.body.callback_url === undefined ? null : parseWebhookUrl(req.body.callback_url, 'callback_url');
+  
+  // Fall back to the key's default model when it can serve the operation, then the operation's default
+  const keyDefault = req.apiKey.defaultModel && supportsCapability(req.apiKey.defaultModel, operation)
+    ? req.apiKey.defaultModel
+    : null;
+  const model = req.body.model || keyDefault || CAPABILITY_DEFAULT_MODELS[operation];
+  const size = req.body.size || DEFAULT_SIZE;
+  
+  // Validate model - handle both native models and OpenAI naming
+  // (the OpenAI name is kept, the service will convert it)
+  const provider = getProviderForModel(model);
+  if (!provider) {
+    throw new ApiError(
+      `Invalid model. Must be one of: ${getSupportedModels().join(', ')}`,
+      400,
+      'invalid_request_error',
+      'model',
+      'param_invalid'
+    );
+  }
+  
+  if (!supportsCapability(model, operation)) {
+    throw new ApiError(
+      `Model ${model} does not support ${OPERATION_LABELS[operation]}. Models that do: ${getModelsWithCapability(operation).join(', ')}`,
+      400,
+      'invalid_request_error',
+      'model',
+      'param_invalid'
+    );
+  }
+  
+  // Validate size against what the model's provider supports
+  if (!provider.sizes.includes(size)) {
+    throw new ApiError(
+      `Invalid size. Must be one of: ${provider.sizes.join(', ')}`,
+      400,
+      'invalid_request_error',
+      'size',
+      'param_invalid'
+    );
+  }
+  
+  // Enforce the key's model and size restrictions
+  if (!isModelAllowed(req.apiKey, model)) {
+    throw new ApiError(
+      `Model ${model} is not allowed for this API key`,
+      403,
+      'permission_error',
+      'model',
+      'model_not_allowed'
+    );
+  }
+  
+  if (!isSizeAllowed(req.apiKey, size)) {
+    throw new ApiError(
+      `Size ${size} is not allowed for this API key`,
+      403,
+      'permission_error',
+      'size',
+      'size_not_allowed'
+    );
+  }
+  
+  // Add API key ID for tracking
+  const params = {
+    operation,
+    n: numImages,
+    size,
+    model,
+    response_format,
+    output_format: outputFormat,
+    output_compression: outputCompression,
+    seed,
+    cache,
+    strict_model: strictModel,
+    url_type: urlType,
+    url_ttl: urlTtl,
+    callback_url: callbackUrl,
+    keyId: req.apiKey.id,
+    // Keeps failover from switching to a model the key may not use
+    modelPolicy: {
+      allowedModels: req.apiKey.allowedModels,
+      deniedModels: req.apiKey.deniedModels
+    }
+  };
+  
+  return { params, runAsync, stream };
+};
+
+/**
+ * Charge credits for a request, then run it and send the response
+ * (202 with an async job, a Server-Sent Events stream, or the result once ready)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - Generation parameters
+ * @param {Object} options - { runAsync, stream, prepare }, see runImageRequest
+ * @returns {Promise<Object|undefined>} - The result of a synchronous request
+ */
+const executeImageRequest = async (req, res, params, { runAsync, stream, prepare }) => {
+  const { model, size, n } = params;
+  
+  // Charge credits up front; images that don't get delivered are refunded afterwards
+  let charge;
+  try {
+    charge = await chargeCredits(req.apiKey.id, { model, size, n });
+  } catch (error) {
+    if (error.retryAfter) {
+      res.setHeader('Retry-After', error.retryAfter);
+    }
+    throw error;
+  }
+  res.set(getCreditHeaders(charge));
+  
+  // Lets a background job refund its own failed images
+  const creditCharge = { amount: charge.amount, perImage: charge.perImage };
+  
+  let request;
+  try {
+    request = { ...params, ...(prepare ? await prepare() : {}), creditCharge };
+  } catch (error) {
+    await settleCredits(req.apiKey.id, creditCharge, null);
+    throw error;
+  }
+  
+  // Async mode: return a job immediately and generate in the background
+  if (runAsync) {
+    let job;
+    try {
+      job = await createJob(request);
+    } catch (error) {
+      await settleCredits(req.apiKey.id, creditCharge, null);
+      throw error;
+    }
+    
+    res.location(`${req.baseUrl}/jobs/${job.id}`);
+    return res.status(202).json(job);
+  }
+  
+  // Stream mode: report progress as Server-Sent Events until the result is ready
+  if (stream) {
+    return streamGeneration(req, res, request);
+  }
+  
+  // Generate image and get response
+  let result;
+  try {
+    result = await generateImage(request);
+  } catch (error) {
+    await settleCredits(req.apiKey.id, creditCharge, null);
+    throw error;
+  }
+  await settleCredits(req.apiKey.id, creditCharge, result);
+  
+  // Return OpenAI-compatible response
+  res.status(200).json(result);
+  return result;
+};
+
+/**
+ * Moderate the prompt of a validated request, answer it from the result cache when possible,
+ * and otherwise charge credits, run it and send the response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - Generation parameters from parseImageOptions (plus prompt)
+ * @param {Object} options - { runAsync, stream, prepare }
+ * @param {Function} [options.prepare] - Runs after charging and returns extra params (e.g. stored inputs); the charge is refunded if it fails
+ * @returns {Promise<void>}
+ */
+const runImageRequest = async (req, res, params, options) => {
+  // Request metrics and log lines are labeled with the validated model
+  res.locals.model = params.model;
+  setLogContext({ model: params.model });
+  
+  // Rejected prompts never reach a provider (or cost credits)
+  if (params.prompt) {
+    await enforcePromptPolicy(params.prompt, {
+      keyId: req.apiKey.id,
+      moderation: req.apiKey.moderation,
+      source: params.operation
+    });
+  }
+  
+  // Generated images remember the request they answer, so later cached requests can reuse them
+  const request = params.operation === CAPABILITIES.GENERATIONS
+    ? { ...params, cacheKey: getCacheKey(params) }
+    : params;
+  
+  if (!request.cache) {
+    await executeImageRequest(req, res, request, options);
+    return;
+  }
+  
+  // Stored images of an identical request are served without charging credits.
+  // Served results are still announced to this request's callback_url and the key's webhooks.
+  const cached = await findCachedResult(request);
+  if (cached) {
+    await notifyGeneration(request, { result: cached });
+    res.set(CACHE_CONFIG.header, 'HIT');
+    return res.status(200).json(cached);
+  }
+  
+  // Identical requests arriving together share one generation (and its charge)
+  const running = getInFlight(request);
+  if (running) {
+    let result;
+    try {
+      result = await running;
+    } catch (error) {
+      await notifyGeneration(request, { error });
+      throw error;
+    }
+    
+    await notifyGeneration(request, { result });
+    res.set(CACHE_CONFIG.header, 'SHARED');
+    return res.status(200).json(result);
+  }
+  
+  const flight = startFlight(request);
+  res.set(CACHE_CONFIG.header, 'MISS');
+  
+  try {
+    flight.resolve(await executeImageRequest(req, res, request, options));
+  } catch (error) {
+    flight.reject(error);
+    throw error;
+  }
+};
+
 /**
  * @route POST /v1/images/generations
- * @desc Generate an image (OpenAI compatibility)
- * @access Private (API key required)
+ * @desc Generate an image (OpenAI compatibility); retries with the same Idempotency-Key replay the first response
+ * @access Private (API key with images:generate scope required)
  */
-router.post('/generations', authenticateApiKey, createDynamicRateLimiter(), async (req, res, next) => {
+router.post('/generations', authenticateApiKey, requireScope(SCOPES.IMAGES_GENERATE), idempotency(), createDynamicRateLimiter(), async (req, res, next) => {
   try {
-    const { prompt, n, size, response_format, model } = req.body;
+    const { prompt } = req.body;
     
     // Input validation
     if (!prompt) {
       throw new ApiError('Prompt is required', 400, 'invalid_request_error', 'prompt', 'param_required');
     }
     
-    // OpenAI-compatible parameter validation
-    const numImages = n ? parseInt(n) : 1;
+    const { params, runAsync, stream } = parseImageOptions(req, CAPABILITIES.GENERATIONS);
     
-    if (isNaN(numImages) || numImages < 1 || numImages > 10) {
-      throw new ApiError('n must be between 1 and 10', 400, 'invalid_request_error', 'n', 'param_invalid');
-    }
+    await runImageRequest(req, res, { ...params, prompt }, { runAsync, stream });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /v1/images/edits
+ * @desc Edit an uploaded image from a prompt, optionally limited to a mask (OpenAI compatibility, multipart/form-data)
+ * @access Private (API key with images:generate scope required)
+ */
+router.post('/edits', authenticateApiKey, requireScope(SCOPES.IMAGES_GENERATE), createDynamicRateLimiter(), parseImageUpload(['image', 'mask']), async (req, res, next) => {
+  try {
+    const { prompt } = req.body;
+    const files = req.files || {};
+    const image = files.image && files.image[0];
+    const mask = files.mask && files.mask[0];
     
-    // Validate size
-    if (size && !SUPPORTED_SIZES.includes(size)) {
-      throw new ApiError(
-        `Invalid size. Must be one of: ${SUPPORTED_SIZES.join(', ')}`,
-        400,
-        'invalid_request_error',
-        'size',
-        'param_invalid'
-      );
+    // Input validation
+    if (!image) {
+      throw new ApiError('image is required', 400, 'invalid_request_error', 'image', 'param_required');
     }
     
-    // Validate response format
-    if (response_format && !SUPPORTED_FORMATS.includes(response_format)) {
-      throw new ApiError(
-        `Invalid response_format. Must be one of: ${SUPPORTED_FORMATS.join(', ')}`,
-        400,
-        'invalid_request_error',
-        'response_format',
-        'param_invalid'
-      );
+    if (!prompt) {
+      throw new ApiError('Prompt is required', 400, 'invalid_request_error', 'prompt', 'param_required');
     }
     
-    // Validate model - handle both native models and OpenAI naming
-    let requestedModel = model;
-    if (model && !SUPPORTED_MODELS.includes(model)) {
-      // Check if it's a valid OpenAI model name
-      if (!OPENAI_MODEL_MAP[model]) {
-        throw new ApiError(
-          `Invalid model. Must be one of: ${SUPPORTED_MODELS.join(', ')}`,
-          400,
-          'invalid_request_error',
-          'model',
-          'param_invalid'
-        );
-      }
-      requestedModel = model; // Keep the OpenAI name, service will convert it
-    }
+    const { params, runAsync, stream } = parseImageOptions(req, CAPABILITIES.EDITS);
     
-    // Add API key ID for tracking
-    const params = {
-      prompt,
-      n: numImages,
-      size,
-      model: requestedModel,
-      response_format,
-      keyId: req.apiKey.id
+    // Uploaded inputs are stored next to the outputs, which point back to the source image
+    const prepare = async () => {
+      const storedImage = await storeInputImage(image, req.apiKey.id, IMAGE_KINDS.INPUT, { prompt });
+      const storedMask = mask
+        ? await storeInputImage(mask, req.apiKey.id, IMAGE_KINDS.MASK, { prompt, sourceImageId: storedImage.id })
+        : null;
+      
+      return { inputs: { image: storedImage, mask: storedMask } };
     };
     
-    // Generate image and get response
-    const result = await generateImage(params);
+    await runImageRequest(req, res, { ...params, prompt }, { runAsync, stream, prepare });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /v1/images/variations
+ * @desc Create variations of an uploaded image (OpenAI compatibility, multipart/form-data)
+ * @access Private (API key with images:generate scope required)
+ */
+router.post('/variations', authenticateApiKey, requireScope(SCOPES.IMAGES_GENERATE), createDynamicRateLimiter(), parseImageUpload(['image']), async (req, res, next) => {
+  try {
+    const image = req.files && req.files.image && req.files.image[0];
     
-    // Return OpenAI-compatible response
-    res.status(200).json(result);
+    // Input validation
+    if (!image) {
+      throw new ApiError('image is required', 400, 'invalid_request_error', 'image', 'param_required');
+    }
+    
+    const { params, runAsync, stream } = parseImageOptions(req, CAPABILITIES.VARIATIONS);
+    
+    // The uploaded image is stored next to the variations, which point back to it
+    const prepare = async () => ({
+      inputs: {
+        image: await storeInputImage(image, req.apiKey.id, IMAGE_KINDS.INPUT),
+        mask: null
+      }
+    });
+    
+    await runImageRequest(req, res, params, { runAsync, stream, prepare });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/images/jobs/:id
+ * @desc Get the status and result of an async generation job
+ * @access Private (API key with images:read scope required)
+ */
+router.get('/jobs/:id', authenticateApiKey, requireScope(SCOPES.IMAGES_READ), async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id, req.apiKey.id);
+    res.status(200).json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /v1/images/jobs/:id
+ * @desc Cancel a queued or running async generation job; its credits are refunded and any images it
+ * already generated are deleted (409 once the job has finished)
+ * @access Private (API key with images:generate scope required)
+ */
+router.delete('/jobs/:id', authenticateApiKey, requireScope(SCOPES.IMAGES_GENERATE), async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.id, req.apiKey.id);
+    res.status(200).json(job);
   } catch (error) {
     next(error);
   }
@@ -94,9 +536,9 @@ router.post('/generations', authenticateApiKey, createDynamicRateLimiter(), asyn
 /**
  * @route GET /v1/images/models
  * @desc Get available models (OpenAI compatibility)
- * @access Private (API key required)
+ * @access Private (API key with images:read scope required)
  */
-router.get('/models', authenticateApiKey, async (req, res, next) => {
+router.get('/models', authenticateApiKey, requireScope(SCOPES.IMAGES_READ), async (req, res, next) => {
   try {
     // Get current timestamp
     const now = Math.floor(Date.now() / 1000);
@@ -104,16 +546,21 @@ router.get('/models', authenticateApiKey, async (req, res, next) => {
     // Build provider-specific models list
     const models = [];
     
+    // Operations (generations, edits, variations) a model can serve
+    const capabilitiesOf = (model) => Object.values(CAPABILITIES).filter(capability => supportsCapability(model, capability));
+    
     // Add all native models
-    Object.keys(PROVIDERS).forEach(providerName => {
-      const provider = PROVIDERS[providerName];
+    listProviders().forEach(provider => {
       provider.models.forEach(modelName => {
         models.push({
           id: modelName,
           object: 'model',
           created: now,
           owned_by: 'featherops',
-          provider: providerName
+          provider: provider.name,
+          sizes: provider.sizes,
+          params: provider.params,
+          capabilities: capabilitiesOf(modelName)
         });
       });
     });
@@ -125,13 +572,14 @@ router.get('/models', authenticateApiKey, async (req, res, next) => {
         object: 'model',
         created: now,
         owned_by: 'featherops',
-        provider: 'openai-compatible'
+        provider: 'openai-compatible',
+        capabilities: capabilitiesOf(openaiModel)
       });
     });
     
-    // Return a list of available models
+    // Return a list of the models this key may use
     res.status(200).json({
-      data: models,
+      data: models.filter(entry => isModelAllowed(req.apiKey, entry.id)),
       object: 'list'
     });
   } catch (error) {
@@ -139,4 +587,97 @@ router.get('/models', authenticateApiKey, async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /v1/images
+ * @desc List the calling key's stored images, newest first (?limit=, ?after=, ?kind=output|input|mask, ?model=, ?start_date=&end_date= as YYYY-MM-DD)
+ * @access Private (API key with images:read scope required)
+ */
+router.get('/', authenticateApiKey, requireScope(SCOPES.IMAGES_READ), async (req, res, next) => {
+  try {
+    const list = await listImages(req.apiKey.id, req.query);
+    res.status(200).json(list);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/images/:id
+ * @desc Get a stored image's metadata with a freshly signed URL (?url_ttl= in seconds)
+ * @access Private (API key with images:read scope required)
+ */
+router.get('/:id', authenticateApiKey, requireScope(SCOPES.IMAGES_READ), async (req, res, next) => {
+  try {
+    const image = await getImage(req.params.id, req.apiKey.id, req.query.url_ttl);
+    res.status(200).json(image);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/images/:id/content
+ * @desc Serve a stored image's bytes (stable proxy URL) with ETag, conditional and Range support
+ * @access Private (API key with images:read scope required)
+ */
+router.get('/:id/content', authenticateApiKey, requireScope(SCOPES.IMAGES_READ), async (req, res, next) => {
+  try {
+    const { image, etag, lastModified, contentType } = await getImageContentInfo(req.params.id, req.apiKey.id);
+    
+    res.set({
+      'ETag': etag,
+      'Last-Modified': lastModified,
+      'Cache-Control': 'private, max-age=86400',
+      'Accept-Ranges': 'bytes'
+    });
+    
+    // If-None-Match / If-Modified-Since: the client's copy is still current
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    const content = await readImageContent(image);
+    res.type(contentType);
+    
+    // Only a single byte range is served, and only if If-Range (when sent) still matches
+    const ifRange = req.get('If-Range');
+    const range = req.get('Range') && (!ifRange || ifRange === etag || ifRange === lastModified)
+      ? req.range(content.length)
+      : undefined;
+    
+    if (range === -1) {
+      res.set('Content-Range', `bytes */${content.length}`);
+      throw new ApiError('Requested range not satisfiable', 416, 'invalid_request_error', null, 'range_not_satisfiable');
+    }
+    
+    let body = content;
+    if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+      const { start, end } = range[0];
+      body = content.subarray(start, end + 1);
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${content.length}`);
+    } else {
+      res.status(200);
+    }
+    
+    res.set('Content-Length', body.length);
+    res.end(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /v1/images/:id
+ * @desc Delete a stored image from storage and the image history
+ * @access Private (API key with images:generate scope required)
+ */
+router.delete('/:id', authenticateApiKey, requireScope(SCOPES.IMAGES_GENERATE), async (req, res, next) => {
+  try {
+    const result = await deleteImage(req.params.id, req.apiKey.id);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
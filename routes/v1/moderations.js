@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { authenticateApiKey, requireScope } = require('../../middleware/auth');
+const { createDynamicRateLimiter } = require('../../middleware/rateLimit');
+const { ApiError } = require('../../middleware/errorHandler');
+const { moderatePrompt } = require('../../services/moderationService');
+const { SCOPES, MODERATION_CONFIG } = require('../../config/constants');
+
+/**
+ * @route POST /v1/moderations
+ * @desc Pre-check prompts against the content policy applied to image requests (OpenAI-style moderation result)
+ * @access Private (API key with images:generate scope required; counts against the key's rate limits)
+ */
+router.post('/', authenticateApiKey, requireScope(SCOPES.IMAGES_GENERATE), createDynamicRateLimiter(), async (req, res, next) => {
+  try {
+    const { input } = req.body;
+    const prompts = Array.isArray(input) ? input : [input];
+    
+    if (input === undefined || input === null) {
+      throw new ApiError('input is required', 400, 'invalid_request_error', 'input', 'param_required');
+    }
+    
+    if (prompts.length === 0 || prompts.length > MODERATION_CONFIG.maxInputs || prompts.some(prompt => typeof prompt !== 'string')) {
+      throw new ApiError(
+        `input must be a string or an array of 1 to ${MODERATION_CONFIG.maxInputs} strings`,
+        400,
+        'invalid_request_error',
+        'input',
+        'param_invalid'
+      );
+    }
+    
+    const results = [];
+    for (const prompt of prompts) {
+      const result = await moderatePrompt(prompt, {
+        keyId: req.apiKey.id,
+        moderation: req.apiKey.moderation,
+        source: 'moderations'
+      });
+      
+      results.push({
+        flagged: result.flagged,
+        categories: result.categories,
+        // Rules are pass/fail, so scores are 0 or 1
+        category_scores: Object.keys(result.categories).reduce((scores, category) => ({
+          ...scores,
+          [category]: result.categories[category] ? 1 : 0
+        }), {}),
+        reasons: result.reasons
+      });
+    }
+    
+    res.status(200).json({
+      id: `modr-${uuidv4()}`,
+      model: 'featherops-moderation',
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../../middleware/auth');
+const { parseUsageQuery, getUsage, formatUsageCsv } = require('../../services/usageService');
+const { SCOPES } = require('../../config/constants');
+
+/**
+ * @route GET /v1/usage
+ * @desc Usage of the calling key grouped by day, model and status (?start_date=&end_date= as YYYY-MM-DD, ?format=json|csv)
+ * @access Private (API key with usage:read scope required)
+ */
+router.get('/', authenticateApiKey, requireScope(SCOPES.USAGE_READ), async (req, res, next) => {
+  try {
+    const query = parseUsageQuery(req.query);
+    const usage = await getUsage({ ...query, keyId: req.apiKey.id });
+    
+    if (query.format === 'csv') {
+      res.attachment(`usage-${usage.start_date}-${usage.end_date}.csv`);
+      return res.status(200).type('text/csv').send(formatUsageCsv(usage));
+    }
+    
+    res.status(200).json(usage);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../../middleware/auth');
+const {
+  getCallbackSecret,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery
+} = require('../../services/webhookService');
+const { SCOPES } = require('../../config/constants');
+
+// Every webhook route requires a key allowed to manage webhooks
+router.use(authenticateApiKey, requireScope(SCOPES.WEBHOOKS_MANAGE));
+
+/**
+ * @route POST /v1/webhooks
+ * @desc Register a webhook endpoint for the calling key (the signing secret is only returned once)
+ * @access Private (API key with webhooks:manage scope required)
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const webhook = await createWebhook(req.apiKey.id, req.body);
+    res.status(201).json(webhook);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/webhooks
+ * @desc List the calling key's webhooks
+ * @access Private (API key with webhooks:manage scope required)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await listWebhooks(req.apiKey.id);
+    res.status(200).json({ object: 'list', data: webhooks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/webhooks/callback-secret
+ * @desc Get the secret that signs deliveries to per-request callback_url endpoints
+ * @access Private (API key with webhooks:manage scope required)
+ */
+router.get('/callback-secret', (req, res) => {
+  res.status(200).json({ object: 'webhook.callback_secret', secret: getCallbackSecret(req.apiKey.id) });
+});
+
+/**
+ * @route GET /v1/webhooks/deliveries
+ * @desc List the calling key's webhook deliveries, newest first (?webhook_id=, ?status=, ?limit=)
+ * @access Private (API key with webhooks:manage scope required)
+ */
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const deliveries = await listDeliveries(req.apiKey.id, req.query);
+    res.status(200).json({ object: 'list', data: deliveries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /v1/webhooks/deliveries/:id
+ * @desc Get a webhook delivery with its payload and latest attempt outcome
+ * @access Private (API key with webhooks:manage scope required)
+ */
+router.get('/deliveries/:id', async (req, res, next) => {
+  try {
+    const delivery = await getDelivery(req.params.id, req.apiKey.id);
+    res.status(200).json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /v1/webhooks/:id
+ * @desc Delete a webhook (its delivery log is kept)
+ * @access Private (API key with webhooks:manage scope required)
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const result = await deleteWebhook(req.params.id, req.apiKey.id);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,21 +4,50 @@ require('./create-test-key');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs');
 
 // Import routes
 const imageRoutes = require('./routes/v1/images');
 const adminRoutes = require('./routes/v1/admin');
+const usageRoutes = require('./routes/v1/usage');
+const webhookRoutes = require('./routes/v1/webhooks');
+const moderationRoutes = require('./routes/v1/moderations');
+const storageRoutes = require('./routes/storage');
+const metricsRoutes = require('./routes/metrics');
+const healthRoutes = require('./routes/health');
+
+// Import request metrics
+const { trackRequests } = require('./middleware/metrics');
+
+// Import request IDs, structured logging and error responses
+const { assignRequestId } = require('./middleware/requestContext');
+const { errorHandler } = require('./middleware/errorHandler');
+const { logger } = require('./utils/logger');
 
 // Import keep-alive service
 const keepAliveService = require('./utils/keepAlive');
 
+// Import job service and lease timings (resumes async generations after a restart)
+const { resumePendingJobs } = require('./services/jobService');
+const { LEASE_CONFIG } = require('./config/constants');
+
+// Import webhook service (resumes pending webhook retries after a restart)
+const { resumePendingDeliveries } = require('./services/webhookService');
+
+// Import storage driver selection (checked at startup)
+const { getStorage } = require('./services/storage');
+
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Load the local storage driver up front, so a missing signing secret stops startup
+// instead of failing every request that needs an image URL
+if (process.env.STORAGE_DRIVER === 'local') {
+  getStorage();
+}
+
 // Create temp directory if it doesn't exist
 const tempDir = process.env.TEMP_IMAGE_DIR || './temp';
 if (!fs.existsSync(tempDir)) {
@@ -26,39 +55,50 @@ if (!fs.existsSync(tempDir)) {
 }
 
 // Middleware
+app.use(assignRequestId); // X-Request-Id, log context and access log
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
 app.use(express.json()); // Parse JSON bodies
-app.use(morgan('combined')); // Logging
+app.use(trackRequests); // Request counts and latency for /metrics
 
 // Routes
 app.use('/v1/images', imageRoutes);
 app.use('/v1/admin', adminRoutes);
+app.use('/v1/usage', usageRoutes);
+app.use('/v1/webhooks', webhookRoutes);
+app.use('/v1/moderations', moderationRoutes);
+app.use('/storage', storageRoutes); // Signed file URLs for the local storage driver
+app.use('/metrics', metricsRoutes); // Prometheus metrics (enabled by METRICS_TOKEN)
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Service is running' });
-});
+// Health checks: /health and /health/live (liveness), /health/ready (dependencies)
+app.use('/health', healthRoutes);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  
-  // Format error response like OpenAI
-  const status = err.statusCode || 500;
-  res.status(status).json({
-    error: {
-      message: err.message || 'An unexpected error occurred',
-      type: err.type || 'server_error',
-      param: err.param || null,
-      code: err.code || null
-    }
-  });
-});
+// Error handling middleware (OpenAI-style error bodies)
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info(`Server running on port ${PORT}`, { port: Number(PORT) });
+  
+  // Pick up async jobs interrupted by a previous shutdown, and later those of any process
+  // sharing the database that stopped, once their leases expire
+  const resumeJobs = () => resumePendingJobs().then(count => {
+    if (count > 0) {
+      logger.info(`Resumed ${count} pending generation job(s)`, { count });
+    }
+  });
+  
+  resumeJobs();
+  setInterval(resumeJobs, LEASE_CONFIG.sweepInterval).unref();
+  
+  const resumeDeliveries = () => resumePendingDeliveries().then(count => {
+    if (count > 0) {
+      logger.info(`Resumed ${count} pending webhook deliveries`, { count });
+    }
+  });
+  
+  resumeDeliveries();
+  setInterval(resumeDeliveries, LEASE_CONFIG.sweepInterval).unref();
   
   // Start keep-alive service if not in development mode
   if (process.env.NODE_ENV !== 'development') {
@@ -67,7 +107,7 @@ app.listen(PORT, () => {
     
     // Start with 5-minute interval
     keepAliveService.start(pingUrl, 5);
-    console.log(`Keep-alive service started for ${pingUrl}`);
+    logger.info('Keep-alive service started', { url: pingUrl });
   }
 });
 
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { images, requestLogs } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { getStorage } = require('./storage');
+const { getProviderForModel, resolveModel } = require('./providers');
+const { getImageContentUrl } = require('../utils/imageUrls');
+const { CACHE_CONFIG, CAPABILITIES, IMAGE_OUTPUT_CONFIG } = require('../config/constants');
+
+// Generations running for cache-enabled requests, by coalescing key
+const inFlight = new Map();
+
+/**
+ * Validate a key's cache settings
+ * @param {*} value - { enabled, ttl, default }, or null for the server defaults
+ * @returns {Object|null} - The settings with only the fields that were set
+ */
+const parseCacheSettings = (value) => {
+  if (value === null) {
+    return null;
+  }
+  
+  const invalid = (message) => new ApiError(message, 400, 'invalid_request_error', 'cache', 'param_invalid');
+  
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw invalid('cache must be an object or null');
+  }
+  
+  const settings = {};
+  
+  ['enabled', 'default'].forEach(field => {
+    if (value[field] === undefined || value[field] === null) {
+      return;
+    }
+    
+    if (typeof value[field] !== 'boolean') {
+      throw invalid(`cache.${field} must be a boolean or null`);
+    }
+    
+    settings[field] = value[field];
+  });
+  
+  if (value.ttl !== undefined && value.ttl !== null) {
+    if (!Number.isInteger(value.ttl) || value.ttl < 1 || value.ttl > CACHE_CONFIG.maxTtl) {
+      throw invalid(`cache.ttl must be an integer between 1 and ${CACHE_CONFIG.maxTtl} seconds, or null`);
+    }
+    
+    settings.ttl = value.ttl;
+  }
+  
+  return settings;
+};
+
+/**
+ * Decide whether a request uses the result cache
+ * Only synchronous generations are cached; the request's cache flag wins over the key's default
+ * @param {*} value - The request's cache param (true/false, or undefined for the key's default)
+ * @param {Object|null} keySettings - The key's cache settings
+ * @param {Object} request - { operation, deferred (async or stream mode) }
+ * @returns {Object|null} - { ttl } when the cache is used, otherwise null
+ */
+const resolveCacheOption = (value, keySettings, { operation, deferred }) => {
+  const settings = { enabled: true, default: false, ttl: CACHE_CONFIG.defaultTtl, ...(keySettings || {}) };
+  const requested = value === undefined ? null : value === true || value === 'true';
+  
+  if (requested === null) {
+    return settings.enabled && settings.default && operation === CAPABILITIES.GENERATIONS && !deferred
+      ? { ttl: settings.ttl }
+      : null;
+  }
+  
+  if (!requested) {
+    return null;
+  }
+  
+  if (!settings.enabled) {
+    throw new ApiError('The result cache is disabled for this API key', 403, 'permission_error', 'cache', 'cache_not_allowed');
+  }
+  
+  if (operation !== CAPABILITIES.GENERATIONS || deferred) {
+    throw new ApiError(
+      'cache is only supported for synchronous image generations (not with async, stream, edits or variations)',
+      400,
+      'invalid_request_error',
+      'cache',
+      'param_invalid'
+    );
+  }
+  
+  return { ttl: settings.ttl };
+};
+
+/**
+ * Normalize a prompt so trivially different spellings share cache entries
+ * @param {string} prompt - Prompt as sent
+ * @returns {string} - Unicode-normalized, lowercased prompt with collapsed whitespace
+ */
+const normalizePrompt = (prompt) => prompt.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Compute the cache key of a generation
+ * Anything that changes the stored image is part of it; delivery options (URL type, response format) are not
+ * @param {Object} params - Generation parameters
+ * @returns {string} - Hex digest
+ */
+const getCacheKey = (params) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    normalizePrompt(params.prompt),
+    resolveModel(params.model),
+    params.size,
+    params.seed ?? null,
+    params.output_format || IMAGE_OUTPUT_CONFIG.defaultFormat,
+    params.output_compression ?? IMAGE_OUTPUT_CONFIG.defaultCompression
+  ]))
+  .digest('hex');
+
+/**
+ * Serve a generation from images stored for an identical earlier one
+ * Only a full hit (n fresh images) counts; otherwise the request is generated as usual
+ * @param {Object} params - Generation parameters including cacheKey and cache ({ ttl })
+ * @returns {Promise<Object|null>} - OpenAI-shaped result, or null on a miss
+ */
+const findCachedResult = async (params) => {
+  const since = new Date(Date.now() - params.cache.ttl * 1000).toISOString();
+  
+  let rows;
+  try {
+    rows = await images.findCached(params.keyId, params.cacheKey, since, params.n);
+  } catch (error) {
+    // A broken cache lookup just means generating again
+    logger.error('Error looking up cached images', { error });
+    return null;
+  }
+  
+  if (rows.length < params.n) {
+    return null;
+  }
+  
+  let data;
+  try {
+    data = await Promise.all(rows.map(async (image) => {
+      const storage = getStorage(image.storage_driver);
+      const provider = getProviderForModel(image.model);
+      
+      let content;
+      if (params.response_format === 'b64_json') {
+        content = { b64_json: (await storage.download(image.storage_path)).toString('base64') };
+      } else if (params.url_type === 'proxy') {
+        content = { url: getImageContentUrl(image.id) };
+      } else {
+        content = { url: await storage.getSignedUrl(image.storage_path, params.url_ttl) };
+      }
+      
+      return { id: image.id, ...content, model: image.model, provider: provider ? provider.name : null };
+    }));
+  } catch (error) {
+    // e.g. a cached file removed from storage behind our back
+    logger.error('Error reading cached images', { error });
+    return null;
+  }
+  
+  try {
+    await requestLogs.create({
+      key_id: params.keyId,
+      endpoint: 'cache',
+      prompt: params.prompt,
+      model: resolveModel(params.model),
+      provider: 'cache',
+      fallback_used: false,
+      status: 'success',
+      images_requested: params.n,
+      images_generated: params.n,
+      credits_used: 0,
+      created_at: new Date().toISOString()
+    });
+  } catch (logError) {
+    logger.error('Failed to log request', { error: logError });
+  }
+  
+  return {
+    creator: 'featherops',
+    created: Math.floor(Date.now() / 1000),
+    size: params.size,
+    output_format: params.output_format,
+    data
+  };
+};
+
+/**
+ * Key under which identical concurrent requests are coalesced
+ * Unlike the cache key it includes delivery options, so every waiter can be sent the very same result;
+ * callback_url is left out since each waiter sends its own notifications
+ * @param {Object} params - Generation parameters including cacheKey
+ * @returns {string} - Coalescing key
+ */
+const getFlightKey = (params) => [
+  params.keyId,
+  params.cacheKey,
+  params.n,
+  params.response_format || 'url',
+  params.url_type,
+  params.url_ttl
+].join('|');
+
+/**
+ * Get the generation already running for an identical request
+ * @param {Object} params - Generation parameters including cacheKey
+ * @returns {Promise<Object>|null} - Promise of its result, or null when there is none
+ */
+const getInFlight = (params) => inFlight.get(getFlightKey(params)) || null;
+
+/**
+ * Register a generation so identical requests arriving meanwhile wait for it instead of starting their own
+ * Must be called right after getInFlight returned null, without awaiting in between
+ * @param {Object} params - Generation parameters including cacheKey
+ * @returns {Object} - { resolve(result), reject(error) }, one of which must be called when the generation ends
+ */
+const startFlight = (params) => {
+  const flightKey = getFlightKey(params);
+  let settle;
+  
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  
+  // Nobody may be waiting on it
+  promise.catch(() => {});
+  inFlight.set(flightKey, promise);
+  
+  const finish = (callback) => (value) => {
+    inFlight.delete(flightKey);
+    callback(value);
+  };
+  
+  return { resolve: finish(settle.resolve), reject: finish(settle.reject) };
+};
+
+module.exports = {
+  parseCacheSettings,
+  resolveCacheOption,
+  getCacheKey,
+  findCachedResult,
+  getInFlight,
+  startFlight
+};
@@ -0,0 +1,263 @@
+const { credits } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { resolveModel } = require('./providers');
+const { CREDIT_CONFIG, CREDIT_ENTRY_TYPES } = require('../config/constants');
+
+// Rejections from the ledger, by the limit that was hit
+const REJECTIONS = {
+  balance: {
+    status: 402,
+    message: 'Insufficient credits for this request',
+    code: 'insufficient_credits'
+  },
+  daily: {
+    status: 429,
+    message: 'Daily credit budget exceeded',
+    code: 'daily_credit_budget_exceeded'
+  },
+  monthly: {
+    status: 429,
+    message: 'Monthly credit budget exceeded',
+    code: 'monthly_credit_budget_exceeded'
+  }
+};
+
+/**
+ * Get the start of the current UTC day and month, and when each budget resets
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { dayStart, monthStart, dayReset, monthReset } as ISO timestamps
+ */
+const getBudgetWindows = (now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+  
+  return {
+    dayStart: new Date(Date.UTC(year, month, day)).toISOString(),
+    monthStart: new Date(Date.UTC(year, month, 1)).toISOString(),
+    dayReset: new Date(Date.UTC(year, month, day + 1)).toISOString(),
+    monthReset: new Date(Date.UTC(year, month + 1, 1)).toISOString()
+  };
+};
+
+/**
+ * Work out the credit cost of a generation request
+ * @param {string} model - Requested model (native or OpenAI name)
+ * @param {string} size - Requested size
+ * @param {number} n - Number of images
+ * @returns {Object} - { perImage, total }
+ */
+const getCreditCost = (model, size, n = 1) => {
+  const modelCost = CREDIT_CONFIG.modelCosts[resolveModel(model)] ?? CREDIT_CONFIG.defaultModelCost;
+  const multiplier = CREDIT_CONFIG.sizeMultipliers[size] ?? CREDIT_CONFIG.defaultSizeMultiplier;
+  const perImage = Math.max(1, Math.ceil(modelCost * multiplier));
+  
+  return { perImage, total: perImage * n };
+};
+
+/**
+ * Turn a ledger summary into the public balance and budget view
+ * @param {Object} summary - { balance, daily_budget, monthly_budget, daily_spent, monthly_spent }
+ * @returns {Object} - Balance plus spend and remaining credits per budget
+ */
+const formatCreditSummary = (summary) => {
+  const windows = getBudgetWindows();
+  const budget = (limit, spent, resetsAt) => ({
+    limit,
+    spent,
+    remaining: limit === null ? null : Math.max(0, limit - spent),
+    resets_at: resetsAt
+  });
+  
+  return {
+    balance: summary.balance,
+    daily: budget(summary.daily_budget, summary.daily_spent, windows.dayReset),
+    monthly: budget(summary.monthly_budget, summary.monthly_spent, windows.monthReset)
+  };
+};
+
+/**
+ * Build the credit response headers for a charge
+ * Balance and budget headers are only sent for limits the key actually has
+ * @param {Object} charge - Charge returned by chargeCredits
+ * @returns {Object} - Header names and values
+ */
+const getCreditHeaders = (charge) => {
+  const headers = { 'X-Credits-Cost': charge.amount };
+  
+  if (charge.credits.balance !== null) {
+    headers['X-Credits-Balance'] = charge.credits.balance;
+  }
+  
+  if (charge.credits.daily.remaining !== null) {
+    headers['X-Credits-Daily-Remaining'] = charge.credits.daily.remaining;
+  }
+  
+  if (charge.credits.monthly.remaining !== null) {
+    headers['X-Credits-Monthly-Remaining'] = charge.credits.monthly.remaining;
+  }
+  
+  return headers;
+};
+
+/**
+ * Charge a key for a generation request before it runs
+ * @param {string} keyId - API key ID
+ * @param {Object} request - { model, size, n }
+ * @returns {Promise<Object>} - { amount, perImage, credits }, kept to refund images that fail
+ */
+const chargeCredits = async (keyId, { model, size, n }) => {
+  const { perImage, total } = getCreditCost(model, size, n);
+  const windows = getBudgetWindows();
+  
+  let result;
+  try {
+    result = await credits.charge(keyId, total, {
+      dayStart: windows.dayStart,
+      monthStart: windows.monthStart,
+      details: { model, size, n }
+    });
+  } catch (error) {
+    logger.error('Error charging credits', { error });
+    throw new ApiError('Failed to charge credits', 500, 'server_error', null, 'credit_charge_failed');
+  }
+  
+  if (!result) {
+    throw new ApiError('API key not found', 404, 'invalid_request_error', null, 'key_not_found');
+  }
+  
+  const summary = formatCreditSummary(result);
+  
+  if (!result.charged) {
+    const rejection = REJECTIONS[result.rejected];
+    const error = new ApiError(
+      `${rejection.message} (cost ${total}, remaining ${result.rejected === 'balance' ? summary.balance : summary[result.rejected].remaining})`,
+      rejection.status,
+      'insufficient_quota',
+      null,
+      rejection.code
+    );
+    
+    // Seconds until the exceeded budget resets, sent as Retry-After by the route
+    if (result.rejected !== 'balance') {
+      error.retryAfter = Math.max(1, Math.ceil((new Date(summary[result.rejected].resets_at) - Date.now()) / 1000));
+    }
+    
+    throw error;
+  }
+  
+  return { amount: total, perImage, credits: summary };
+};
+
+/**
+ * Refund the images a charged generation didn't deliver
+ * Failures are logged rather than thrown so they never mask the generation outcome
+ * @param {string} keyId - API key ID
+ * @param {Object} charge - Charge returned by chargeCredits
+ * @param {Object|null} result - Generation result, or null when the whole request failed
+ * @returns {Promise<void>}
+ */
+const settleCredits = async (keyId, charge, result) => {
+  if (!charge) {
+    return;
+  }
+  
+  const failed = result
+    ? result.data.filter(item => item.error).length
+    : charge.amount / charge.perImage;
+  
+  if (failed === 0) {
+    return;
+  }
+  
+  try {
+    await credits.adjust(keyId, failed * charge.perImage, CREDIT_ENTRY_TYPES.REFUND, { failed_images: failed });
+  } catch (error) {
+    logger.error('Failed to refund credits', { key_id: keyId, error });
+  }
+};
+
+/**
+ * Get the credit balance, budgets and recent ledger entries of a key (admin function)
+ * @param {string} keyId - API key ID
+ * @param {number} [limit] - Number of ledger entries to return
+ * @returns {Promise<Object>} - { credits, entries }
+ */
+const getCreditSummary = async (keyId, limit = 50) => {
+  const count = Number(limit);
+  
+  if (!Number.isInteger(count) || count < 1 || count > 500) {
+    throw new ApiError('limit must be an integer between 1 and 500', 400, 'invalid_request_error', 'limit', 'param_invalid');
+  }
+  
+  let summary;
+  let entries;
+  try {
+    summary = await credits.summary(keyId, getBudgetWindows());
+    entries = summary ? await credits.listEntries(keyId, count) : [];
+  } catch (error) {
+    logger.error('Error fetching credits', { error });
+    throw new ApiError('Failed to fetch credits', 500, 'server_error', null, 'credit_fetch_failed');
+  }
+  
+  if (!summary) {
+    throw new ApiError('API key not found', 404, 'invalid_request_error', 'keyId', 'key_not_found');
+  }
+  
+  return { credits: formatCreditSummary(summary), entries };
+};
+
+/**
+ * Top up (positive amount) or adjust (negative amount) the credit balance of a key (admin function)
+ * @param {string} keyId - API key ID
+ * @param {number} amount - Credits to add or remove
+ * @param {string} [note] - Reason stored with the ledger entry
+ * @returns {Promise<Object>} - { credits }
+ */
+const adjustCredits = async (keyId, amount, note) => {
+  const value = Number(amount);
+  
+  if (!Number.isInteger(value) || value === 0) {
+    throw new ApiError('amount must be a non-zero integer', 400, 'invalid_request_error', 'amount', 'param_invalid');
+  }
+  
+  if (note !== undefined && typeof note !== 'string') {
+    throw new ApiError('note must be a string', 400, 'invalid_request_error', 'note', 'param_invalid');
+  }
+  
+  const type = value > 0 ? CREDIT_ENTRY_TYPES.TOP_UP : CREDIT_ENTRY_TYPES.ADJUSTMENT;
+  
+  let result;
+  try {
+    result = await credits.adjust(keyId, value, type, note ? { note } : null);
+  } catch (error) {
+    logger.error('Error adjusting credits', { error });
+    throw new ApiError('Failed to adjust credits', 500, 'server_error', null, 'credit_adjust_failed');
+  }
+  
+  if (!result) {
+    throw new ApiError('API key not found', 404, 'invalid_request_error', 'keyId', 'key_not_found');
+  }
+  
+  if (!result.applied) {
+    throw new ApiError(
+      `Adjustment would make the balance negative (current balance ${result.balance})`,
+      409,
+      'invalid_request_error',
+      'amount',
+      'insufficient_credits'
+    );
+  }
+  
+  return getCreditSummary(keyId, 1);
+};
+
+module.exports = {
+  getCreditCost,
+  getCreditHeaders,
+  chargeCredits,
+  settleCredits,
+  getCreditSummary,
+  adjustCredits
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const { getStorage } = require('./storage');
+const { listProviders } = require('./providers');
+const { logger } = require('../utils/logger');
+const { HEALTH_CONFIG } = require('../config/constants');
+
+// Last readiness result (or the check still running) and when it was started
+let cachedReadiness = null;
+let cachedAt = 0;
+
+/**
+ * Get how long a readiness result is reused
+ * @returns {number} - TTL in milliseconds
+ */
+const getCacheTtl = () => {
+  const value = parseInt(process.env.READINESS_CACHE_TTL, 10);
+  return (Number.isInteger(value) && value >= 0 ? value : HEALTH_CONFIG.readinessCacheTtl) * 1000;
+};
+
+/**
+ * Run one dependency check with a time limit
+ * The error is only logged: /health/ready is public, and messages can name hosts, buckets or paths
+ * @param {Function} check - Returns a promise that rejects when the dependency is unhealthy
+ * @returns {Promise<Object>} - { status: 'ok' | 'error', latency_ms, error }
+ */
+const runCheck = async (check) => {
+  const startTime = Date.now();
+  let timer;
+  
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_CONFIG.checkTimeout}ms`)), HEALTH_CONFIG.checkTimeout);
+      })
+    ]);
+    
+    return { status: 'ok', latency_ms: Date.now() - startTime };
+  } catch (error) {
+    return { status: 'error', latency_ms: Date.now() - startTime, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Check that generated images can be written to the temp directory
+ * @returns {Promise<void>}
+ */
+const checkTempDir = async () => {
+  const filePath = path.join(process.env.TEMP_IMAGE_DIR || './temp', `.health-${uuidv4()}`);
+  await fs.promises.writeFile(filePath, '');
+  await fs.promises.unlink(filePath);
+};
+
+/**
+ * Drop the error message of a check result before it is returned to the caller
+ * @param {Object} result - Check result
+ * @returns {Object} - { status, latency_ms }
+ */
+const toPublicCheck = ({ error, ...result }) => result;
+
+/**
+ * Check every dependency a generation needs
+ * Only the database, storage and temp directory decide readiness. Providers are reported but not
+ * gated on: failover covers an unhealthy one, and restarting this service wouldn't fix it.
+ * @returns {Promise<Object>} - { status: 'ok' | 'error', checked_at, checks }
+ */
+const checkDependencies = async () => {
+  const providers = listProviders();
+  
+  const [database, storage, tempDir, ...providerResults] = await Promise.all([
+    runCheck(() => repositories.ping()),
+    runCheck(() => getStorage().check()),
+    runCheck(checkTempDir),
+    ...providers.map(provider => (provider.checkHealth
+      ? runCheck(() => provider.checkHealth())
+      : { status: 'skipped', latency_ms: null }))
+  ]);
+  
+  const checks = {
+    database: { driver: process.env.DB_DRIVER || 'supabase', ...database },
+    storage: { driver: process.env.STORAGE_DRIVER || 'supabase', ...storage },
+    temp_dir: tempDir,
+    providers: providers.reduce((all, provider, index) => ({ ...all, [provider.name]: providerResults[index] }), {})
+  };
+  
+  const failed = [database, storage, tempDir].some(result => result.status === 'error');
+  
+  if (failed) {
+    logger.warn('Readiness check failed', { checks });
+  } else if (providerResults.some(result => result.status === 'error')) {
+    logger.warn('Provider health check failed', { providers: checks.providers });
+  }
+  
+  return {
+    status: failed ? 'error' : 'ok',
+    checked_at: new Date().toISOString(),
+    checks: {
+      database: toPublicCheck(checks.database),
+      storage: toPublicCheck(checks.storage),
+      temp_dir: toPublicCheck(checks.temp_dir),
+      providers: Object.fromEntries(Object.entries(checks.providers).map(([name, result]) => [name, toPublicCheck(result)]))
+    }
+  };
+};
+
+/**
+ * Get the readiness of the service: the database, storage backend and temp directory, plus provider status
+ * Results are reused for a few seconds, and probes arriving while a check runs share it
+ * @returns {Promise<Object>} - { status: 'ok' | 'error', checked_at, checks }
+ */
+const getReadiness = () => {
+  if (!cachedReadiness || Date.now() - cachedAt >= getCacheTtl()) {
+    cachedAt = Date.now();
+    cachedReadiness = checkDependencies();
+  }
+  
+  return cachedReadiness;
+};
+
+module.exports = {
+  getReadiness
+};
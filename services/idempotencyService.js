@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { idempotencyKeys } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { getJob } = require('./jobService');
+const { refreshResultUrls } = require('./imageHistoryService');
+const { parseUrlTtl } = require('../utils/imageUrls');
+const { IDEMPOTENCY_CONFIG, IMAGE_URL_CONFIG } = require('../config/constants');
+
+// Requests this process is running under an idempotency key ({ owner, promise, settle, timer }),
+// by key ID and idempotency key
+const pending = new Map();
+
+/**
+ * Get how long a key's response is replayed for
+ * @returns {number} - Window in seconds
+ */
+const getWindow = () => {
+  const value = parseInt(process.env.IDEMPOTENCY_WINDOW, 10);
+  return Number.isInteger(value) && value > 0 ? value : IDEMPOTENCY_CONFIG.window;
+};
+
+/**
+ * Validate an Idempotency-Key header
+ * @param {string} value - Header value
+ * @returns {string} - The idempotency key
+ */
+const parseIdempotencyKey = (value) => {
+  const key = value.trim();
+  
+  if (key === '' || key.length > IDEMPOTENCY_CONFIG.maxKeyLength) {
+    throw new ApiError(
+      `${IDEMPOTENCY_CONFIG.header} must be between 1 and ${IDEMPOTENCY_CONFIG.maxKeyLength} characters`,
+      400,
+      'invalid_request_error',
+      IDEMPOTENCY_CONFIG.header,
+      'param_invalid'
+    );
+  }
+  
+  return key;
+};
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies always hash the same
+ * @param {*} value - Parsed request body
+ * @returns {string} - Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash a request body
+ * @param {Object} body - Parsed request body
+ * @returns {string} - Hex digest
+ */
+const hashRequest = (body) => crypto.createHash('sha256').update(canonicalize(body || {})).digest('hex');
+
+/**
+ * Build the response to replay for a completed request
+ * An async job is reported with its current status rather than the one it was created with,
+ * and signed image URLs, which expire long before the replay window ends, are signed again
+ * @param {Object} record - Completed idempotency record
+ * @param {Object} requestBody - Body of the retry, the same as the original's
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+const getReplay = async (record, requestBody) => {
+  let body = record.response_body;
+  
+  if (record.job_id) {
+    try {
+      body = await getJob(record.job_id, record.key_id);
+    } catch (error) {
+      // e.g. the job was purged; the stored snapshot is still the right answer
+      logger.error('Error fetching job for idempotent replay', { error });
+    }
+  }
+  
+  try {
+    const urlTtl = parseUrlTtl(requestBody.url_ttl, IMAGE_URL_CONFIG.defaultTtl);
+    body = record.job_id
+      ? { ...body, result: await refreshResultUrls(body.result, record.key_id, urlTtl) }
+      : await refreshResultUrls(body, record.key_id, urlTtl);
+  } catch (error) {
+    logger.error('Error signing image URLs for idempotent replay', { error });
+  }
+  
+  return { status: record.response_status, headers: record.response_headers || {}, body };
+};
+
+/**
+ * When a processing lease taken now expires
+ * @returns {string} - ISO timestamp
+ */
+const getLeaseExpiry = () => new Date(Date.now() + IDEMPOTENCY_CONFIG.processingTimeout * 1000).toISOString();
+
+/**
+ * Extend the processing lease of a request this process is running
+ * Failures are logged; the next renewal tries again before the lease runs out
+ * @param {string} keyId - API key ID
+ * @param {string} idempotencyKey - Idempotency key
+ * @param {string} owner - Owner token of the request
+ * @returns {Promise<void>}
+ */
+const renewLease = async (keyId, idempotencyKey, owner) => {
+  try {
+    const record = await idempotencyKeys.renew(keyId, idempotencyKey, owner, getLeaseExpiry());
+    if (!record) {
+      logger.warn('Idempotency record is no longer owned by its running request', { idempotency_key: idempotencyKey });
+    }
+  } catch (error) {
+    logger.error('Error renewing idempotency lease', { error });
+  }
+};
+
+/**
+ * Start a request under an idempotency key
+ * The first request with a key runs; a retry gets the stored response, or waits for the original
+ * when this process is still running it. The running request renews its processing lease, so a
+ * record whose lease expired was abandoned by a stopped process and the next request takes it over.
+ * @param {string} keyId - API key ID
+ * @param {string} idempotencyKey - Idempotency key sent by the client
+ * @param {Object} body - Parsed request body
+ * @returns {Promise<Object>} - { replay: { status, headers, body } } to replay, or { owner } when the request
+ * should run; owner is passed to completeRequest or releaseRequest
+ */
+const beginRequest = async (keyId, idempotencyKey, body) => {
+  const requestHash = hashRequest(body);
+  const pendingKey = `${keyId}|${idempotencyKey}`;
+  
+  for (;;) {
+    const owner = uuidv4();
+    const record = await idempotencyKeys.claim({
+      key_id: keyId,
+      idempotency_key: idempotencyKey,
+      request_hash: requestHash,
+      expires_at: new Date(Date.now() + getWindow() * 1000).toISOString(),
+      locked_until: getLeaseExpiry(),
+      locked_by: owner
+    });
+    
+    if (record.claimed) {
+      // A request of this process whose lease ran out was taken over: stop renewing it and wake its waiters
+      const previous = pending.get(pendingKey);
+      if (previous) {
+        clearInterval(previous.timer);
+        previous.settle();
+      }
+      
+      const running = { owner };
+      running.promise = new Promise(resolve => {
+        running.settle = resolve;
+      });
+      running.timer = setInterval(() => renewLease(keyId, idempotencyKey, owner), IDEMPOTENCY_CONFIG.renewInterval * 1000);
+      running.timer.unref();
+      pending.set(pendingKey, running);
+      return { owner };
+    }
+    
+    if (record.request_hash !== requestHash) {
+      throw new ApiError(
+        `${IDEMPOTENCY_CONFIG.header} was already used with a different request body`,
+        409,
+        'invalid_request_error',
+        IDEMPOTENCY_CONFIG.header,
+        'idempotency_key_reused'
+      );
+    }
+    
+    if (record.status === 'completed') {
+      return { replay: await getReplay(record, body) };
+    }
+    
+    // Wait for the original, then look again: it has either completed or been released for a retry
+    const running = pending.get(pendingKey);
+    if (!running) {
+      const error = new ApiError(
+        `A request with this ${IDEMPOTENCY_CONFIG.header} is still in progress`,
+        409,
+        'invalid_request_error',
+        IDEMPOTENCY_CONFIG.header,
+        'idempotency_request_in_progress'
+      );
+      error.retryAfter = 1;
+      throw error;
+    }
+    
+    await running.promise;
+  }
+};
+
+/**
+ * Stop tracking a running request and wake up retries waiting for it
+ * @param {string} keyId - API key ID
+ * @param {string} idempotencyKey - Idempotency key
+ * @param {string} owner - Owner token of the request
+ */
+const settlePending = (keyId, idempotencyKey, owner) => {
+  const pendingKey = `${keyId}|${idempotencyKey}`;
+  const running = pending.get(pendingKey);
+  
+  if (running && running.owner === owner) {
+    clearInterval(running.timer);
+    pending.delete(pendingKey);
+    running.settle();
+  }
+};
+
+/**
+ * Store the response of a request so retries replay it
+ * Nothing is stored when another request took the record over
+ * @param {string} keyId - API key ID
+ * @param {string} idempotencyKey - Idempotency key
+ * @param {string} owner - Owner token returned by beginRequest
+ * @param {Object} response - { status, headers, body }
+ * @returns {Promise<void>}
+ */
+const completeRequest = async (keyId, idempotencyKey, owner, { status, headers, body }) => {
+  try {
+    await idempotencyKeys.complete(keyId, idempotencyKey, owner, {
+      response_status: status,
+      response_headers: headers,
+      response_body: body,
+      // Accepted async requests return their job
+      job_id: status === 202 && body ? body.id : null
+    });
+  } finally {
+    settlePending(keyId, idempotencyKey, owner);
+  }
+};
+
+/**
+ * Forget a request that failed, so a retry with the same key runs again
+ * @param {string} keyId - API key ID
+ * @param {string} idempotencyKey - Idempotency key
+ * @param {string} owner - Owner token returned by beginRequest
+ * @returns {Promise<void>}
+ */
+const releaseRequest = async (keyId, idempotencyKey, owner) => {
+  try {
+    await idempotencyKeys.release(keyId, idempotencyKey, owner);
+  } finally {
+    settlePending(keyId, idempotencyKey, owner);
+  }
+};
+
+module.exports = {
+  parseIdempotencyKey,
+  beginRequest,
+  completeRequest,
+  releaseRequest
+};
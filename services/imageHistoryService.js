@@ -0,0 +1,228 @@
+const path = require('path');
+const { images } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { getStorage } = require('./storage');
+const { resolveModel } = require('./providers');
+const { formatStoredImage } = require('../utils/responseFormat');
+const { DAY, parseDate } = require('../utils/dates');
+const { parseUrlTtl, getImageContentUrl } = require('../utils/imageUrls');
+const { IMAGE_HISTORY_CONFIG, IMAGE_KINDS } = require('../config/constants');
+
+// Content types by stored file extension
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+/**
+ * Fetch an image row owned by the given key
+ * @param {string} imageId - ID of the image
+ * @param {string} keyId - API key ID of the caller
+ * @returns {Promise<Object>} - Image row from the database
+ */
+const findImage = async (imageId, keyId) => {
+  let data;
+  try {
+    data = await images.findForKey(imageId, keyId);
+  } catch (error) {
+    logger.error('Error fetching image', { error });
+    throw new ApiError('Failed to fetch image', 500, 'server_error', null, 'image_fetch_failed');
+  }
+  
+  if (!data) {
+    throw new ApiError('Image not found', 404, 'invalid_request_error', 'id', 'image_not_found');
+  }
+  
+  return data;
+};
+
+/**
+ * List the images of a key, newest first
+ * @param {string} keyId - API key ID of the caller
+ * @param {Object} query - { limit, after (image ID cursor), kind (defaults to output), model, start_date, end_date (YYYY-MM-DD, inclusive) }
+ * @returns {Promise<Object>} - OpenAI-style list with first_id, last_id and has_more
+ */
+const listImages = async (keyId, query = {}) => {
+  const limit = query.limit === undefined ? IMAGE_HISTORY_CONFIG.defaultPageSize : Number(query.limit);
+  
+  if (!Number.isInteger(limit) || limit < 1 || limit > IMAGE_HISTORY_CONFIG.maxPageSize) {
+    throw new ApiError(
+      `limit must be an integer between 1 and ${IMAGE_HISTORY_CONFIG.maxPageSize}`,
+      400,
+      'invalid_request_error',
+      'limit',
+      'param_invalid'
+    );
+  }
+  
+  // Uploaded edit inputs are only listed when asked for
+  const kind = query.kind || IMAGE_KINDS.OUTPUT;
+  if (!Object.values(IMAGE_KINDS).includes(kind)) {
+    throw new ApiError(
+      `Invalid kind. Must be one of: ${Object.values(IMAGE_KINDS).join(', ')}`,
+      400,
+      'invalid_request_error',
+      'kind',
+      'param_invalid'
+    );
+  }
+  
+  const from = query.start_date ? parseDate(query.start_date, 'start_date').toISOString() : null;
+  const to = query.end_date ? new Date(parseDate(query.end_date, 'end_date').getTime() + DAY).toISOString() : null;
+  
+  // The cursor must be one of the caller's images
+  const cursor = query.after ? await findImage(query.after, keyId) : null;
+  
+  let rows;
+  try {
+    // One extra row tells whether another page follows
+    rows = await images.listForKey(keyId, {
+      kind,
+      model: query.model ? resolveModel(query.model) : null,
+      from,
+      to,
+      cursor,
+      limit: limit + 1
+    });
+  } catch (error) {
+    logger.error('Error listing images', { error });
+    throw new ApiError('Failed to list images', 500, 'server_error', null, 'image_list_failed');
+  }
+  
+  const data = rows.slice(0, limit).map(image => formatStoredImage(image));
+  
+  return {
+    object: 'list',
+    data,
+    first_id: data.length > 0 ? data[0].id : null,
+    last_id: data.length > 0 ? data[data.length - 1].id : null,
+    has_more: rows.length > limit
+  };
+};
+
+/**
+ * Get an image's metadata with a freshly signed URL
+ * @param {string} imageId - ID of the image
+ * @param {string} keyId - API key ID of the caller
+ * @param {number} [urlTtl] - Requested URL lifetime in seconds (bounded by server config)
+ * @returns {Promise<Object>} - The image
+ */
+const getImage = async (imageId, keyId, urlTtl) => {
+  const expiresIn = parseUrlTtl(urlTtl, IMAGE_HISTORY_CONFIG.signedUrlTtl);
+  const image = await findImage(imageId, keyId);
+  
+  let url;
+  try {
+    // Sign with the driver the image was stored with, which may no longer be the configured one
+    url = await getStorage(image.storage_driver).getSignedUrl(image.storage_path, expiresIn);
+  } catch (error) {
+    logger.error('Error signing image URL', { error });
+    throw new ApiError('Failed to create image URL', 502, 'api_error', null, 'storage_url_failed');
+  }
+  
+  return formatStoredImage(image, { url, expiresIn });
+};
+
+/**
+ * Sign the URLs of a stored generation result again, e.g. when replaying it after they expired
+ * Proxy URLs, base64 items and images deleted since are left as they are
+ * @param {Object|null} result - OpenAI-shaped result ({ data: [{ id, url }] })
+ * @param {string} keyId - API key ID owning the images
+ * @param {number} urlTtl - URL lifetime in seconds
+ * @returns {Promise<Object|null>} - The result with fresh URLs
+ */
+const refreshResultUrls = async (result, keyId, urlTtl) => {
+  if (!result || !Array.isArray(result.data)) {
+    return result;
+  }
+  
+  const data = await Promise.all(result.data.map(async (item) => {
+    if (!item.id || !item.url || item.url === getImageContentUrl(item.id)) {
+      return item;
+    }
+    
+    const image = await images.findForKey(item.id, keyId);
+    if (!image) {
+      return item;
+    }
+    
+    return { ...item, url: await getStorage(image.storage_driver).getSignedUrl(image.storage_path, urlTtl) };
+  }));
+  
+  return { ...result, data };
+};
+
+/**
+ * Get what's needed to answer a content request without reading the bytes yet
+ * Stored images never change, so the image ID doubles as a strong ETag
+ * @param {string} imageId - ID of the image
+ * @param {string} keyId - API key ID of the caller
+ * @returns {Promise<Object>} - { image, etag, lastModified, contentType }
+ */
+const getImageContentInfo = async (imageId, keyId) => {
+  const image = await findImage(imageId, keyId);
+  const extension = path.extname(image.storage_path).slice(1).toLowerCase();
+  
+  return {
+    image,
+    etag: `"${image.id}"`,
+    lastModified: new Date(image.created_at).toUTCString(),
+    contentType: CONTENT_TYPES[extension] || 'application/octet-stream'
+  };
+};
+
+/**
+ * Read a stored image's bytes from its storage driver
+ * @param {Object} image - Image row from the database
+ * @returns {Promise<Buffer>} - Image content
+ */
+const readImageContent = async (image) => {
+  try {
+    return await getStorage(image.storage_driver).download(image.storage_path);
+  } catch (error) {
+    logger.error('Error downloading image from storage', { error });
+    throw new ApiError('Failed to read image from storage', 502, 'api_error', null, 'storage_download_failed');
+  }
+};
+
+/**
+ * Delete an image from storage and the images table
+ * @param {string} imageId - ID of the image
+ * @param {string} keyId - API key ID of the caller
+ * @returns {Promise<Object>} - Deletion status
+ */
+const deleteImage = async (imageId, keyId) => {
+  const image = await findImage(imageId, keyId);
+  
+  try {
+    await getStorage(image.storage_driver).remove(image.storage_path);
+  } catch (error) {
+    logger.error('Error deleting image from storage', { error });
+    throw new ApiError('Failed to delete image from storage', 502, 'api_error', null, 'storage_delete_failed');
+  }
+  
+  try {
+    await images.removeForKey(imageId, keyId);
+  } catch (error) {
+    logger.error('Error deleting image', { error });
+    throw new ApiError('Failed to delete image', 500, 'server_error', null, 'image_delete_failed');
+  }
+  
+  return {
+    id: imageId,
+    object: 'image',
+    deleted: true
+  };
+};
+
+module.exports = {
+  listImages,
+  getImage,
+  refreshResultUrls,
+  getImageContentInfo,
+  readImageContent,
+  deleteImage
+};
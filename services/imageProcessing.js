@@ -0,0 +1,70 @@
+const sharp = require('sharp');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { detectImageFormat, getFormatInfo, parseDimensions } = require('../utils/imageFormat');
+const { IMAGE_OUTPUT_CONFIG } = require('../config/constants');
+
+/**
+ * Post-process a generated image before it is stored
+ * The source format is sniffed from the bytes; the image is resized to cover the requested
+ * size and center-cropped to it, then encoded in the requested output format
+ * @param {Buffer} buffer - Image content as returned by the upstream
+ * @param {Object} [options] - { size, format (output_format), compression (output_compression, 0-100) }
+ * @returns {Promise<Object>} - { buffer, format, contentType, extension }
+ */
+const processImage = async (buffer, options = {}) => {
+  const {
+    size,
+    format = IMAGE_OUTPUT_CONFIG.defaultFormat,
+    compression = IMAGE_OUTPUT_CONFIG.defaultCompression
+  } = options;
+  
+  if (!detectImageFormat(buffer)) {
+    throw new ApiError(
+      'Provider returned content that is not a supported image',
+      502,
+      'api_error',
+      null,
+      'invalid_upstream_image'
+    );
+  }
+  
+  try {
+    let pipeline = sharp(buffer);
+    
+    const dimensions = parseDimensions(size);
+    if (dimensions) {
+      pipeline = pipeline.resize(dimensions.width, dimensions.height, { fit: 'cover', position: 'centre' });
+    }
+    
+    // sharp's quality starts at 1
+    const quality = Math.max(1, compression);
+    
+    if (format === 'jpeg') {
+      pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality });
+    } else if (format === 'webp') {
+      pipeline = pipeline.webp({ quality });
+    } else {
+      pipeline = pipeline.png();
+    }
+    
+    return {
+      buffer: await pipeline.toBuffer(),
+      format,
+      ...getFormatInfo(format)
+    };
+  } catch (error) {
+    logger.error('Error processing image', { error });
+    throw new ApiError(
+      'Failed to process image',
+      500,
+      'api_error',
+      null,
+      'image_processing_failed'
+    );
+  }
+};
+
+module.exports = {
+  processImage
+};
@@ -3,207 +3,440 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { ApiError } = require('../middleware/errorHandler');
-const supabase = require('../config/db');
+const { logger, runWithLogContext } = require('../utils/logger');
+const { requestLogs, images } = require('../repositories');
 const {
-  PROVIDERS,
-  MODEL_PROVIDERS,
-  FLUX_SIZE_MAP,
-  OPENAI_MODEL_MAP,
-  POLL_CONFIG
+  DEFAULT_MODEL,
+  DEFAULT_SIZE,
+  POLL_CONFIG,
+  GENERATION_CONFIG,
+  FAILOVER_CONFIG,
+  FAILURE_CLASS,
+  IMAGE_URL_CONFIG,
+  CAPABILITIES,
+  UPLOAD_CONFIG,
+  IMAGE_OUTPUT_CONFIG,
+  IMAGE_KINDS
 } = require('../config/constants');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { getProviderForModel, resolveModel, supportsCapability } = require('./providers');
+const { getStorage } = require('./storage');
+const { processImage } = require('./imageProcessing');
+const { getFormatInfo } = require('../utils/imageFormat');
+const { isModelAllowed } = require('../utils/keyPolicy');
+const { upstreamStartDuration, upstreamPollDuration, upstreamPollAttempts } = require('./metrics');
+const { getImageContentUrl } = require('../utils/imageUrls');
+const { notifyGeneration } = require('./webhookService');
 
-// External API base URL and storage bucket from environment variables
-const API_BASE_URL = process.env.EXTERNAL_API_URL;
-const STORAGE_BUCKET = process.env.STORAGE_BUCKET;
+/**
+ * Convert an error into the per-item error shape returned in partial results
+ * @param {Error} error - The error raised while generating one image
+ * @returns {Object} - OpenAI-style error object
+ */
+const toItemError = (error) => ({
+  message: error.message || 'Failed to generate image',
+  type: error.type || 'api_error',
+  param: error.param || null,
+  code: error.code || 'generation_error'
+});
+
+/**
+ * Tag an error with the failure class used to decide on provider failover
+ * @param {Error} error - The error to tag
+ * @param {string} failureClass - One of FAILURE_CLASS
+ * @returns {Error} - The same error
+ */
+const withFailureClass = (error, failureClass) => Object.assign(error, { failureClass });
 
 /**
- * Generate an image using the external API
+ * Build the ordered list of models to try for a request
+ * @param {string} model - Native model requested
+ * @param {string} size - Requested size (fallbacks that can't serve it are skipped)
+ * @param {boolean} strictModel - Only use the requested model
+ * @param {Object} [modelPolicy] - The API key's { allowedModels, deniedModels }, applied to fallbacks
+ * @param {string} [operation] - One of CAPABILITIES (fallbacks that can't serve it are skipped)
+ * @returns {Array<Object>} - [{ model, provider }]
+ */
+const buildModelChain = (model, size, strictModel, modelPolicy = {}, operation = CAPABILITIES.GENERATIONS) => {
+  const fallbacks = strictModel ? [] : (FAILOVER_CONFIG.chains[model] || []);
+  
+  return [model, ...fallbacks]
+    .map(name => ({ model: resolveModel(name), provider: getProviderForModel(name) }))
+    .filter(({ model: name, provider }, position) => provider && (
+      position === 0 || (
+        provider.sizes.includes(size) &&
+        supportsCapability(name, operation) &&
+        isModelAllowed(modelPolicy, name)
+      )
+    ));
+};
+
+/**
+ * Sign short-lived URLs the provider can download the uploaded inputs of an edit from
+ * Signed per task start so resumed and failed-over tasks never get an expired URL
+ * @param {Object} [inputs] - { image, mask } as returned by storeInputImage
+ * @returns {Promise<Object>} - { imageUrl, maskUrl } (empty for plain generations)
+ */
+const signInputUrls = async (inputs) => {
+  if (!inputs) {
+    return {};
+  }
+  
+  const sign = (input) => (input
+    ? getStorage(input.storage_driver).getSignedUrl(input.storage_path, UPLOAD_CONFIG.inputUrlTtl)
+    : null);
+  
+  try {
+    const [imageUrl, maskUrl] = await Promise.all([sign(inputs.image), sign(inputs.mask)]);
+    return { imageUrl, maskUrl };
+  } catch (error) {
+    logger.error('Error signing input image URL', { error });
+    throw new ApiError('Failed to create input image URL', 502, 'api_error', null, 'storage_url_failed');
+  }
+};
+
+/**
+ * Generate images through the provider adapter serving the requested model
+ * Each of the n images is its own upstream task; tasks run with bounded concurrency.
+ * A failed task fails over along the model's fallback chain unless strict_model is set.
  * @param {Object} params - Parameters for image generation
+ * @param {Object} [options] - Execution hooks used by the async job runner
+ * @param {string} [options.jobId] - ID of the async job running the generation (included in webhook payloads)
+ * @param {Array<Object>} [options.taskRefs] - Existing { model, ref } tasks (by image index) to resume instead of starting new tasks
+ * @param {Function} [options.onTaskStarted] - Called with (index, { model, ref }) once an upstream task has been created
+ * @param {Function} [options.isCancelled] - Returns true when the generation should be abandoned
+ * @param {Function} [options.onProgress] - Called with (event, data) as tasks start, poll, fail over and upload
  * @returns {Promise<Object>} - The generated image data
  */
-const generateImage = async (params) => {
+const generateImage = async (params, options = {}) => {
+  const { jobId = null, taskRefs = [], onTaskStarted, isCancelled, onProgress } = options;
+  
+  // Progress listeners must never break the generation itself
+  const emit = (event, data) => {
+    if (!onProgress) {
+      return;
+    }
+    
+    try {
+      onProgress(event, data);
+    } catch (error) {
+      logger.error('Progress listener failed', { event, error });
+    }
+  };
+  
   try {
     // Extract parameters
-    const { prompt, n = 1, size = '1024x1024', model = 'dalle', response_format = 'url' } = params;
-    
-    if (!prompt) {
+    const {
+      prompt,
+      n = 1,
+      size = DEFAULT_SIZE,
+      model = DEFAULT_MODEL,
+      response_format = 'url',
+      strict_model = false,
+      url_type = IMAGE_URL_CONFIG.defaultType,
+      url_ttl = IMAGE_URL_CONFIG.defaultTtl,
+      output_format = IMAGE_OUTPUT_CONFIG.defaultFormat,
+      output_compression = IMAGE_OUTPUT_CONFIG.defaultCompression,
+      operation = CAPABILITIES.GENERATIONS,
+      inputs = null
+    } = params;
+    
+    // Variations are made from the uploaded image alone
+    if (!prompt && operation !== CAPABILITIES.VARIATIONS) {
       throw new ApiError('Prompt is required', 400, 'invalid_request_error', 'prompt', 'param_required');
     }
     
     // Convert from OpenAI model name if needed
-    const actualModel = OPENAI_MODEL_MAP[model] || model;
+    const actualModel = resolveModel(model);
     
-    // Get the provider for this model
-    const providerName = MODEL_PROVIDERS[actualModel];
-    if (!providerName) {
+    // Get the provider adapter for this model
+    const provider = getProviderForModel(actualModel);
+    if (!provider) {
       throw new ApiError('Invalid model', 400, 'invalid_request_error', 'model', 'param_invalid');
     }
     
-    const provider = PROVIDERS[providerName];
-    const endpoint = provider.endpoint;
-    
-    // Build API URL
-    let apiUrl = `${API_BASE_URL}${endpoint}?text=${encodeURIComponent(prompt)}`;
-    
-    // Add model param if using flux provider (which has multiple models)
-    if (providerName === 'flux') {
-      // If user specified an exact flux model, use that
-      if (actualModel.startsWith('flux')) {
-        apiUrl += `&model=${actualModel}`;
-      } else {
-        // Otherwise select by size
-        const fluxModel = FLUX_SIZE_MAP[size] || 'flux-1.1-pro-ultra';
-        apiUrl += `&model=${fluxModel}`;
+    const endpoint = provider.endpoint || provider.name;
+    const chain = buildModelChain(actualModel, size, strict_model, params.modelPolicy, operation);
+    
+    // Start (or resume) one upstream task and poll it to completion
+    const runTask = async (index, link, existingRef) => {
+      let taskRef = existingRef;
+      
+      if (!taskRef) {
+        const inputUrls = await signInputUrls(inputs);
+        const request = link.provider.buildRequest({ prompt, model: link.model, size, seed: params.seed, ...inputUrls });
+        
+        const endStart = upstreamStartDuration.startTimer({ provider: link.provider.name, model: link.model });
+        try {
+          taskRef = await link.provider.startJob(request);
+          endStart({ outcome: 'success' });
+        } catch (error) {
+          endStart({ outcome: 'failure' });
+          throw withFailureClass(error, FAILURE_CLASS.START);
+        }
+        
+        if (onTaskStarted) {
+          await onTaskStarted(index, { model: link.model, ref: taskRef });
+        }
+        
+        emit('task.started', { index, model: link.model, provider: link.provider.name });
       }
-    }
+      
+      return pollTaskCompletion(link.provider, taskRef, {
+        isCancelled,
+        onPoll: (poll) => emit('task.progress', { index, model: link.model, provider: link.provider.name, ...poll })
+      });
+    };
     
-    // Initial request to get job ID
-    const jobResponse = await axios.get(apiUrl);
+    // Generate one image end to end: run the task along the failover chain, then store
+    const generateOne = async (index) => {
+      const resumed = taskRefs[index];
+      
+      // When resuming, continue from the model that started the task
+      let position = resumed ? Math.max(0, chain.findIndex(link => link.model === resumed.model)) : 0;
+      let image;
+      
+      while (!image) {
+        const link = chain[position];
+        const existingRef = resumed && resumed.model === link.model ? resumed.ref : null;
+        
+        try {
+          // Lines logged by the task name the model and provider actually tried
+          image = await runWithLogContext(
+            { model: link.model, provider: link.provider.name },
+            () => runTask(index, link, existingRef)
+          );
+        } catch (error) {
+          const next = chain[position + 1];
+          if (!next || !FAILOVER_CONFIG.triggers.includes(error.failureClass)) {
+            throw error;
+          }
+          
+          logger.warn('Model failed, failing over', { from: link.model, to: next.model, reason: error.failureClass });
+          emit('task.failover', { index, from: link.model, to: next.model, reason: error.failureClass });
+          position++;
+        }
+      }
+      
+      const { model: servedModel, provider: servedBy } = chain[position];
+      
+      // Resize and convert, upload to storage and get new URL (the id lets clients fetch the image again later)
+      emit('image.uploading', { index, model: servedModel });
+      const stored = await uploadToStorage(image.url, params.keyId, prompt, servedModel, {
+        urlType: url_type,
+        urlTtl: url_ttl,
+        sourceImageId: inputs ? inputs.image.id : null,
+        // Only images of the requested model may answer later cached requests for it
+        cacheKey: servedModel === actualModel ? params.cacheKey || null : null,
+        output: { size, format: output_format, compression: output_compression }
+      });
+      
+      if (response_format === 'b64_json') {
+        // Encode the processed image that was stored
+        return { id: stored.id, b64_json: stored.content.toString('base64'), model: servedModel, provider: servedBy.name };
+      }
+      
+      // Default to URL response
+      return { id: stored.id, url: stored.url, model: servedModel, provider: servedBy.name };
+    };
+    
+    const indexes = Array.from({ length: n }, (_, index) => index);
+    const results = await mapWithConcurrency(indexes, GENERATION_CONFIG.maxConcurrentTasks, async (index) => {
+      try {
+        return { ok: true, item: await generateOne(index) };
+      } catch (error) {
+        logger.error('Image generation failed', { index, n, error });
+        return { ok: false, error };
+      }
+    });
     
-    if (!jobResponse.data.ok) {
-      throw new ApiError(
-        jobResponse.data.message || 'Failed to start image generation',
-        400,
-        'api_error',
-        null,
-        'generation_failed'
-      );
+    // Nothing to return if every task failed
+    const succeeded = results.filter(result => result.ok);
+    if (succeeded.length === 0) {
+      throw results[0].error;
     }
     
-    // Get the task URL
-    const taskUrl = jobResponse.data.task_url;
-    
-    // Poll for task completion
-    const image = await pollTaskCompletion(taskUrl);
-    
-    // Upload to Supabase Storage and get new URL
-    const imageUrl = await uploadToStorage(image.url, params.keyId, prompt, actualModel);
+    // Providers that actually served the images (differs from the requested one after failover)
+    const servedProviders = [...new Set(succeeded.map(result => result.item.provider))];
     
     // Log request in database
     try {
-      await supabase.from('request_logs').insert({
+      await requestLogs.create({
         key_id: params.keyId,
         endpoint: endpoint,
-        prompt: prompt,
+        prompt: prompt || null,
         model: actualModel,
-        status: 'success',
+        provider: servedProviders.join(','),
+        fallback_used: servedProviders.some(name => name !== provider.name),
+        status: succeeded.length === n ? 'success' : 'partial',
+        images_requested: n,
+        images_generated: succeeded.length,
+        // Failed images are refunded, so only delivered ones are paid for
+        credits_used: params.creditCharge ? params.creditCharge.perImage * succeeded.length : 0,
         created_at: new Date().toISOString()
       });
     } catch (logError) {
-      console.error('Failed to log request:', logError);
+      logger.error('Failed to log request', { error: logError });
       // Don't throw error, continue with response
     }
     
-    // Format response like OpenAI
-    const created = Math.floor(Date.now() / 1000);
-    
-    // Handle different response formats
-    if (response_format === 'b64_json') {
-      // Download image and convert to base64
-      const imageBase64 = await imageToBase64(image.url);
-      return {
-        creator: 'featherops',
-        created,
-        data: Array(n).fill().map(() => ({ b64_json: imageBase64 }))
-      };
-    } else {
-      // Default to URL response
-      return {
-        creator: 'featherops',
-        created,
-        data: Array(n).fill().map(() => ({ url: imageUrl }))
-      };
+    // Format response like OpenAI, keeping failed images in place as per-item errors
+    const response = {
+      creator: 'featherops',
+      created: Math.floor(Date.now() / 1000),
+      size,
+      output_format,
+      data: results.map(result => (result.ok ? result.item : { error: toItemError(result.error) }))
+    };
+    
+    // Tell the key's webhooks (and the request's callback_url) that the generation finished,
+    // unless its job was cancelled meanwhile and the result is about to be discarded
+    if (!(isCancelled && isCancelled())) {
+      await notifyGeneration(params, { jobId, result: response });
     }
+    
+    return response;
   } catch (error) {
     // Log error in database
     try {
       if (params.keyId) {
-        await supabase.from('request_logs').insert({
+        await requestLogs.create({
           key_id: params.keyId,
           endpoint: error.config?.url || 'unknown',
           prompt: params.prompt || 'unknown',
           model: params.model || 'unknown',
           status: 'error',
+          images_requested: params.n || 1,
+          images_generated: 0,
+          credits_used: 0,
           created_at: new Date().toISOString()
         });
       }
     } catch (logError) {
-      console.error('Failed to log error:', logError);
+      logger.error('Failed to log error', { error: logError });
     }
     
-    console.error('Image generation error:', error);
-    
-    if (error instanceof ApiError) {
-      throw error;
-    }
+    logger.error('Image generation error', { error });
     
-    throw new ApiError(
+    const apiError = error instanceof ApiError ? error : new ApiError(
       error.message || 'Failed to generate image',
       error.response?.status || 500,
       'api_error',
       null,
       'generation_error'
     );
+    
+    // A cancelled job was stopped by the client, so there is nothing to report
+    if (apiError.code !== 'generation_cancelled') {
+      await notifyGeneration(params, { jobId, error: apiError });
+    }
+    
+    throw apiError;
   }
 };
 
 /**
- * Poll the task URL until the image is ready
- * @param {string} taskUrl - URL to poll for task status
- * @returns {Promise<Object>} - The generated image data
+ * Poll a provider task until the image is ready
+ * @param {Object} provider - Provider adapter that started the task
+ * @param {string} taskRef - Task reference returned by the adapter's startJob
+ * @param {Object} [options] - Polling options
+ * @param {Function} [options.isCancelled] - Returns true when polling should stop
+ * @param {Function} [options.onPoll] - Called with { attempt, status, progress, message } after each answered poll
+ * @returns {Promise<Object>} - The generated image data ({ url })
  */
-const pollTaskCompletion = async (taskUrl) => {
+const pollTaskCompletion = async (provider, taskRef, options = {}) => {
   const { maxAttempts, interval } = POLL_CONFIG;
+  const { isCancelled, onPoll } = options;
+  
+  // Records how many polls the task took and how it ended
+  const finish = (attempts, outcome) => upstreamPollAttempts.observe({ provider: provider.name, outcome }, attempts);
   
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    // Checked outside the try so cancellation is never swallowed as a failed poll
+    if (isCancelled && isCancelled()) {
+      finish(attempt, 'cancelled');
+      throw new ApiError(
+        'Image generation was cancelled',
+        409,
+        'api_error',
+        null,
+        'generation_cancelled'
+      );
+    }
+    
+    let result;
+    const endPoll = upstreamPollDuration.startTimer({ provider: provider.name });
     try {
-      const response = await axios.get(taskUrl);
-      const data = response.data;
-      
-      if (data.status === 'done' && data.url) {
-        return {
-          ok: true,
-          status: 'done',
-          url: data.url
-        };
-      } else if (data.status === 'error') {
-        throw new ApiError(
-          data.message || 'Image generation failed',
-          400,
-          'api_error',
-          null,
-          'generation_failed'
-        );
-      }
-      
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, interval));
+      result = await provider.poll(taskRef);
+      endPoll({ outcome: result.status });
     } catch (error) {
-      console.error(`Polling attempt ${attempt + 1} failed:`, error);
+      endPoll({ outcome: 'failure' });
+      logger.warn('Polling attempt failed', { attempt: attempt + 1, error });
       
       // Wait before retrying
       await new Promise(resolve => setTimeout(resolve, interval));
+      continue;
+    }
+    
+    if (onPoll) {
+      onPoll({
+        attempt: attempt + 1,
+        status: result.status,
+        progress: result.progress ?? null,
+        message: result.message || null
+      });
+    }
+    
+    if (result.status === 'done') {
+      finish(attempt + 1, 'done');
+      return provider.normalizeResult(result);
+    } else if (result.status === 'error') {
+      // The upstream gave up on this task, retrying the poll won't help
+      finish(attempt + 1, 'error');
+      throw withFailureClass(new ApiError(
+        result.message || 'Image generation failed',
+        400,
+        'api_error',
+        null,
+        'generation_failed'
+      ), FAILURE_CLASS.POLL);
     }
+    
+    // Wait before next poll
+    await new Promise(resolve => setTimeout(resolve, interval));
   }
   
-  throw new ApiError(
+  finish(maxAttempts, 'timeout');
+  throw withFailureClass(new ApiError(
     'Image generation timed out',
     408,
     'timeout_error',
     null,
     'generation_timeout'
-  );
+  ), FAILURE_CLASS.TIMEOUT);
 };
 
 /**
- * Upload an image to Supabase Storage
+ * Upload an image through the configured storage driver
  * @param {string} sourceUrl - The source image URL
  * @param {string} keyId - The API key ID for tracking
  * @param {string} prompt - The prompt that generated the image
  * @param {string} model - The model used to generate the image
- * @returns {Promise<string>} - The URL of the uploaded image
+ * @param {Object} [options] - { urlType: 'signed' or 'proxy', urlTtl: signed URL lifetime in seconds, sourceImageId: uploaded input of an edit,
+ *   cacheKey: result cache key of the request, output: { size, format, compression } post-processing applied before storing }
+ * @returns {Promise<Object>} - { id, url, content } of the stored image (content is the processed image)
  */
-const uploadToStorage = async (sourceUrl, keyId, prompt, model) => {
+const uploadToStorage = async (sourceUrl, keyId, prompt, model, options = {}) => {
+  const {
+    urlType = IMAGE_URL_CONFIG.defaultType,
+    urlTtl = IMAGE_URL_CONFIG.defaultTtl,
+    sourceImageId = null,
+    cacheKey = null,
+    output = {}
+  } = options;
+  const storage = getStorage();
+  let fileName = null;
+  
   try {
     // Create temp directory if it doesn't exist
     const tempDir = process.env.TEMP_IMAGE_DIR || './temp';
@@ -211,11 +444,9 @@ const uploadToStorage = async (sourceUrl, keyId, prompt, model) => {
       fs.mkdirSync(tempDir, { recursive: true });
     }
     
-    // Generate a unique filename
+    // Generate a unique filename (the real format is only known once the image is read)
     const fileId = uuidv4();
-    // Determine file extension from URL or default to png
-    const fileExt = sourceUrl.includes('.jpg') ? 'jpg' : 'png';
-    const fileName = path.join(tempDir, `${fileId}.${fileExt}`);
+    fileName = path.join(tempDir, `${fileId}.download`);
     
     // Download the image
     const response = await axios({
@@ -234,109 +465,101 @@ const uploadToStorage = async (sourceUrl, keyId, prompt, model) => {
       writer.on('error', reject);
     });
     
-    // Read the file
-    const fileBuffer = fs.readFileSync(fileName);
+    // Read the file, then resize/crop and convert it to the requested output format
+    const processed = await processImage(fs.readFileSync(fileName), output);
     
     // Path in storage
-    const storagePath = `${keyId}/${fileId}.${fileExt}`;
-    
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from(STORAGE_BUCKET)
-      .upload(storagePath, fileBuffer, {
-        contentType: fileExt === 'jpg' ? 'image/jpeg' : 'image/png',
-        cacheControl: '3600',
-        upsert: false
-      });
-    
-    if (error) {
-      throw new Error(`Storage upload failed: ${error.message}`);
-    }
+    const storagePath = `${keyId}/${fileId}.${processed.extension}`;
     
-    // Generate a signed URL with 2-minute expiration instead of public URL
-    const expirySeconds = 120; // 2 minutes
-    const { data: signedUrlData, error: signedUrlError } = await supabase.storage
-      .from(STORAGE_BUCKET)
-      .createSignedUrl(storagePath, expirySeconds);
-    
-    if (signedUrlError) {
-      throw new Error(`Failed to create signed URL: ${signedUrlError.message}`);
-    }
+    // Upload through the configured storage driver
+    await storage.upload(storagePath, processed.buffer, {
+      contentType: processed.contentType
+    });
     
     // Log the image in the database
-    await supabase.from('images').insert({
+    const stored = await images.create({
       key_id: keyId,
       storage_path: storagePath,
+      storage_driver: storage.name,
+      kind: IMAGE_KINDS.OUTPUT,
+      source_image_id: sourceImageId,
+      cache_key: cacheKey,
       prompt: prompt,
       model: model,
       created_at: new Date().toISOString()
     });
     
-    // Clean up temp file
-    fs.unlinkSync(fileName);
+    // Either a stable proxy URL or a signed URL with the requested lifetime, never a public URL
+    const url = urlType === 'proxy'
+      ? getImageContentUrl(stored.id)
+      : await storage.getSignedUrl(storagePath, urlTtl);
     
-    return signedUrlData.signedUrl;
+    return { id: stored.id, url, content: processed.buffer };
   } catch (error) {
-    console.error('Error uploading to storage:', error);
+    // Unusable upstream images are reported as they are
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    
+    logger.error('Error uploading to storage', { error });
     
-    // If storage fails, return the original URL as fallback
-    return sourceUrl;
+    // Never hand out the upstream URL; the image is reported as failed instead
+    throw new ApiError(
+      'Failed to store generated image',
+      502,
+      'api_error',
+      null,
+      'storage_upload_failed'
+    );
+  } finally {
+    // Clean up temp file
+    if (fileName && fs.existsSync(fileName)) {
+      fs.unlinkSync(fileName);
+    }
   }
 };
 
 /**
- * Convert an image URL to base64
- * @param {string} url - Image URL
- * @returns {Promise<string>} - Base64 encoded image
+ * Store an uploaded input (source image or edit mask) next to the key's generated images
+ * @param {Object} file - Uploaded file ({ buffer, format } with the format detected by the upload middleware)
+ * @param {string} keyId - The API key ID for tracking
+ * @param {string} kind - IMAGE_KINDS.INPUT or IMAGE_KINDS.MASK
+ * @param {Object} [details] - { prompt, sourceImageId (the source image a mask belongs to) }
+ * @returns {Promise<Object>} - { id, storage_path, storage_driver } of the stored input
  */
-const imageToBase64 = async (url) => {
+const storeInputImage = async (file, keyId, kind, details = {}) => {
+  const storage = getStorage();
+  const { extension, contentType } = getFormatInfo(file.format);
+  const storagePath = `${keyId}/inputs/${uuidv4()}.${extension}`;
+  
   try {
-    // Create temp directory if it doesn't exist
-    const tempDir = process.env.TEMP_IMAGE_DIR || './temp';
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-    
-    // Generate a unique filename
-    const fileName = path.join(tempDir, `${uuidv4()}.png`);
-    
-    // Download the image
-    const response = await axios({
-      method: 'get',
-      url,
-      responseType: 'stream'
-    });
+    await storage.upload(storagePath, file.buffer, { contentType });
     
-    // Save the image to a file
-    const writer = fs.createWriteStream(fileName);
-    response.data.pipe(writer);
-    
-    // Wait for the file to be saved
-    await new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
+    const stored = await images.create({
+      key_id: keyId,
+      storage_path: storagePath,
+      storage_driver: storage.name,
+      kind,
+      source_image_id: details.sourceImageId || null,
+      prompt: details.prompt || null,
+      model: null,
+      created_at: new Date().toISOString()
     });
     
-    // Read the file and convert to base64
-    const imageBuffer = fs.readFileSync(fileName);
-    const base64Image = imageBuffer.toString('base64');
-    
-    // Clean up the temporary file
-    fs.unlinkSync(fileName);
-    
-    return base64Image;
+    return { id: stored.id, storage_path: storagePath, storage_driver: storage.name };
   } catch (error) {
-    console.error('Error converting image to base64:', error);
+    logger.error('Error storing uploaded image', { error });
     throw new ApiError(
-      'Failed to process image',
-      500,
-      'processing_error',
+      'Failed to store uploaded image',
+      502,
+      'api_error',
       null,
-      'image_processing_failed'
+      'storage_upload_failed'
     );
   }
 };
 
 module.exports = {
-  generateImage
+  generateImage,
+  storeInputImage
 }; 
\ No newline at end of file
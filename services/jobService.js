@@ -0,0 +1,320 @@
+const { v4: uuidv4 } = require('uuid');
+const { jobs } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { generateImage } = require('./imageService');
+const { settleCredits } = require('./creditService');
+const { deleteImage } = require('./imageHistoryService');
+const { formatJobResponse } = require('../utils/responseFormat');
+const { logger, runWithLogContext } = require('../utils/logger');
+const { INSTANCE_ID } = require('../utils/instance');
+const { JOB_STATUS, ACTIVE_JOB_STATUSES, LEASE_CONFIG } = require('../config/constants');
+
+// Jobs being executed by this process, keyed by job ID
+const runningJobs = new Map();
+
+/**
+ * Update a job row, only while it is still active
+ * A job cancelled mid-flight must not be overwritten by its own completion
+ * Failures are logged rather than thrown so a finished generation isn't turned into an error
+ * @param {string} jobId - ID of the job
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<Object|null|undefined>} - The updated job, null when it is no longer active,
+ * undefined when the update failed
+ */
+const updateActiveJob = async (jobId, fields) => {
+  try {
+    return await jobs.updateActive(jobId, { ...fields, updated_at: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to update job', { job_id: jobId, error });
+    return undefined;
+  }
+};
+
+/**
+ * Undo a generation that finished after its job was cancelled
+ * A cancelled job is never charged and keeps no images, however late the cancellation came,
+ * so the whole charge is refunded and the stored images are deleted
+ * @param {Object} job - Job row from the database
+ * @param {Object} result - Generation result
+ * @returns {Promise<void>}
+ */
+const discardCancelledResult = async (job, result) => {
+  await settleCredits(job.key_id, job.params.creditCharge, null);
+  
+  await Promise.all(result.data.filter(item => item.id).map(item => deleteImage(item.id, job.key_id)
+    .catch(error => logger.error('Failed to delete image of a cancelled job', { image_id: item.id, error }))));
+};
+
+/**
+ * Renew the lease of a job this process runs
+ * A lost lease means another process took the job over; a job cancelled through another
+ * process is only seen here, so both stop the generation
+ * @param {Object} job - Job row from the database
+ * @param {Object} state - Run state of the job
+ * @returns {Promise<void>}
+ */
+const renewJobLease = async (job, state) => {
+  let current;
+  try {
+    current = await jobs.renewLease(job.id, INSTANCE_ID, LEASE_CONFIG.duration);
+  } catch (error) {
+    logger.warn('Failed to renew job lease', { job_id: job.id, error });
+    return;
+  }
+  
+  if (!current) {
+    logger.warn('Lost the lease of a running job', { job_id: job.id });
+    state.leaseLost = true;
+    state.cancelled = true;
+  } else if (current.status === JOB_STATUS.CANCELLED) {
+    state.cancelled = true;
+  }
+};
+
+/**
+ * Run a job without waiting for it; its log lines name the job, key and model
+ * @param {Object} job - Job row from the database
+ */
+const startJob = (job) => {
+  runWithLogContext({ job_id: job.id, key_id: job.key_id, model: job.params.model }, () => runJob(job))
+    .catch(error => logger.error('Job crashed', { error }));
+};
+
+/**
+ * Execute a job in the background and persist its outcome
+ * The caller must hold the job's lease; it is renewed until the job finishes
+ * @param {Object} job - Job row from the database
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  if (runningJobs.has(job.id)) {
+    return;
+  }
+  
+  const state = { cancelled: false, leaseLost: false };
+  runningJobs.set(job.id, state);
+  
+  const leaseTimer = setInterval(() => renewJobLease(job, state), LEASE_CONFIG.renewInterval);
+  leaseTimer.unref();
+  
+  try {
+    await updateActiveJob(job.id, { status: JOB_STATUS.RUNNING });
+    
+    // Provider task references by image index, persisted so a restart can resume polling
+    const taskRefs = [...(job.task_refs || [])];
+    
+    const result = await generateImage(job.params, {
+      jobId: job.id,
+      taskRefs,
+      onTaskStarted: (index, taskRef) => {
+        taskRefs[index] = taskRef;
+        return updateActiveJob(job.id, { task_refs: taskRefs });
+      },
+      isCancelled: () => state.cancelled
+    });
+    
+    // The process that took the job over records the outcome and settles the credits
+    if (state.leaseLost) {
+      return;
+    }
+    
+    const finished = await updateActiveJob(job.id, { status: JOB_STATUS.SUCCEEDED, result });
+    
+    // Cancelled while the generation was finishing
+    if (finished === null) {
+      await discardCancelledResult(job, result);
+      return;
+    }
+    
+    await settleCredits(job.key_id, job.params.creditCharge, result);
+  } catch (error) {
+    if (state.leaseLost) {
+      return;
+    }
+    
+    // Failed and cancelled jobs deliver nothing, so the whole charge is refunded
+    await settleCredits(job.key_id, job.params.creditCharge, null);
+    
+    if (state.cancelled) {
+      return;
+    }
+    
+    await updateActiveJob(job.id, {
+      status: JOB_STATUS.FAILED,
+      error: {
+        message: error.message || 'Failed to generate image',
+        type: error.type || 'server_error',
+        param: error.param || null,
+        code: error.code || null
+      }
+    });
+  } finally {
+    clearInterval(leaseTimer);
+    runningJobs.delete(job.id);
+  }
+};
+
+/**
+ * Create an async generation job and start it in the background
+ * @param {Object} params - Validated generation parameters (including keyId)
+ * @returns {Promise<Object>} - The created job
+ */
+const createJob = async (params) => {
+  const now = new Date().toISOString();
+  
+  let data;
+  try {
+    data = await jobs.create({
+      id: uuidv4(),
+      key_id: params.keyId,
+      status: JOB_STATUS.QUEUED,
+      params,
+      task_refs: [],
+      result: null,
+      error: null,
+      // Created holding the lease, so other processes leave the job to this one
+      locked_by: INSTANCE_ID,
+      locked_until: new Date(Date.now() + LEASE_CONFIG.duration).toISOString(),
+      created_at: now,
+      updated_at: now
+    });
+  } catch (error) {
+    logger.error('Error creating job', { error });
+    throw new ApiError(
+      'Failed to create generation job',
+      500,
+      'server_error',
+      null,
+      'job_creation_failed'
+    );
+  }
+  
+  // Run without blocking the response
+  startJob(data);
+  
+  return formatJobResponse(data);
+};
+
+/**
+ * Fetch a job row owned by the given key
+ * @param {string} jobId - ID of the job
+ * @param {string} keyId - API key ID of the caller
+ * @returns {Promise<Object>} - Job row from the database
+ */
+const findJob = async (jobId, keyId) => {
+  let data;
+  try {
+    data = await jobs.findForKey(jobId, keyId);
+  } catch (error) {
+    logger.error('Error fetching job', { error });
+    throw new ApiError('Failed to fetch job', 500, 'server_error', null, 'job_fetch_failed');
+  }
+  
+  if (!data) {
+    throw new ApiError('Job not found', 404, 'invalid_request_error', 'id', 'job_not_found');
+  }
+  
+  return data;
+};
+
+/**
+ * Get the status (and result once finished) of a job
+ * @param {string} jobId - ID of the job
+ * @param {string} keyId - API key ID of the caller
+ * @returns {Promise<Object>} - The job
+ */
+const getJob = async (jobId, keyId) => {
+  const job = await findJob(jobId, keyId);
+  return formatJobResponse(job);
+};
+
+/**
+ * Cancel a queued or running job
+ * A cancelled job costs nothing: its charge is refunded, and images generated before the
+ * cancellation took effect are deleted. Finished jobs can't be cancelled (409).
+ * @param {string} jobId - ID of the job
+ * @param {string} keyId - API key ID of the caller
+ * @returns {Promise<Object>} - The cancelled job
+ */
+const cancelJob = async (jobId, keyId) => {
+  const job = await findJob(jobId, keyId);
+  
+  if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+    throw new ApiError(
+      `Job cannot be cancelled because it is already ${job.status}`,
+      409,
+      'invalid_request_error',
+      'id',
+      'job_not_cancellable'
+    );
+  }
+  
+  let data;
+  try {
+    data = await jobs.updateActive(jobId, {
+      status: JOB_STATUS.CANCELLED,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error cancelling job', { error });
+    throw new ApiError('Failed to cancel job', 500, 'server_error', null, 'job_cancel_failed');
+  }
+  
+  // The job finished between the read and the update
+  if (!data) {
+    return getJob(jobId, keyId);
+  }
+  
+  // Stop polling if this process is running the job
+  const state = runningJobs.get(jobId);
+  if (state) {
+    state.cancelled = true;
+  }
+  
+  return formatJobResponse(data);
+};
+
+/**
+ * Take over jobs left queued or running by a stopped server process
+ * Runs at startup and every LEASE_CONFIG.sweepInterval. A job is only started after its lease
+ * is claimed, so with several processes each job runs, and is settled, exactly once.
+ * @returns {Promise<number>} - Number of resumed jobs
+ */
+const resumePendingJobs = async () => {
+  let data;
+  try {
+    data = await jobs.listActive();
+  } catch (error) {
+    logger.error('Failed to load pending jobs', { error });
+    return 0;
+  }
+  
+  let resumed = 0;
+  for (const job of data) {
+    if (runningJobs.has(job.id)) {
+      continue;
+    }
+    
+    let claimed;
+    try {
+      claimed = await jobs.claim(job.id, INSTANCE_ID, LEASE_CONFIG.duration);
+    } catch (error) {
+      logger.error('Failed to claim job', { job_id: job.id, error });
+      continue;
+    }
+    
+    if (claimed) {
+      startJob(claimed);
+      resumed++;
+    }
+  }
+  
+  return resumed;
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  resumePendingJobs
+};
@@ -1,66 +1,296 @@
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const supabase = require('../config/db');
+const { keys, credits } = require('../repositories');
 const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const {
+  KEY_ROLES,
+  SCOPES,
+  SUPPORTED_SIZES,
+  KEY_ROTATION_CONFIG,
+  CREDIT_ENTRY_TYPES
+} = require('../config/constants');
+const { getProviderForModel } = require('./providers');
+const { resolveScopes } = require('../utils/keyPolicy');
+const { parseModerationPolicy } = require('./moderationService');
+const { parseCacheSettings } = require('./cacheService');
+
+// Key restriction fields accepted by the admin API, with the values each may contain
+// (the admin scope can't be assigned: it comes from the admin role only)
+const POLICY_LISTS = {
+  scopes: { isValid: (value) => value !== SCOPES.ADMIN && Object.values(SCOPES).includes(value), label: 'scope' },
+  allowed_models: { isValid: (value) => Boolean(getProviderForModel(value)), label: 'model' },
+  denied_models: { isValid: (value) => Boolean(getProviderForModel(value)), label: 'model' },
+  allowed_sizes: { isValid: (value) => SUPPORTED_SIZES.includes(value), label: 'size' },
+  denied_sizes: { isValid: (value) => SUPPORTED_SIZES.includes(value), label: 'size' }
+};
+
+/**
+ * Format a key row for API responses (never exposes the hash)
+ * @param {Object} key - Key row from the database
+ * @returns {Object} - Public key data
+ */
+const toPublicKey = (key) => ({
+  id: key.id,
+  owner_email: key.owner_email,
+  role: key.role || KEY_ROLES.STANDARD,
+  scopes: resolveScopes(key),
+  allowed_models: key.allowed_models || null,
+  denied_models: key.denied_models || null,
+  allowed_sizes: key.allowed_sizes || null,
+  denied_sizes: key.denied_sizes || null,
+  default_model: key.default_model || null,
+  moderation: key.moderation || null,
+  cache: key.cache || null,
+  rate_limit: key.rate_limit,
+  credit_balance: key.credit_balance ?? null,
+  daily_credit_budget: key.daily_credit_budget ?? null,
+  monthly_credit_budget: key.monthly_credit_budget ?? null,
+  usage_count: key.usage_count,
+  created_at: key.created_at,
+  expires_at: key.expires_at || null,
+  last_used_at: key.last_used_at || null,
+  last_used_ip: key.last_used_ip || null,
+  replaced_by: key.replaced_by || null,
+  revoked: key.revoked
+});
+
+/**
+ * Validate a rate limit value
+ * @param {*} rateLimit - Requested rate limit
+ * @returns {number} - The rate limit as an integer
+ */
+const parseRateLimit = (rateLimit) => {
+  const value = Number(rateLimit);
+  
+  if (!Number.isInteger(value) || value < 1) {
+    throw new ApiError('rate_limit must be a positive integer', 400, 'invalid_request_error', 'rate_limit', 'param_invalid');
+  }
+  
+  return value;
+};
+
+/**
+ * Validate a credit amount (initial balance or budget)
+ * @param {*} value - Requested amount, or null for no limit
+ * @param {string} field - Field name used in the error
+ * @returns {number|null} - The amount as an integer
+ */
+const parseCredits = (value, field) => {
+  if (value === null) {
+    return null;
+  }
+  
+  const amount = Number(value);
+  
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw new ApiError(`${field} must be a non-negative integer or null`, 400, 'invalid_request_error', field, 'param_invalid');
+  }
+  
+  return amount;
+};
+
+/**
+ * Validate the daily and monthly credit budgets of a key
+ * Only fields present in the input are returned; null removes a budget
+ * @param {Object} input - { daily_credit_budget, monthly_credit_budget }
+ * @returns {Object} - Columns to store
+ */
+const parseCreditBudgets = (input = {}) => {
+  const columns = {};
+  
+  ['daily_credit_budget', 'monthly_credit_budget'].forEach(field => {
+    if (input[field] !== undefined) {
+      columns[field] = parseCredits(input[field], field);
+    }
+  });
+  
+  return columns;
+};
+
+/**
+ * Add credits to a key through the ledger, so every balance change has an entry
+ * @param {string} keyId - ID of the key
+ * @param {number} amount - Credits to add (or remove when negative)
+ * @param {Object} details - Stored with the ledger entry
+ * @returns {Promise<void>}
+ */
+const addCredits = async (keyId, amount, details) => {
+  if (amount === 0) {
+    return;
+  }
+  
+  const type = amount > 0 ? CREDIT_ENTRY_TYPES.TOP_UP : CREDIT_ENTRY_TYPES.ADJUSTMENT;
+  
+  try {
+    await credits.adjust(keyId, amount, type, details);
+  } catch (error) {
+    logger.error('Error adjusting credits', { error });
+    throw new ApiError('Failed to adjust credits', 500, 'server_error', null, 'credit_adjust_failed');
+  }
+};
+
+/**
+ * Validate a key expiry time
+ * @param {*} expiresAt - ISO timestamp, or null for a key that never expires
+ * @returns {string|null} - Normalized ISO timestamp
+ */
+const parseExpiresAt = (expiresAt) => {
+  if (expiresAt === null) {
+    return null;
+  }
+  
+  const date = new Date(expiresAt);
+  
+  if (isNaN(date.getTime()) || date <= new Date()) {
+    throw new ApiError('expires_at must be a timestamp in the future', 400, 'invalid_request_error', 'expires_at', 'param_invalid');
+  }
+  
+  return date.toISOString();
+};
+
+/**
+ * Validate the scope, model and size restrictions, moderation policy and cache settings of a key
+ * Only fields present in the input are returned; null or an empty list removes a restriction
+ * @param {Object} input - { scopes, allowed_models, denied_models, allowed_sizes, denied_sizes, default_model, moderation, cache }
+ * @returns {Object} - Columns to store
+ */
+const parseKeyPolicy = (input = {}) => {
+  const columns = {};
+  
+  Object.entries(POLICY_LISTS).forEach(([field, { isValid, label }]) => {
+    const value = input[field];
+    if (value === undefined) {
+      return;
+    }
+    
+    if (value !== null && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+      throw new ApiError(`${field} must be an array of strings`, 400, 'invalid_request_error', field, 'param_invalid');
+    }
+    
+    const invalid = (value || []).filter(item => !isValid(item));
+    if (invalid.length > 0) {
+      throw new ApiError(`Invalid ${label} in ${field}: ${invalid.join(', ')}`, 400, 'invalid_request_error', field, 'param_invalid');
+    }
+    
+    columns[field] = value && value.length > 0 ? value : null;
+  });
+  
+  if (input.default_model !== undefined) {
+    if (input.default_model !== null && !getProviderForModel(input.default_model)) {
+      throw new ApiError(`Invalid model: ${input.default_model}`, 400, 'invalid_request_error', 'default_model', 'param_invalid');
+    }
+    
+    columns.default_model = input.default_model;
+  }
+  
+  // Added to the global moderation policy (see moderationService)
+  if (input.moderation !== undefined) {
+    columns.moderation = parseModerationPolicy(input.moderation);
+  }
+  
+  // { enabled, ttl, default } of the opt-in result cache (see cacheService)
+  if (input.cache !== undefined) {
+    columns.cache = parseCacheSettings(input.cache);
+  }
+  
+  return columns;
+};
+
+/**
+ * Generate a random API key and store its hash
+ * @param {Object} columns - Key columns besides id, hash and bookkeeping fields
+ * @returns {Promise<Object>} - The public key data plus the key itself
+ */
+const storeNewKey = async (columns) => {
+  // Generate a random string for the API key
+  const randomPart = crypto.randomBytes(16).toString('hex');
+  const apiKey = `feather-ops-apikey-${randomPart}`;
+  
+  // Hash the key for storage
+  const keyHash = crypto
+    .createHash('sha256')
+    .update(apiKey + process.env.KEY_SALT)
+    .digest('hex');
+  
+  // Store the hashed key in the database
+  let data;
+  try {
+    data = await keys.create({
+      id: uuidv4(),
+      key_hash: keyHash,
+      ...columns,
+      usage_count: 0,
+      created_at: new Date().toISOString(),
+      revoked: false
+    });
+  } catch (error) {
+    logger.error('Error storing API key', { error });
+    throw new ApiError(
+      'Failed to generate API key',
+      500,
+      'server_error',
+      null,
+      'key_generation_failed'
+    );
+  }
+  
+  // Return the API key (only shown once)
+  return {
+    key: apiKey,
+    ...toPublicKey(data)
+  };
+};
 
 /**
  * Generate a new API key with the format "feather-ops-apikey-[random]"
  * @param {string} email - Email of the key owner
  * @param {number} rateLimit - Number of requests allowed per day
+ * @param {string} role - Key role (standard or admin)
+ * @param {Object} [options] - Scope, model and size restrictions, moderation policy and cache settings (see parseKeyPolicy), expires_at,
+ *   credit_balance (prepaid credits; omit for an unmetered key) and daily/monthly credit budgets
  * @returns {Promise<Object>} - The generated API key data
  */
-const generateApiKey = async (email, rateLimit = 100) => {
+const generateApiKey = async (email, rateLimit = 100, role = KEY_ROLES.STANDARD, options = {}) => {
   try {
     if (!email) {
       throw new ApiError('Email is required', 400, 'invalid_request_error', 'email', 'param_required');
     }
     
-    // Generate a random string for the API key
-    const randomPart = crypto.randomBytes(16).toString('hex');
-    const apiKey = `feather-ops-apikey-${randomPart}`;
-    
-    // Hash the key for storage
-    const keyHash = crypto
-      .createHash('sha256')
-      .update(apiKey + process.env.KEY_SALT)
-      .digest('hex');
-    
-    // Store the hashed key in the database
-    const { data, error } = await supabase
-      .from('keys')
-      .insert({
-        id: uuidv4(),
-        key_hash: keyHash,
-        owner_email: email,
-        rate_limit: rateLimit,
-        usage_count: 0,
-        created_at: new Date().toISOString(),
-        revoked: false
-      })
-      .select()
-      .single();
-    
-    if (error) {
-      console.error('Error storing API key:', error);
+    if (!Object.values(KEY_ROLES).includes(role)) {
       throw new ApiError(
-        'Failed to generate API key',
-        500,
-        'server_error',
-        null,
-        'key_generation_failed'
+        `Invalid role. Must be one of: ${Object.values(KEY_ROLES).join(', ')}`,
+        400,
+        'invalid_request_error',
+        'role',
+        'param_invalid'
       );
     }
     
-    // Return the API key (only shown once)
-    return {
-      key: apiKey,
-      id: data.id,
-      owner_email: data.owner_email,
-      rate_limit: data.rate_limit,
-      created_at: data.created_at
-    };
+    const maxRequests = parseRateLimit(rateLimit);
+    const restrictions = parseKeyPolicy(options);
+    const expiresAt = options.expires_at === undefined ? null : parseExpiresAt(options.expires_at);
+    const budgets = parseCreditBudgets(options);
+    const initialCredits = options.credit_balance === undefined ? null : parseCredits(options.credit_balance, 'credit_balance');
+    
+    const key = await storeNewKey({
+      owner_email: email,
+      role,
+      rate_limit: maxRequests,
+      ...restrictions,
+      ...budgets,
+      credit_balance: initialCredits === null ? null : 0,
+      expires_at: expiresAt
+    });
+    
+    if (initialCredits) {
+      await addCredits(key.id, initialCredits, { note: 'Initial balance' });
+      key.credit_balance = initialCredits;
+    }
+    
+    return key;
   } catch (error) {
-    console.error('API Key generation error:', error);
+    logger.error('API Key generation error', { error });
     
     if (error instanceof ApiError) {
       throw error;
@@ -77,24 +307,18 @@ const generateApiKey = async (email, rateLimit = 100) => {
 };
 
 /**
- * List all API keys for a specific email (admin function)
- * @param {string} email - Email to filter keys by
+ * List API keys, optionally for a specific email (admin function)
+ * @param {string} [email] - Email to filter keys by (all keys when omitted)
  * @returns {Promise<Array>} - Array of API keys
  */
 const listApiKeys = async (email) => {
   try {
-    if (!email) {
-      throw new ApiError('Email is required', 400, 'invalid_request_error', 'email', 'param_required');
-    }
-    
-    // Get keys from database (without exposing the hash)
-    const { data, error } = await supabase
-      .from('keys')
-      .select('id, owner_email, rate_limit, usage_count, created_at, revoked')
-      .eq('owner_email', email);
-    
-    if (error) {
-      console.error('Error listing API keys:', error);
+    // Get keys from database
+    let data;
+    try {
+      data = email ? await keys.listByOwner(email) : await keys.listAll();
+    } catch (error) {
+      logger.error('Error listing API keys', { error });
       throw new ApiError(
         'Failed to list API keys',
         500,
@@ -104,9 +328,9 @@ const listApiKeys = async (email) => {
       );
     }
     
-    return data;
+    return data.map(toPublicKey);
   } catch (error) {
-    console.error('API Key listing error:', error);
+    logger.error('API Key listing error', { error });
     
     if (error instanceof ApiError) {
       throw error;
@@ -122,6 +346,164 @@ const listApiKeys = async (email) => {
   }
 };
 
+/**
+ * Get a single API key (admin function)
+ * @param {string} keyId - ID of the key
+ * @returns {Promise<Object>} - The API key
+ */
+const getApiKey = async (keyId) => {
+  let data;
+  try {
+    data = await keys.findById(keyId);
+  } catch (error) {
+    logger.error('Error fetching API key', { error });
+    throw new ApiError('Failed to fetch API key', 500, 'server_error', null, 'key_fetch_failed');
+  }
+  
+  if (!data) {
+    throw new ApiError('API key not found', 404, 'invalid_request_error', 'keyId', 'key_not_found');
+  }
+  
+  return toPublicKey(data);
+};
+
+/**
+ * Update the rate limit and restrictions of an API key (admin function)
+ * The credit balance is changed through the credit ledger (see creditService.adjustCredits), not here
+ * @param {string} keyId - ID of the key
+ * @param {Object} updates - { rate_limit, expires_at, scopes, allowed_models, denied_models, allowed_sizes, denied_sizes, default_model, moderation, cache, daily_credit_budget, monthly_credit_budget }
+ * @returns {Promise<Object>} - The updated API key
+ */
+const updateApiKey = async (keyId, updates) => {
+  if (updates.credit_balance !== undefined) {
+    throw new ApiError(
+      'credit_balance cannot be set directly; use POST /v1/admin/keys/:id/credits',
+      400,
+      'invalid_request_error',
+      'credit_balance',
+      'param_invalid'
+    );
+  }
+  
+  const fields = {
+    ...parseKeyPolicy(updates),
+    ...parseCreditBudgets(updates)
+  };
+  
+  if (updates.rate_limit !== undefined) {
+    fields.rate_limit = parseRateLimit(updates.rate_limit);
+  }
+  
+  if (updates.expires_at !== undefined) {
+    fields.expires_at = parseExpiresAt(updates.expires_at);
+  }
+  
+  if (Object.keys(fields).length === 0) {
+    throw new ApiError('No updatable fields provided', 400, 'invalid_request_error', null, 'param_required');
+  }
+  
+  let data;
+  try {
+    data = await keys.update(keyId, fields);
+  } catch (error) {
+    logger.error('Error updating API key', { error });
+    throw new ApiError('Failed to update API key', 500, 'server_error', null, 'key_update_failed');
+  }
+  
+  if (!data) {
+    throw new ApiError('API key not found', 404, 'invalid_request_error', 'keyId', 'key_not_found');
+  }
+  
+  return toPublicKey(data);
+};
+
+/**
+ * Rotate an API key (admin function)
+ * Issues a replacement with the same owner, role, limits and restrictions;
+ * the old key keeps working until the grace period ends.
+ * Any prepaid credit balance moves to the replacement in the same write that expires the old key;
+ * during the grace period the old key's charges and refunds go to the replacement, and budgets
+ * count the spend of both keys.
+ * @param {string} keyId - ID of the key to rotate
+ * @param {number} [gracePeriod] - Seconds the old key stays valid
+ * @returns {Promise<Object>} - { key: the new key (shown once), previous: the old key }
+ */
+const rotateApiKey = async (keyId, gracePeriod = KEY_ROTATION_CONFIG.defaultGracePeriod) => {
+  const seconds = Number(gracePeriod);
+  
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > KEY_ROTATION_CONFIG.maxGracePeriod) {
+    throw new ApiError(
+      `grace_period must be an integer between 0 and ${KEY_ROTATION_CONFIG.maxGracePeriod} seconds`,
+      400,
+      'invalid_request_error',
+      'grace_period',
+      'param_invalid'
+    );
+  }
+  
+  let current;
+  try {
+    current = await keys.findById(keyId);
+  } catch (error) {
+    logger.error('Error fetching API key', { error });
+    throw new ApiError('Failed to fetch API key', 500, 'server_error', null, 'key_fetch_failed');
+  }
+  
+  if (!current) {
+    throw new ApiError('API key not found', 404, 'invalid_request_error', 'keyId', 'key_not_found');
+  }
+  
+  const now = new Date();
+  if (current.revoked || (current.expires_at && new Date(current.expires_at) <= now)) {
+    throw new ApiError('Revoked or expired keys cannot be rotated', 409, 'invalid_request_error', 'keyId', 'key_not_rotatable');
+  }
+  
+  const replacement = await storeNewKey({
+    owner_email: current.owner_email,
+    role: current.role,
+    rate_limit: current.rate_limit,
+    scopes: current.scopes || null,
+    allowed_models: current.allowed_models || null,
+    denied_models: current.denied_models || null,
+    allowed_sizes: current.allowed_sizes || null,
+    denied_sizes: current.denied_sizes || null,
+    default_model: current.default_model || null,
+    moderation: current.moderation || null,
+    cache: current.cache || null,
+    daily_credit_budget: current.daily_credit_budget ?? null,
+    monthly_credit_budget: current.monthly_credit_budget ?? null,
+    credit_balance: current.credit_balance === null || current.credit_balance === undefined ? null : 0,
+    expires_at: null
+  });
+  
+  // Never extend an expiry the old key already had
+  const graceEnd = new Date(now.getTime() + seconds * 1000);
+  const expiresAt = current.expires_at && new Date(current.expires_at) < graceEnd
+    ? current.expires_at
+    : graceEnd.toISOString();
+  
+  let previous;
+  try {
+    previous = await credits.rotate(keyId, replacement.id, expiresAt);
+  } catch (error) {
+    logger.error('Error expiring rotated API key', { error });
+    throw new ApiError('Failed to rotate API key', 500, 'server_error', null, 'key_rotation_failed');
+  }
+  
+  if (!previous) {
+    throw new ApiError('API key not found', 404, 'invalid_request_error', 'keyId', 'key_not_found');
+  }
+  
+  if (current.credit_balance) {
+    replacement.credit_balance = current.credit_balance;
+  }
+  
+  return {
+    key: replacement,
+    previous: toPublicKey(previous)
+  };
+};
+
 /**
  * Revoke an API key
  * @param {string} keyId - ID of the key to revoke
@@ -134,15 +516,11 @@ const revokeApiKey = async (keyId) => {
     }
     
     // Update key status in database
-    const { data, error } = await supabase
-      .from('keys')
-      .update({ revoked: true })
-      .eq('id', keyId)
-      .select()
-      .single();
-    
-    if (error) {
-      console.error('Error revoking API key:', error);
+    let data;
+    try {
+      data = await keys.update(keyId, { revoked: true });
+    } catch (error) {
+      logger.error('Error revoking API key', { error });
       throw new ApiError(
         'Failed to revoke API key',
         500,
@@ -168,7 +546,7 @@ const revokeApiKey = async (keyId) => {
       owner_email: data.owner_email
     };
   } catch (error) {
-    console.error('API Key revocation error:', error);
+    logger.error('API Key revocation error', { error });
     
     if (error instanceof ApiError) {
       throw error;
@@ -187,5 +565,8 @@ const revokeApiKey = async (keyId) => {
 module.exports = {
   generateApiKey,
   listApiKeys,
+  getApiKey,
+  updateApiKey,
+  rotateApiKey,
   revokeApiKey
 }; 
\ No newline at end of file
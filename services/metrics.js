@@ -0,0 +1,91 @@
+const client = require('prom-client');
+const { METRICS_CONFIG } = require('../config/constants');
+
+const { prefix, durationBuckets, pollAttemptBuckets } = METRICS_CONFIG;
+
+// Own registry, so nothing else registering prom-client metrics ends up on /metrics
+const register = new client.Registry();
+
+// Process metrics (CPU, memory, event loop lag)
+client.collectDefaultMetrics({ register, prefix });
+
+const httpRequests = new client.Counter({
+  name: `${prefix}http_requests_total`,
+  help: 'API requests by route, model and status',
+  labelNames: ['method', 'route', 'model', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${prefix}http_request_duration_seconds`,
+  help: 'API request latency by route, model and status',
+  labelNames: ['method', 'route', 'model', 'status'],
+  buckets: durationBuckets,
+  registers: [register]
+});
+
+const upstreamStartDuration = new client.Histogram({
+  name: `${prefix}upstream_start_duration_seconds`,
+  help: 'Latency of starting an upstream generation task',
+  labelNames: ['provider', 'model', 'outcome'],
+  buckets: durationBuckets,
+  registers: [register]
+});
+
+const upstreamPollDuration = new client.Histogram({
+  name: `${prefix}upstream_poll_duration_seconds`,
+  help: 'Latency of a single upstream task poll',
+  labelNames: ['provider', 'outcome'],
+  buckets: durationBuckets,
+  registers: [register]
+});
+
+const upstreamPollAttempts = new client.Histogram({
+  name: `${prefix}upstream_poll_attempts`,
+  help: 'Poll attempts needed per upstream task, by how the task ended',
+  labelNames: ['provider', 'outcome'],
+  buckets: pollAttemptBuckets,
+  registers: [register]
+});
+
+const storageUploadDuration = new client.Histogram({
+  name: `${prefix}storage_upload_duration_seconds`,
+  help: 'Latency of storage uploads',
+  labelNames: ['driver', 'outcome'],
+  buckets: durationBuckets,
+  registers: [register]
+});
+
+const storageUploadFailures = new client.Counter({
+  name: `${prefix}storage_upload_failures_total`,
+  help: 'Failed storage uploads',
+  labelNames: ['driver'],
+  registers: [register]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: `${prefix}rate_limit_rejections_total`,
+  help: 'Requests rejected by the per-key rate limiter, by exceeded window',
+  labelNames: ['window'],
+  registers: [register]
+});
+
+const keepAlivePings = new client.Counter({
+  name: `${prefix}keepalive_pings_total`,
+  help: 'Keep-alive pings by outcome',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  httpRequests,
+  httpRequestDuration,
+  upstreamStartDuration,
+  upstreamPollDuration,
+  upstreamPollAttempts,
+  storageUploadDuration,
+  storageUploadFailures,
+  rateLimitRejections,
+  keepAlivePings
+};
@@ -0,0 +1,263 @@
+const { moderationLogs } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { MODERATION_CONFIG, MODERATION_CATEGORIES } = require('../config/constants');
+
+/**
+ * Check a digit string with the Luhn checksum used by card numbers
+ * @param {string} value - Matched text (separators are ignored)
+ * @returns {boolean} - Whether the checksum is valid
+ */
+const passesLuhn = (value) => {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  
+  return sum % 10 === 0;
+};
+
+// PII detectors, with the placeholder that replaces a match in moderation logs
+const PII_PATTERNS = {
+  email: { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, mask: '[EMAIL]' },
+  credit_card: { pattern: /\b\d(?:[ -]?\d){12,18}\b/g, mask: '[CARD]', isValid: passesLuhn },
+  ssn: { pattern: /\b\d{3}-\d{2}-\d{4}\b/g, mask: '[SSN]' },
+  phone: { pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g, mask: '[PHONE]' }
+};
+
+/**
+ * Escape a blocklist term for use in a regular expression
+ * @param {string} term - Blocked term
+ * @returns {string} - Escaped term
+ */
+const escapeRegExp = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Validate a moderation policy (a key's moderation field, or the global policy)
+ * @param {*} value - { blocklist, rules, max_prompt_length, pii_detection }, or null for none
+ * @param {string} [param] - Field name used in errors
+ * @returns {Object|null} - The policy with only the fields that were set
+ */
+const parseModerationPolicy = (value, param = 'moderation') => {
+  if (value === null) {
+    return null;
+  }
+  
+  const invalid = (message) => new ApiError(message, 400, 'invalid_request_error', param, 'param_invalid');
+  
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw invalid(`${param} must be an object or null`);
+  }
+  
+  const policy = {};
+  
+  ['blocklist', 'rules'].forEach(field => {
+    const list = value[field];
+    if (list === undefined || list === null) {
+      return;
+    }
+    
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || item.trim() === '')) {
+      throw invalid(`${param}.${field} must be an array of non-empty strings`);
+    }
+    
+    policy[field] = list.map(item => item.trim());
+  });
+  
+  (policy.rules || []).forEach(rule => {
+    try {
+      new RegExp(rule, 'i');
+    } catch (error) {
+      throw invalid(`Invalid regular expression in ${param}.rules: ${rule}`);
+    }
+  });
+  
+  if (value.max_prompt_length !== undefined && value.max_prompt_length !== null) {
+    if (!Number.isInteger(value.max_prompt_length) || value.max_prompt_length < 1) {
+      throw invalid(`${param}.max_prompt_length must be a positive integer or null`);
+    }
+    
+    policy.max_prompt_length = value.max_prompt_length;
+  }
+  
+  if (value.pii_detection !== undefined && value.pii_detection !== null) {
+    if (typeof value.pii_detection !== 'boolean') {
+      throw invalid(`${param}.pii_detection must be a boolean or null`);
+    }
+    
+    policy.pii_detection = value.pii_detection;
+  }
+  
+  return policy;
+};
+
+// Global policy, read from config and the environment on first use
+let globalPolicy = null;
+
+/**
+ * Get the global moderation policy
+ * @returns {Object} - { blocklist, rules, max_prompt_length, pii_detection }
+ */
+const getGlobalPolicy = () => {
+  if (globalPolicy) {
+    return globalPolicy;
+  }
+  
+  const env = process.env;
+  
+  try {
+    const maxPromptLength = parseInt(env.MODERATION_MAX_PROMPT_LENGTH, 10);
+    
+    globalPolicy = {
+      blocklist: MODERATION_CONFIG.blocklist,
+      rules: MODERATION_CONFIG.rules,
+      max_prompt_length: MODERATION_CONFIG.maxPromptLength,
+      pii_detection: MODERATION_CONFIG.piiDetection,
+      ...parseModerationPolicy({
+        blocklist: env.MODERATION_BLOCKLIST ? env.MODERATION_BLOCKLIST.split(',').filter(term => term.trim()) : undefined,
+        rules: env.MODERATION_RULES ? JSON.parse(env.MODERATION_RULES) : undefined,
+        max_prompt_length: Number.isInteger(maxPromptLength) ? maxPromptLength : undefined,
+        pii_detection: env.MODERATION_PII_DETECTION ? env.MODERATION_PII_DETECTION === 'true' : undefined
+      }, 'MODERATION')
+    };
+  } catch (error) {
+    throw new Error(`Invalid moderation configuration: ${error.message}`);
+  }
+  
+  return globalPolicy;
+};
+
+/**
+ * Combine the global policy with a key's own policy
+ * Blocklists and rules add up; the key's prompt length limit and PII setting take precedence
+ * @param {Object|null} keyPolicy - The key's moderation policy
+ * @returns {Object} - Effective policy
+ */
+const resolvePolicy = (keyPolicy) => {
+  const base = getGlobalPolicy();
+  const own = keyPolicy || {};
+  
+  return {
+    blocklist: [...base.blocklist, ...(own.blocklist || [])],
+    rules: [...base.rules, ...(own.rules || [])],
+    max_prompt_length: own.max_prompt_length ?? base.max_prompt_length,
+    pii_detection: own.pii_detection ?? base.pii_detection
+  };
+};
+
+/**
+ * Find the kinds of PII in a prompt
+ * @param {string} prompt - Prompt to scan
+ * @returns {Array<string>} - PII types found (keys of PII_PATTERNS)
+ */
+const findPii = (prompt) => Object.entries(PII_PATTERNS)
+  .filter(([, { pattern, isValid }]) => (prompt.match(pattern) || []).some(match => !isValid || isValid(match)))
+  .map(([type]) => type);
+
+/**
+ * Replace PII in a prompt with placeholders, so moderation logs don't keep it
+ * @param {string} prompt - Prompt to mask
+ * @returns {string} - Masked prompt
+ */
+const maskPii = (prompt) => Object.values(PII_PATTERNS).reduce(
+  (text, { pattern, mask, isValid }) => text.replace(pattern, match => (!isValid || isValid(match) ? mask : match)),
+  prompt
+);
+
+/**
+ * Evaluate a prompt against a moderation policy
+ * @param {string} prompt - Prompt to check
+ * @param {Object} policy - Effective policy from resolvePolicy
+ * @returns {Object} - { flagged, categories: { [category]: boolean }, reasons }
+ */
+const evaluatePrompt = (prompt, policy) => {
+  const reasons = [];
+  const categories = Object.values(MODERATION_CATEGORIES).reduce((all, category) => ({ ...all, [category]: false }), {});
+  
+  if (prompt.length > policy.max_prompt_length) {
+    categories[MODERATION_CATEGORIES.LENGTH] = true;
+    reasons.push(`Prompt exceeds the maximum length of ${policy.max_prompt_length} characters`);
+  }
+  
+  // Terms only match as whole words, so "art" doesn't block "party"
+  if (policy.blocklist.some(term => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'iu').test(prompt))) {
+    categories[MODERATION_CATEGORIES.BLOCKLIST] = true;
+    reasons.push('Prompt contains a blocked term');
+  }
+  
+  if (policy.rules.some(rule => new RegExp(rule, 'i').test(prompt))) {
+    categories[MODERATION_CATEGORIES.RULE] = true;
+    reasons.push('Prompt matches a content rule');
+  }
+  
+  if (policy.pii_detection) {
+    const pii = findPii(prompt);
+    if (pii.length > 0) {
+      categories[MODERATION_CATEGORIES.PII] = true;
+      reasons.push(`Prompt contains personal data (${pii.join(', ')})`);
+    }
+  }
+  
+  return { flagged: reasons.length > 0, categories, reasons };
+};
+
+/**
+ * Moderate a prompt with the global and key policies, and log the decision
+ * Logging failures are reported but never change the decision
+ * @param {string} prompt - Prompt to check
+ * @param {Object} context - { keyId, moderation (the key's policy), source (generations, edits or moderations) }
+ * @returns {Promise<Object>} - { flagged, categories, reasons }
+ */
+const moderatePrompt = async (prompt, { keyId, moderation, source }) => {
+  const result = evaluatePrompt(prompt, resolvePolicy(moderation));
+  
+  try {
+    await moderationLogs.create({
+      key_id: keyId,
+      source,
+      flagged: result.flagged,
+      categories: Object.keys(result.categories).filter(category => result.categories[category]),
+      prompt: maskPii(prompt),
+      created_at: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to log moderation decision', { error });
+  }
+  
+  return result;
+};
+
+/**
+ * Reject a prompt that the moderation policy flags
+ * @param {string} prompt - Prompt of an image request
+ * @param {Object} context - { keyId, moderation, source }, see moderatePrompt
+ * @returns {Promise<void>}
+ */
+const enforcePromptPolicy = async (prompt, context) => {
+  const result = await moderatePrompt(prompt, context);
+  
+  if (result.flagged) {
+    throw new ApiError(
+      `Prompt rejected by the content policy: ${result.reasons.join('; ')}`,
+      400,
+      'invalid_request_error',
+      'prompt',
+      'content_policy_violation'
+    );
+  }
+};
+
+module.exports = {
+  parseModerationPolicy,
+  moderatePrompt,
+  enforcePromptPolicy
+};
@@ -0,0 +1,6 @@
+const { createUpstreamProvider } = require('./upstream');
+
+/**
+ * DALL-E provider adapter
+ */
+module.exports = createUpstreamProvider('dalle');
@@ -0,0 +1,36 @@
+const { createUpstreamProvider } = require('./upstream');
+
+// Map sizes to flux model variants when no explicit flux model is requested
+const FLUX_SIZE_MAP = {
+  '256x256': 'flux',
+  '512x512': 'flux-schnell',
+  '1024x1024': 'flux-realism',
+  '1792x1024': 'flux-pro',
+  '1024x1792': 'flux-1.1-pro',
+  '2048x2048': 'flux-1.1-pro-ultra',
+  'hd': 'flux-1.1-pro-ultra-raw'
+};
+
+const base = createUpstreamProvider('flux');
+
+/**
+ * Flux provider adapter
+ * One endpoint serves several model variants, selected with the model query param
+ */
+module.exports = {
+  ...base,
+  
+  buildRequest({ prompt, model, size, seed, imageUrl, maskUrl }) {
+    const request = base.buildRequest({ prompt, seed, imageUrl, maskUrl });
+    
+    // If user specified an exact flux model, use that, otherwise select by size
+    const fluxModel = base.models.includes(model)
+      ? model
+      : FLUX_SIZE_MAP[size] || 'flux-1.1-pro-ultra';
+    
+    return {
+      ...request,
+      url: `${request.url}&model=${fluxModel}`
+    };
+  }
+};
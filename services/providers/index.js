@@ -0,0 +1,106 @@
+const { OPENAI_MODEL_MAP, CAPABILITIES } = require('../../config/constants');
+
+/**
+ * Provider adapter registry
+ *
+ * An adapter is an object with:
+ * - name, models, sizes, params (and optionally endpoint, used for request logs)
+ * - capabilities (optional, defaults to generations only), see CAPABILITIES
+ * - buildRequest({ prompt, model, size, seed, imageUrl, maskUrl }) -> request
+ * - startJob(request) -> Promise<taskRef>
+ * - poll(taskRef) -> Promise<{ status: 'pending' | 'done' | 'error', message, progress }>
+ * - normalizeResult(pollResult) -> { url }
+ * - checkHealth() -> Promise<void> (optional), throws when the backend can't be reached (readiness checks)
+ *
+ * To add a backend, create a module implementing this interface and register it below.
+ */
+
+const REQUIRED_METHODS = ['buildRequest', 'startJob', 'poll', 'normalizeResult'];
+
+// Registered adapters by provider name, and by model they serve
+const providers = new Map();
+const modelProviders = new Map();
+
+/**
+ * Register a provider adapter
+ * @param {Object} adapter - Provider adapter
+ */
+const registerProvider = (adapter) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (!adapter.name || !Array.isArray(adapter.models) || missing.length > 0) {
+    throw new Error(`Invalid provider adapter ${adapter.name || '(unnamed)'}: missing ${missing.join(', ') || 'name or models'}`);
+  }
+  
+  providers.set(adapter.name, adapter);
+  adapter.models.forEach(model => modelProviders.set(model, adapter));
+};
+
+/**
+ * Convert an OpenAI model name to the native model name
+ * @param {string} model - Requested model
+ * @returns {string} - Native model name
+ */
+const resolveModel = (model) => OPENAI_MODEL_MAP[model] || model;
+
+/**
+ * Find the adapter serving a model (native or OpenAI name)
+ * @param {string} model - Requested model
+ * @returns {Object|undefined} - Provider adapter
+ */
+const getProviderForModel = (model) => modelProviders.get(resolveModel(model));
+
+/**
+ * Get a provider adapter by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} - Provider adapter
+ */
+const getProvider = (name) => providers.get(name);
+
+/**
+ * List all registered provider adapters
+ * @returns {Array<Object>} - Provider adapters
+ */
+const listProviders = () => Array.from(providers.values());
+
+/**
+ * List all native models served by registered providers
+ * @returns {Array<string>} - Model names
+ */
+const getSupportedModels = () => Array.from(modelProviders.keys());
+
+/**
+ * Check whether the provider serving a model supports an operation
+ * @param {string} model - Native or OpenAI model name
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {boolean} - True if the model can serve the operation
+ */
+const supportsCapability = (model, capability) => {
+  const provider = getProviderForModel(model);
+  return Boolean(provider) && (provider.capabilities || [CAPABILITIES.GENERATIONS]).includes(capability);
+};
+
+/**
+ * List the native models whose provider supports an operation
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {Array<string>} - Model names
+ */
+const getModelsWithCapability = (capability) => getSupportedModels().filter(model => supportsCapability(model, capability));
+
+// Built-in providers
+[
+  require('./dalle'),
+  require('./magicstudio'),
+  require('./sdxl'),
+  require('./flux')
+].forEach(registerProvider);
+
+module.exports = {
+  registerProvider,
+  resolveModel,
+  getProviderForModel,
+  getProvider,
+  listProviders,
+  getSupportedModels,
+  supportsCapability,
+  getModelsWithCapability
+};
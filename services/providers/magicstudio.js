@@ -0,0 +1,6 @@
+const { createUpstreamProvider } = require('./upstream');
+
+/**
+ * MagicStudio provider adapter
+ */
+module.exports = createUpstreamProvider('magicstudio');
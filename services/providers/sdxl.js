@@ -0,0 +1,6 @@
+const { createUpstreamProvider } = require('./upstream');
+
+/**
+ * Stable Diffusion XL provider adapter
+ */
+module.exports = createUpstreamProvider('sdxl');
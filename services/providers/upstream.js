@@ -0,0 +1,128 @@
+const axios = require('axios');
+const { ApiError } = require('../../middleware/errorHandler');
+const { PROVIDERS, HEALTH_CONFIG } = require('../../config/constants');
+
+// External API base URL from environment variables
+const API_BASE_URL = process.env.EXTERNAL_API_URL;
+
+/**
+ * Create an adapter for a provider served by the external ai-image API
+ * The built-in providers share its start-then-poll protocol and only differ in endpoint and query params
+ * @param {string} name - Provider name (key in PROVIDERS)
+ * @param {Object} [overrides] - Adapter members replacing the defaults
+ * @returns {Object} - Provider adapter
+ */
+const createUpstreamProvider = (name, overrides = {}) => {
+  const config = PROVIDERS[name];
+  
+  return {
+    name,
+    endpoint: config.endpoint,
+    models: config.models,
+    sizes: config.sizes,
+    params: config.params,
+    capabilities: config.capabilities,
+    
+    /**
+     * Build the upstream request for a generation
+     * Edits and variations pass the source image (and optional mask) as URLs the upstream downloads;
+     * variations have no prompt
+     * @param {Object} input - { prompt, model, size, seed, imageUrl, maskUrl }
+     * @returns {Object} - Request passed to startJob
+     */
+    buildRequest({ prompt, seed, imageUrl, maskUrl }) {
+      let url = `${API_BASE_URL}${config.endpoint}?text=${encodeURIComponent(prompt || '')}`;
+      
+      // Only providers that honor a seed get one
+      if (seed !== undefined && seed !== null && config.params.includes('seed')) {
+        url += `&seed=${seed}`;
+      }
+      
+      if (imageUrl) {
+        url += `&image_url=${encodeURIComponent(imageUrl)}`;
+      }
+      
+      if (maskUrl) {
+        url += `&mask_url=${encodeURIComponent(maskUrl)}`;
+      }
+      
+      return { url };
+    },
+    
+    /**
+     * Start an upstream task
+     * @param {Object} request - Request built by buildRequest
+     * @returns {Promise<string>} - Task reference (the task URL) to poll
+     */
+    async startJob(request) {
+      const response = await axios.get(request.url);
+      
+      if (!response.data.ok) {
+        throw new ApiError(
+          response.data.message || 'Failed to start image generation',
+          400,
+          'api_error',
+          null,
+          'generation_failed'
+        );
+      }
+      
+      return response.data.task_url;
+    },
+    
+    /**
+     * Check the status of an upstream task
+     * @param {string} taskRef - Task reference returned by startJob
+     * @returns {Promise<Object>} - { status: 'pending' | 'done' | 'error', message, progress, data }
+     */
+    async poll(taskRef) {
+      const { data } = await axios.get(taskRef);
+      
+      let status = 'pending';
+      if (data.status === 'done' && data.url) {
+        status = 'done';
+      } else if (data.status === 'error') {
+        status = 'error';
+      }
+      
+      return {
+        status,
+        message: data.message || null,
+        progress: data.progress ?? null,
+        data
+      };
+    },
+    
+    /**
+     * Turn a finished poll result into the generated image
+     * @param {Object} result - Poll result with status 'done'
+     * @returns {Object} - { url } of the generated image
+     */
+    normalizeResult(result) {
+      return { url: result.data.url };
+    },
+    
+    /**
+     * Check that the external API answers
+     * Only its base URL is requested, so the check never starts a generation
+     * @returns {Promise<void>}
+     */
+    async checkHealth() {
+      if (!API_BASE_URL) {
+        throw new Error('EXTERNAL_API_URL is not set');
+      }
+      
+      // Any answer short of a server error means the API is up
+      const response = await axios.get(API_BASE_URL, { timeout: HEALTH_CONFIG.checkTimeout, validateStatus: () => true });
+      if (response.status >= 500) {
+        throw new Error(`External API responded with HTTP ${response.status}`);
+      }
+    },
+    
+    ...overrides
+  };
+};
+
+module.exports = {
+  createUpstreamProvider
+};
@@ -0,0 +1,17 @@
+const { rateLimits } = require('../../repositories');
+const { getWindow } = require('./index');
+
+/**
+ * Database-backed rate limit store, shared by every server process
+ * Each window is one row in rate_limit_counters, incremented atomically by the repository
+ */
+module.exports = {
+  name: 'database',
+  
+  async hit(counterKey, windowMs) {
+    const { start, end } = getWindow(windowMs);
+    const count = await rateLimits.hit(`${counterKey}:${start}`, new Date(end));
+    
+    return { count, resetAt: end };
+  }
+};
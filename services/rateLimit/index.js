@@ -0,0 +1,56 @@
+/**
+ * Rate limit store selection
+ *
+ * A store is an object with:
+ * - name
+ * - hit(counterKey, windowMs) -> Promise<{ count, resetAt }>
+ *
+ * hit() atomically increments the counter for the current fixed window and
+ * returns the new count along with the window end (ms since epoch).
+ * Windows are aligned to UTC, so the daily window resets at 00:00 UTC.
+ * The store is chosen with RATE_LIMIT_STORE (memory or database).
+ */
+
+const DEFAULT_STORE = 'database';
+
+// Store modules are loaded lazily so the database client isn't required for memory-only setups
+const STORES = {
+  memory: './memory',
+  database: './database'
+};
+
+let store = null;
+
+/**
+ * Compute the fixed window containing a point in time
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {number} [now] - Time in ms since epoch
+ * @returns {{start: number, end: number}} - Window bounds in ms since epoch
+ */
+const getWindow = (windowMs, now = Date.now()) => {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, end: start + windowMs };
+};
+
+/**
+ * Get the configured rate limit store
+ * @returns {Object} - Rate limit store
+ */
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || DEFAULT_STORE;
+    
+    if (!STORES[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Must be one of: ${Object.keys(STORES).join(', ')}`);
+    }
+    
+    store = require(STORES[name]);
+  }
+  
+  return store;
+};
+
+module.exports = {
+  getWindow,
+  getRateLimitStore
+};
@@ -0,0 +1,45 @@
+const { getWindow } = require('./index');
+
+/**
+ * In-process rate limit store
+ * Counters are only shared within one server process; use the database store when running several nodes
+ */
+
+// Current count per counter key and window
+const counters = new Map();
+
+// Drop expired windows at most this often
+const PRUNE_INTERVAL = 60 * 1000;
+let lastPrune = 0;
+
+const prune = (now) => {
+  if (now - lastPrune < PRUNE_INTERVAL) {
+    return;
+  }
+  
+  lastPrune = now;
+  for (const [key, entry] of counters) {
+    if (entry.resetAt <= now) {
+      counters.delete(key);
+    }
+  }
+};
+
+module.exports = {
+  name: 'memory',
+  
+  async hit(counterKey, windowMs) {
+    const now = Date.now();
+    const { start, end } = getWindow(windowMs, now);
+    const key = `${counterKey}:${start}`;
+    
+    prune(now);
+    
+    // Read and write happen in the same tick, so concurrent requests can't interleave
+    const entry = counters.get(key) || { count: 0, resetAt: end };
+    entry.count += 1;
+    counters.set(key, entry);
+    
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+};
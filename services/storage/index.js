@@ -0,0 +1,65 @@
+/**
+ * Storage driver selection
+ *
+ * A driver is an object with:
+ * - name
+ * - upload(storagePath, buffer, { contentType }) -> Promise<void>
+ * - getSignedUrl(storagePath, expiresIn) -> Promise<string>
+ * - download(storagePath) -> Promise<Buffer>
+ * - remove(storagePath) -> Promise<void>
+ * - check() -> Promise<void>, throws when the backend can't be written to (readiness checks)
+ *
+ * Drivers throw on failure; callers decide how to surface the error.
+ * The driver is chosen with STORAGE_DRIVER (supabase, local or s3).
+ * Stored images record their driver, so older images can still be reached by name after a switch.
+ * Uploads are timed and counted for /metrics whatever the driver.
+ */
+
+const { storageUploadDuration, storageUploadFailures } = require('../metrics');
+
+// Driver modules are loaded lazily so unused SDKs are never required
+const DRIVERS = {
+  supabase: './supabase',
+  local: './local',
+  s3: './s3'
+};
+
+// Drivers wrapped with upload metrics, by name
+const instrumented = new Map();
+
+/**
+ * Get a storage driver
+ * @param {string} [name] - Driver name (the configured driver when omitted)
+ * @returns {Object} - Storage driver
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || 'supabase') => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  
+  if (!instrumented.has(name)) {
+    // require() caches the module, so each driver is only set up once
+    const driver = require(DRIVERS[name]);
+    
+    instrumented.set(name, {
+      ...driver,
+      async upload(...args) {
+        const end = storageUploadDuration.startTimer({ driver: name });
+        try {
+          await driver.upload(...args);
+          end({ outcome: 'success' });
+        } catch (error) {
+          end({ outcome: 'failure' });
+          storageUploadFailures.inc({ driver: name });
+          throw error;
+        }
+      }
+    });
+  }
+  
+  return instrumented.get(name);
+};
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Local storage settings from environment variables
+const STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || './storage');
+const SIGNING_SECRET = process.env.LOCAL_STORAGE_SECRET || process.env.KEY_SALT;
+
+// Without a secret no URL could be signed or verified
+// (this module is only loaded when STORAGE_DRIVER is local, or for images stored with it)
+if (!SIGNING_SECRET) {
+  throw new Error('Missing local storage signing secret. Set LOCAL_STORAGE_SECRET (or KEY_SALT) to use STORAGE_DRIVER=local.');
+}
+
+/**
+ * Base URL the server is reachable at, used to build signed file URLs
+ * @returns {string} - Base URL without trailing slash
+ */
+const getBaseUrl = () => process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Resolve a storage path inside the storage directory
+ * @param {string} storagePath - Relative storage path
+ * @returns {string} - Absolute file path
+ */
+const resolvePath = (storagePath) => {
+  const filePath = path.resolve(STORAGE_DIR, storagePath);
+  
+  // Refuse paths escaping the storage directory (e.g. "../")
+  if (!filePath.startsWith(STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage path: ${storagePath}`);
+  }
+  
+  return filePath;
+};
+
+/**
+ * Sign a storage path with its expiry time
+ * @param {string} storagePath - Relative storage path
+ * @param {number} expires - Expiry as a unix timestamp in seconds
+ * @returns {string} - Hex HMAC signature
+ */
+const sign = (storagePath, expires) => crypto
+  .createHmac('sha256', SIGNING_SECRET)
+  .update(`${storagePath}:${expires}`)
+  .digest('hex');
+
+/**
+ * Local filesystem storage driver
+ * Files are served by the /storage route using HMAC-signed, expiring URLs
+ */
+module.exports = {
+  name: 'local',
+  
+  async upload(storagePath, buffer) {
+    const filePath = resolvePath(storagePath);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  },
+  
+  async getSignedUrl(storagePath, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = sign(storagePath, expires);
+    return `${getBaseUrl()}/storage/${storagePath}?expires=${expires}&signature=${signature}`;
+  },
+  
+  async download(storagePath) {
+    return fs.promises.readFile(resolvePath(storagePath));
+  },
+  
+  async remove(storagePath) {
+    try {
+      await fs.promises.unlink(resolvePath(storagePath));
+    } catch (error) {
+      // Already gone counts as removed, like the remote drivers
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  },
+  
+  async check() {
+    await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+    await fs.promises.access(STORAGE_DIR, fs.constants.W_OK);
+  },
+  
+  /**
+   * Check a signed URL's signature and expiry
+   * @param {string} storagePath - Relative storage path
+   * @param {string} expires - Expiry from the URL
+   * @param {string} signature - Signature from the URL
+   * @returns {boolean} - Whether the URL is valid
+   */
+  verifySignature(storagePath, expires, signature) {
+    if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+    
+    const expected = Buffer.from(sign(storagePath, expires), 'hex');
+    const provided = Buffer.from(String(signature), 'hex');
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  },
+  
+  resolvePath
+};
@@ -0,0 +1,81 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// S3-compatible storage settings from environment variables (MinIO needs S3_FORCE_PATH_STYLE=true)
+const S3_BUCKET = process.env.S3_BUCKET || process.env.STORAGE_BUCKET;
+
+const client = new S3Client({
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  region: process.env.S3_REGION || 'us-east-1',
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.S3_ACCESS_KEY_ID
+    ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+    : undefined
+});
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, R2, ...)
+ */
+module.exports = {
+  name: 's3',
+  
+  async upload(storagePath, buffer, { contentType }) {
+    try {
+      await client.send(new PutObjectCommand({
+        Bucket: S3_BUCKET,
+        Key: storagePath,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'max-age=3600'
+      }));
+    } catch (error) {
+      throw new Error(`Storage upload failed: ${error.message}`);
+    }
+  },
+  
+  async getSignedUrl(storagePath, expiresIn) {
+    try {
+      return await getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: S3_BUCKET, Key: storagePath }),
+        { expiresIn }
+      );
+    } catch (error) {
+      throw new Error(`Failed to create signed URL: ${error.message}`);
+    }
+  },
+  
+  async download(storagePath) {
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: storagePath }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      throw new Error(`Storage download failed: ${error.message}`);
+    }
+  },
+  
+  async remove(storagePath) {
+    try {
+      await client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: storagePath }));
+    } catch (error) {
+      throw new Error(`Storage delete failed: ${error.message}`);
+    }
+  },
+  
+  async check() {
+    try {
+      await client.send(new HeadBucketCommand({ Bucket: S3_BUCKET }));
+    } catch (error) {
+      throw new Error(`Storage check failed: ${error.message}`);
+    }
+  }
+};
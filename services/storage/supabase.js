@@ -0,0 +1,69 @@
+const supabase = require('../../config/db');
+
+// Storage bucket from environment variables
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET;
+
+/**
+ * Supabase Storage driver
+ */
+module.exports = {
+  name: 'supabase',
+  
+  async upload(storagePath, buffer, { contentType }) {
+    const { error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .upload(storagePath, buffer, {
+        contentType,
+        cacheControl: '3600',
+        upsert: false
+      });
+    
+    if (error) {
+      throw new Error(`Storage upload failed: ${error.message}`);
+    }
+  },
+  
+  async getSignedUrl(storagePath, expiresIn) {
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .createSignedUrl(storagePath, expiresIn);
+    
+    if (error) {
+      throw new Error(`Failed to create signed URL: ${error.message}`);
+    }
+    
+    return data.signedUrl;
+  },
+  
+  async download(storagePath) {
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .download(storagePath);
+    
+    if (error) {
+      throw new Error(`Storage download failed: ${error.message}`);
+    }
+    
+    return Buffer.from(await data.arrayBuffer());
+  },
+  
+  async remove(storagePath) {
+    const { error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .remove([storagePath]);
+    
+    if (error) {
+      throw new Error(`Storage delete failed: ${error.message}`);
+    }
+  },
+  
+  async check() {
+    const { error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .list('', { limit: 1 });
+    
+    if (error) {
+      throw new Error(`Storage check failed: ${error.message}`);
+    }
+  }
+};
@@ -0,0 +1,141 @@
+const { validate: isUuid } = require('uuid');
+const { requestLogs } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { USAGE_CONFIG } = require('../config/constants');
+const { DAY, parseDate } = require('../utils/dates');
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['date', 'key_id', 'model', 'status', 'requests', 'errors', 'images_requested', 'images_generated', 'credits_used'];
+
+/**
+ * Validate a usage query
+ * Dates are inclusive UTC days; by default the range ends today
+ * @param {Object} query - { start_date, end_date, format }
+ * @returns {Object} - { from, to, startDate, endDate, format }
+ */
+const parseUsageQuery = (query = {}) => {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const end = query.end_date ? parseDate(query.end_date, 'end_date') : today;
+  const start = query.start_date
+    ? parseDate(query.start_date, 'start_date')
+    : new Date(end.getTime() - (USAGE_CONFIG.defaultDays - 1) * DAY);
+  
+  if (start > end) {
+    throw new ApiError('start_date must not be after end_date', 400, 'invalid_request_error', 'start_date', 'param_invalid');
+  }
+  
+  const days = (end - start) / DAY + 1;
+  if (days > USAGE_CONFIG.maxDays) {
+    throw new ApiError(`Date range cannot exceed ${USAGE_CONFIG.maxDays} days`, 400, 'invalid_request_error', 'start_date', 'param_invalid');
+  }
+  
+  const format = query.format || 'json';
+  if (!USAGE_CONFIG.formats.includes(format)) {
+    throw new ApiError(
+      `Invalid format. Must be one of: ${USAGE_CONFIG.formats.join(', ')}`,
+      400,
+      'invalid_request_error',
+      'format',
+      'param_invalid'
+    );
+  }
+  
+  return {
+    from: start.toISOString(),
+    to: new Date(end.getTime() + DAY).toISOString(),
+    startDate: start.toISOString().slice(0, 10),
+    endDate: end.toISOString().slice(0, 10),
+    format
+  };
+};
+
+/**
+ * Validate the key_id filter of the admin usage report
+ * @param {*} keyId - Requested key ID (every key when omitted)
+ * @returns {string|undefined} - The key ID
+ */
+const parseKeyFilter = (keyId) => {
+  if (keyId !== undefined && (typeof keyId !== 'string' || !isUuid(keyId))) {
+    throw new ApiError('key_id must be a UUID', 400, 'invalid_request_error', 'key_id', 'param_invalid');
+  }
+  
+  return keyId;
+};
+
+/**
+ * Summarize request logs by day, model and status (and key, across keys)
+ * @param {Object} options - { keyId (omit for every key), from, to, startDate, endDate }
+ * @returns {Promise<Object>} - Usage report with grouped rows and totals
+ */
+const getUsage = async ({ keyId, from, to, startDate, endDate }) => {
+  let rows;
+  try {
+    rows = await requestLogs.summarize({ keyId, from, to });
+  } catch (error) {
+    logger.error('Error summarizing usage', { error });
+    throw new ApiError('Failed to fetch usage', 500, 'server_error', null, 'usage_fetch_failed');
+  }
+  
+  const data = rows.map(row => ({
+    date: String(row.day).slice(0, 10),
+    ...(keyId ? {} : { key_id: row.key_id }),
+    model: row.model,
+    status: row.status,
+    requests: Number(row.requests),
+    errors: row.status === 'error' ? Number(row.requests) : 0,
+    images_requested: Number(row.images_requested),
+    images_generated: Number(row.images_generated),
+    credits_used: Number(row.credits_used)
+  }));
+  
+  const totals = data.reduce((sum, row) => ({
+    requests: sum.requests + row.requests,
+    errors: sum.errors + row.errors,
+    images_requested: sum.images_requested + row.images_requested,
+    images_generated: sum.images_generated + row.images_generated,
+    credits_used: sum.credits_used + row.credits_used
+  }), { requests: 0, errors: 0, images_requested: 0, images_generated: 0, credits_used: 0 });
+  
+  return {
+    object: 'usage',
+    key_id: keyId || null,
+    start_date: startDate,
+    end_date: endDate,
+    data,
+    totals
+  };
+};
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a usage report as CSV (one line per group, key_id only across keys)
+ * @param {Object} usage - Report returned by getUsage
+ * @returns {string} - CSV text
+ */
+const formatUsageCsv = (usage) => {
+  const columns = CSV_COLUMNS.filter(column => column !== 'key_id' || usage.key_id === null);
+  const lines = [columns.join(',')];
+  
+  usage.data.forEach(row => {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  });
+  
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  parseUsageQuery,
+  parseKeyFilter,
+  getUsage,
+  formatUsageCsv
+};
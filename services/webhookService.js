@@ -0,0 +1,632 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { webhooks, webhookDeliveries } = require('../repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { hasPrivateHost, assertPublicUrl, publicAgents } = require('../utils/network');
+const { getImageContentUrl } = require('../utils/imageUrls');
+const { INSTANCE_ID } = require('../utils/instance');
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  WEBHOOK_CONFIG,
+  LEASE_CONFIG
+} = require('../config/constants');
+
+// Delivery retries waiting to run in this process, keyed by delivery ID
+const scheduledDeliveries = new Map();
+
+/**
+ * Whether deliveries may target loopback, private and link-local addresses
+ * @returns {boolean}
+ */
+const allowPrivateTargets = () => (process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+  : WEBHOOK_CONFIG.allowPrivateTargets);
+
+/**
+ * Validate a webhook or callback URL
+ * Local hosts are refused here; names resolving to private addresses are refused at delivery time
+ * @param {*} url - Requested URL
+ * @param {string} param - Parameter name used in the error
+ * @returns {string} - The URL
+ */
+const parseWebhookUrl = (url, param) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  
+  if (typeof url !== 'string' || !parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ApiError(`${param} must be an http or https URL`, 400, 'invalid_request_error', param, 'param_invalid');
+  }
+  
+  if (!allowPrivateTargets() && hasPrivateHost(url)) {
+    throw new ApiError(
+      `${param} must not point to a loopback, private or link-local address`,
+      400,
+      'invalid_request_error',
+      param,
+      'param_invalid'
+    );
+  }
+  
+  return url;
+};
+
+/**
+ * Validate the events a webhook subscribes to
+ * @param {*} events - Requested events (every event when omitted)
+ * @returns {Array<string>} - Events
+ */
+const parseEvents = (events) => {
+  const known = Object.values(WEBHOOK_EVENTS);
+  
+  if (events === undefined || events === null) {
+    return known;
+  }
+  
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !known.includes(event))) {
+    throw new ApiError(
+      `events must be a non-empty array of: ${known.join(', ')}`,
+      400,
+      'invalid_request_error',
+      'events',
+      'param_invalid'
+    );
+  }
+  
+  return [...new Set(events)];
+};
+
+/**
+ * Signing secret for deliveries to a per-request callback_url
+ * Derived from the server secret so it never has to be stored
+ * @param {string} keyId - API key ID
+ * @returns {string} - Secret
+ */
+const getCallbackSecret = (keyId) => {
+  const serverSecret = process.env.WEBHOOK_SECRET || process.env.KEY_SALT;
+  const digest = crypto.createHmac('sha256', serverSecret).update(`callback:${keyId}`).digest('hex');
+  return `whsec_${digest}`;
+};
+
+/**
+ * Sign a payload: HMAC-SHA256 of "<timestamp>.<body>", sent as "t=<timestamp>,v1=<hex>"
+ * @param {string} secret - Signing secret
+ * @param {string} body - JSON body as sent
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} - Signature header value
+ */
+const signPayload = (secret, body, timestamp) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Format a webhook row for API responses (the secret is only returned on creation)
+ * @param {Object} webhook - Webhook row from the database
+ * @returns {Object} - Public webhook data
+ */
+const toPublicWebhook = (webhook) => ({
+  id: webhook.id,
+  object: 'webhook',
+  url: webhook.url,
+  events: webhook.events,
+  created: Math.floor(new Date(webhook.created_at).getTime() / 1000)
+});
+
+/**
+ * Format a delivery row for API responses
+ * @param {Object} delivery - Delivery row from the database
+ * @returns {Object} - Public delivery data
+ */
+const toPublicDelivery = (delivery) => {
+  const toUnix = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : null);
+  
+  return {
+    id: delivery.id,
+    object: 'webhook.delivery',
+    webhook_id: delivery.webhook_id || null,
+    url: delivery.url,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    last_status_code: delivery.last_status_code || null,
+    last_error: delivery.last_error || null,
+    next_attempt: toUnix(delivery.next_attempt_at),
+    created: toUnix(delivery.created_at),
+    updated: toUnix(delivery.updated_at),
+    payload: delivery.payload
+  };
+};
+
+/**
+ * Delay before the next attempt, doubling after each failure
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(
+  WEBHOOK_CONFIG.initialDelay * 2 ** (attempts - 1),
+  WEBHOOK_CONFIG.maxDelay
+);
+
+/**
+ * Persist delivery progress; failures are logged so a retry loop never crashes
+ * @param {string} id - Delivery ID
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<void>}
+ */
+const updateDelivery = async (id, fields) => {
+  try {
+    await webhookDeliveries.update(id, { ...fields, updated_at: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to update webhook delivery', { delivery_id: id, error });
+  }
+};
+
+/**
+ * Run a delivery at its next attempt time
+ * @param {Object} delivery - Delivery row
+ * @param {string} secret - Signing secret
+ */
+const scheduleDelivery = (delivery, secret) => {
+  if (scheduledDeliveries.has(delivery.id)) {
+    return;
+  }
+  
+  const delay = delivery.next_attempt_at ? Math.max(0, new Date(delivery.next_attempt_at) - Date.now()) : 0;
+  
+  const timer = setTimeout(() => {
+    scheduledDeliveries.delete(delivery.id);
+    attemptDelivery(delivery, secret).catch(error => logger.error('Webhook delivery crashed', { delivery_id: delivery.id, error }));
+  }, delay);
+  
+  // Pending retries shouldn't keep the process alive on shutdown; they resume on the next start
+  timer.unref();
+  scheduledDeliveries.set(delivery.id, timer);
+};
+
+/**
+ * Make one delivery attempt, then record the outcome and schedule a retry if needed
+ * Any 2xx response counts as delivered. The attempt is claimed first, so when several
+ * processes have the delivery scheduled only one of them sends it.
+ * @param {Object} delivery - Delivery row
+ * @param {string} secret - Signing secret
+ * @returns {Promise<void>}
+ */
+const attemptDelivery = async (delivery, secret) => {
+  let claimed;
+  try {
+    claimed = await webhookDeliveries.claim(delivery.id, INSTANCE_ID, delivery.attempts, LEASE_CONFIG.duration);
+  } catch (error) {
+    logger.error('Failed to claim webhook delivery', { delivery_id: delivery.id, error });
+    return;
+  }
+  
+  // Another process made or is making this attempt
+  if (!claimed) {
+    return;
+  }
+  
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  
+  let statusCode = null;
+  let failure = null;
+  try {
+    // Checked before every attempt, and again when connecting, since DNS can change after the URL was accepted
+    if (!allowPrivateTargets()) {
+      await assertPublicUrl(delivery.url);
+    }
+    
+    const response = await axios.post(delivery.url, body, {
+      ...(!allowPrivateTargets() && publicAgents),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FeatherOps-Webhooks/1.0',
+        'X-FeatherOps-Event': delivery.event,
+        'X-FeatherOps-Delivery': delivery.id,
+        [WEBHOOK_CONFIG.signatureHeader]: signPayload(secret, body, timestamp)
+      },
+      timeout: WEBHOOK_CONFIG.timeout,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      failure = `Endpoint responded with HTTP ${statusCode}`;
+    }
+  } catch (error) {
+    failure = error.message || 'Request failed';
+  }
+  
+  if (!failure) {
+    await updateDelivery(delivery.id, {
+      status: DELIVERY_STATUS.SUCCEEDED,
+      attempts,
+      last_status_code: statusCode,
+      last_error: null,
+      next_attempt_at: null,
+      locked_until: null
+    });
+    return;
+  }
+  
+  if (attempts >= WEBHOOK_CONFIG.maxAttempts) {
+    logger.warn('Webhook delivery failed', { delivery_id: delivery.id, attempts, failure });
+    await updateDelivery(delivery.id, {
+      status: DELIVERY_STATUS.FAILED,
+      attempts,
+      last_status_code: statusCode,
+      last_error: failure,
+      next_attempt_at: null,
+      locked_until: null
+    });
+    return;
+  }
+  
+  const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts)).toISOString();
+  await updateDelivery(delivery.id, {
+    attempts,
+    last_status_code: statusCode,
+    last_error: failure,
+    next_attempt_at: nextAttemptAt,
+    locked_until: null
+  });
+  
+  scheduleDelivery({ ...delivery, attempts, next_attempt_at: nextAttemptAt }, secret);
+};
+
+/**
+ * Find the signing secret of a delivery
+ * @param {Object} delivery - Delivery row
+ * @returns {Promise<string|null>} - Secret, or null when its webhook was deleted
+ */
+const resolveSecret = async (delivery) => {
+  if (!delivery.webhook_id) {
+    return getCallbackSecret(delivery.key_id);
+  }
+  
+  const hooks = await webhooks.listForKey(delivery.key_id);
+  const webhook = hooks.find(hook => hook.id === delivery.webhook_id);
+  return webhook ? webhook.secret : null;
+};
+
+/**
+ * Summarize a generation result for a webhook payload
+ * Payloads are stored with their delivery, so base64 image data is replaced by each image's id and URL.
+ * Failed images ({ error } items of a partial result) are kept as they are.
+ * @param {Object|null} result - Generation result
+ * @returns {Object|null} - Result with { id, url, model, provider } and { error } items
+ */
+const summarizeResult = (result) => {
+  if (!result) {
+    return null;
+  }
+  
+  return {
+    created: result.created,
+    size: result.size,
+    output_format: result.output_format,
+    data: result.data.map(item => (item.error
+      ? item
+      : {
+        id: item.id,
+        url: item.url || getImageContentUrl(item.id),
+        model: item.model,
+        provider: item.provider
+      }))
+  };
+};
+
+/**
+ * Queue webhook deliveries for a finished generation
+ * Sent to every webhook of the key subscribed to the event, plus the request's callback_url.
+ * Never throws: notifications must not change the outcome of the generation.
+ * @param {Object} params - Generation parameters (keyId, model, callback_url)
+ * @param {Object} outcome - { jobId, result } on success or { jobId, error } on failure
+ * @returns {Promise<void>}
+ */
+const notifyGeneration = async (params, { jobId = null, result = null, error = null }) => {
+  if (!params.keyId) {
+    return;
+  }
+  
+  const event = error ? WEBHOOK_EVENTS.GENERATION_FAILED : WEBHOOK_EVENTS.GENERATION_SUCCEEDED;
+  
+  try {
+    const hooks = await webhooks.listForKey(params.keyId);
+    const targets = hooks
+      .filter(hook => hook.events.includes(event))
+      .map(hook => ({ webhookId: hook.id, url: hook.url, secret: hook.secret }));
+    
+    if (params.callback_url) {
+      targets.push({ webhookId: null, url: params.callback_url, secret: getCallbackSecret(params.keyId) });
+    }
+    
+    if (targets.length === 0) {
+      return;
+    }
+    
+    const now = new Date().toISOString();
+    const payload = {
+      id: `evt_${uuidv4()}`,
+      type: event,
+      created: Math.floor(Date.now() / 1000),
+      data: {
+        job_id: jobId,
+        model: params.model || null,
+        result: summarizeResult(result),
+        error: error
+          ? {
+            message: error.message || 'Failed to generate image',
+            type: error.type || 'server_error',
+            param: error.param || null,
+            code: error.code || null
+          }
+          : null
+      }
+    };
+    
+    for (const target of targets) {
+      const delivery = await webhookDeliveries.create({
+        id: uuidv4(),
+        key_id: params.keyId,
+        webhook_id: target.webhookId,
+        url: target.url,
+        event,
+        payload,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: now,
+        created_at: now,
+        updated_at: now
+      });
+      
+      scheduleDelivery(delivery, target.secret);
+    }
+  } catch (notifyError) {
+    logger.error('Failed to queue webhook deliveries', { error: notifyError });
+  }
+};
+
+/**
+ * Register a webhook endpoint for a key
+ * @param {string} keyId - API key ID
+ * @param {Object} input - { url, events }
+ * @returns {Promise<Object>} - The webhook, including its signing secret (only shown once)
+ */
+const createWebhook = async (keyId, input = {}) => {
+  const url = parseWebhookUrl(input.url, 'url');
+  const events = parseEvents(input.events);
+  
+  let data;
+  try {
+    const existing = await webhooks.listForKey(keyId);
+    if (existing.length >= WEBHOOK_CONFIG.maxWebhooksPerKey) {
+      throw new ApiError(
+        `An API key can have at most ${WEBHOOK_CONFIG.maxWebhooksPerKey} webhooks`,
+        409,
+        'invalid_request_error',
+        null,
+        'webhook_limit_reached'
+      );
+    }
+    
+    data = await webhooks.create({
+      id: uuidv4(),
+      key_id: keyId,
+      url,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      events,
+      created_at: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    
+    logger.error('Error creating webhook', { error });
+    throw new ApiError('Failed to create webhook', 500, 'server_error', null, 'webhook_creation_failed');
+  }
+  
+  return {
+    ...toPublicWebhook(data),
+    secret: data.secret
+  };
+};
+
+/**
+ * List the webhooks of a key
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Array>} - Webhooks
+ */
+const listWebhooks = async (keyId) => {
+  let data;
+  try {
+    data = await webhooks.listForKey(keyId);
+  } catch (error) {
+    logger.error('Error listing webhooks', { error });
+    throw new ApiError('Failed to list webhooks', 500, 'server_error', null, 'webhook_list_failed');
+  }
+  
+  return data.map(toPublicWebhook);
+};
+
+/**
+ * Fail the pending deliveries of a deleted webhook and drop the retries this process has scheduled
+ * Other processes can't claim a failed delivery, so their scheduled retries are never sent either.
+ * Errors are logged: the periodic resume fails any delivery left pending once its webhook is gone.
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+const cancelPendingDeliveries = async (webhookId) => {
+  let cancelled;
+  try {
+    cancelled = await webhookDeliveries.failPendingForWebhook(webhookId, {
+      last_error: 'Webhook was deleted',
+      next_attempt_at: null,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to cancel pending webhook deliveries', { webhook_id: webhookId, error });
+    return;
+  }
+  
+  for (const delivery of cancelled) {
+    clearTimeout(scheduledDeliveries.get(delivery.id));
+    scheduledDeliveries.delete(delivery.id);
+  }
+};
+
+/**
+ * Delete a webhook of a key (its delivery log is kept, and its pending deliveries are failed)
+ * @param {string} webhookId - Webhook ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object>} - Deletion status
+ */
+const deleteWebhook = async (webhookId, keyId) => {
+  let data;
+  try {
+    data = await webhooks.removeForKey(webhookId, keyId);
+  } catch (error) {
+    logger.error('Error deleting webhook', { error });
+    throw new ApiError('Failed to delete webhook', 500, 'server_error', null, 'webhook_delete_failed');
+  }
+  
+  if (!data) {
+    throw new ApiError('Webhook not found', 404, 'invalid_request_error', 'id', 'webhook_not_found');
+  }
+  
+  await cancelPendingDeliveries(webhookId);
+  
+  return {
+    id: webhookId,
+    object: 'webhook',
+    deleted: true
+  };
+};
+
+/**
+ * List the webhook deliveries of a key, newest first
+ * @param {string} keyId - API key ID
+ * @param {Object} query - { webhook_id, status, limit }
+ * @returns {Promise<Array>} - Deliveries
+ */
+const listDeliveries = async (keyId, query = {}) => {
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw new ApiError('limit must be an integer between 1 and 500', 400, 'invalid_request_error', 'limit', 'param_invalid');
+  }
+  
+  if (query.status && !Object.values(DELIVERY_STATUS).includes(query.status)) {
+    throw new ApiError(
+      `Invalid status. Must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}`,
+      400,
+      'invalid_request_error',
+      'status',
+      'param_invalid'
+    );
+  }
+  
+  let data;
+  try {
+    data = await webhookDeliveries.listForKey(keyId, {
+      webhookId: query.webhook_id,
+      status: query.status,
+      limit
+    });
+  } catch (error) {
+    logger.error('Error listing webhook deliveries', { error });
+    throw new ApiError('Failed to list webhook deliveries', 500, 'server_error', null, 'delivery_list_failed');
+  }
+  
+  return data.map(toPublicDelivery);
+};
+
+/**
+ * Get a webhook delivery of a key
+ * @param {string} deliveryId - Delivery ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object>} - The delivery
+ */
+const getDelivery = async (deliveryId, keyId) => {
+  let data;
+  try {
+    data = await webhookDeliveries.findForKey(deliveryId, keyId);
+  } catch (error) {
+    logger.error('Error fetching webhook delivery', { error });
+    throw new ApiError('Failed to fetch webhook delivery', 500, 'server_error', null, 'delivery_fetch_failed');
+  }
+  
+  if (!data) {
+    throw new ApiError('Webhook delivery not found', 404, 'invalid_request_error', 'id', 'delivery_not_found');
+  }
+  
+  return toPublicDelivery(data);
+};
+
+/**
+ * Schedule deliveries left pending by a stopped server process
+ * Runs at startup and every LEASE_CONFIG.sweepInterval; attempts are claimed before they are sent
+ * @returns {Promise<number>} - Number of resumed deliveries
+ */
+const resumePendingDeliveries = async () => {
+  let data;
+  try {
+    data = await webhookDeliveries.listPending();
+  } catch (error) {
+    logger.error('Failed to load pending webhook deliveries', { error });
+    return 0;
+  }
+  
+  let resumed = 0;
+  for (const delivery of data) {
+    if (scheduledDeliveries.has(delivery.id)) {
+      continue;
+    }
+    
+    let secret;
+    try {
+      secret = await resolveSecret(delivery);
+    } catch (error) {
+      // Left pending; the next sweep tries again
+      logger.error('Failed to load the webhook of a pending delivery', { delivery_id: delivery.id, error });
+      continue;
+    }
+    
+    // The webhook was deleted while the delivery was pending
+    if (!secret) {
+      await updateDelivery(delivery.id, {
+        status: DELIVERY_STATUS.FAILED,
+        last_error: 'Webhook was deleted',
+        next_attempt_at: null
+      });
+      continue;
+    }
+    
+    scheduleDelivery(delivery, secret);
+    resumed++;
+  }
+  
+  return resumed;
+};
+
+module.exports = {
+  parseWebhookUrl,
+  getCallbackSecret,
+  notifyGeneration,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  resumePendingDeliveries
+};
@@ -0,0 +1,94 @@
+const { reset } = require('./helpers');
+const { images } = require('../repositories');
+const { getCacheKey, findCachedResult, getInFlight, startFlight } = require('../services/cacheService');
+
+const baseParams = {
+  keyId: 'key-1',
+  prompt: 'A red fox',
+  model: 'dall-e-3',
+  size: '1024x1024',
+  n: 1,
+  url_type: 'proxy',
+  url_ttl: 3600,
+  cache: { ttl: 60 }
+};
+
+/**
+ * Store an image as the cached output of a generation
+ * @param {string} cacheKey - Cache key of the generation
+ * @returns {Promise<Object>} - Image row
+ */
+const storeCachedImage = (cacheKey) => images.create({
+  key_id: 'key-1',
+  storage_path: `key-1/${cacheKey}.png`,
+  storage_driver: 'local',
+  kind: 'output',
+  cache_key: cacheKey,
+  prompt: baseParams.prompt,
+  model: 'dalle',
+  created_at: new Date().toISOString()
+});
+
+beforeEach(() => {
+  reset();
+});
+
+describe('getCacheKey', () => {
+  it('ignores case and whitespace in the prompt and treats aliases as their native model', () => {
+    const key = getCacheKey(baseParams);
+    
+    expect(getCacheKey({ ...baseParams, prompt: '  a   RED fox ' })).toBe(key);
+    expect(getCacheKey({ ...baseParams, model: 'dalle' })).toBe(key);
+  });
+  
+  it('differs for a different prompt or size', () => {
+    const key = getCacheKey(baseParams);
+    
+    expect(getCacheKey({ ...baseParams, prompt: 'a blue fox' })).not.toBe(key);
+    expect(getCacheKey({ ...baseParams, size: '512x512' })).not.toBe(key);
+  });
+});
+
+describe('findCachedResult', () => {
+  it('serves a full hit from stored images', async () => {
+    const cacheKey = getCacheKey(baseParams);
+    const image = await storeCachedImage(cacheKey);
+    
+    const result = await findCachedResult({ ...baseParams, cacheKey });
+    
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({ id: image.id, url: `http://localhost:3000/v1/images/${image.id}/content` });
+  });
+  
+  it('misses when fewer images than requested are stored', async () => {
+    const cacheKey = getCacheKey(baseParams);
+    await storeCachedImage(cacheKey);
+    
+    expect(await findCachedResult({ ...baseParams, n: 2, cacheKey })).toBeNull();
+  });
+});
+
+describe('request coalescing', () => {
+  it('shares one running generation between identical requests', async () => {
+    const params = { ...baseParams, cacheKey: getCacheKey(baseParams) };
+    
+    expect(getInFlight(params)).toBeNull();
+    const flight = startFlight(params);
+    
+    const waiter = getInFlight({ ...params, callback_url: 'https://example.com/hook' });
+    expect(waiter).not.toBeNull();
+    
+    flight.resolve({ data: [] });
+    await expect(waiter).resolves.toEqual({ data: [] });
+    expect(getInFlight(params)).toBeNull();
+  });
+  
+  it('keeps requests with different delivery options apart', () => {
+    const params = { ...baseParams, cacheKey: getCacheKey(baseParams) };
+    const flight = startFlight(params);
+    
+    expect(getInFlight({ ...params, url_type: 'signed' })).toBeNull();
+    
+    flight.reject(new Error('done'));
+  });
+});
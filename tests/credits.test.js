@@ -0,0 +1,111 @@
+const { reset, createKey } = require('./helpers');
+const { chargeCredits, settleCredits, getCreditSummary, getCreditCost } = require('../services/creditService');
+const { rotateApiKey } = require('../services/keyService');
+
+const request = { model: 'dall-e-3', size: '1024x1024', n: 2 };
+
+beforeEach(() => {
+  reset();
+});
+
+describe('chargeCredits', () => {
+  it('takes the cost from a prepaid balance', async () => {
+    const key = await createKey({ credit_balance: 100 });
+    const { total } = getCreditCost(request.model, request.size, request.n);
+    
+    const charge = await chargeCredits(key.id, request);
+    
+    expect(charge.amount).toBe(total);
+    expect(charge.credits.balance).toBe(100 - total);
+    expect(charge.credits.daily.spent).toBe(total);
+  });
+  
+  it('leaves an unmetered key unmetered', async () => {
+    const key = await createKey();
+    
+    const charge = await chargeCredits(key.id, request);
+    
+    expect(charge.credits.balance).toBeNull();
+  });
+  
+  it('rejects a request the balance cannot cover', async () => {
+    const key = await createKey({ credit_balance: 1 });
+    
+    await expect(chargeCredits(key.id, request)).rejects.toMatchObject({
+      statusCode: 402,
+      code: 'insufficient_credits'
+    });
+  });
+  
+  it('rejects a request over the daily budget with a retry time', async () => {
+    const { total } = getCreditCost(request.model, request.size, request.n);
+    const key = await createKey({ daily_credit_budget: total });
+    
+    await chargeCredits(key.id, request);
+    const error = await chargeCredits(key.id, request).catch(rejection => rejection);
+    
+    expect(error).toMatchObject({ statusCode: 429, code: 'daily_credit_budget_exceeded' });
+    expect(error.retryAfter).toBeGreaterThan(0);
+  });
+});
+
+describe('settleCredits', () => {
+  it('refunds the images that failed', async () => {
+    const key = await createKey({ credit_balance: 100 });
+    const charge = await chargeCredits(key.id, request);
+    
+    await settleCredits(key.id, charge, { data: [{ url: 'https://example.com/a.png' }, { error: { message: 'failed' } }] });
+    
+    const { credits } = await getCreditSummary(key.id);
+    expect(credits.balance).toBe(100 - charge.perImage);
+    expect(credits.daily.spent).toBe(charge.perImage);
+  });
+  
+  it('refunds the whole charge of a failed request', async () => {
+    const key = await createKey({ credit_balance: 100 });
+    const charge = await chargeCredits(key.id, request);
+    
+    await settleCredits(key.id, charge, null);
+    
+    const { credits } = await getCreditSummary(key.id);
+    expect(credits.balance).toBe(100);
+    expect(credits.daily.spent).toBe(0);
+  });
+});
+
+describe('key rotation', () => {
+  it('moves the balance to the replacement with an entry on both keys', async () => {
+    const key = await createKey({ credit_balance: 100 });
+    
+    const rotated = await rotateApiKey(key.id, 600);
+    
+    expect(rotated.key.credit_balance).toBe(100);
+    expect(rotated.previous.credit_balance).toBe(0);
+    
+    const old = await getCreditSummary(key.id);
+    const replacement = await getCreditSummary(rotated.key.id);
+    expect(old.entries.map(entry => entry.amount)).toContain(-100);
+    expect(replacement.entries.map(entry => entry.amount)).toContain(100);
+  });
+  
+  it('charges the replacement for requests made with the old key during the grace period', async () => {
+    const key = await createKey({ credit_balance: 100 });
+    const rotated = await rotateApiKey(key.id, 600);
+    
+    const charge = await chargeCredits(key.id, request);
+    await settleCredits(key.id, charge, { data: [{ url: 'https://example.com/a.png' }, { error: { message: 'failed' } }] });
+    
+    const { credits } = await getCreditSummary(rotated.key.id);
+    expect(credits.balance).toBe(100 - charge.perImage);
+  });
+  
+  it('keeps counting spend against the budgets after a rotation', async () => {
+    const { total } = getCreditCost(request.model, request.size, request.n);
+    const key = await createKey({ daily_credit_budget: total });
+    
+    await chargeCredits(key.id, request);
+    const rotated = await rotateApiKey(key.id, 600);
+    
+    await expect(chargeCredits(rotated.key.id, request)).rejects.toMatchObject({ code: 'daily_credit_budget_exceeded' });
+  });
+});
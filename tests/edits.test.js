@@ -0,0 +1,103 @@
+const { Readable } = require('stream');
+const express = require('express');
+const axios = require('axios');
+const sharp = require('sharp');
+const { reset, createKey, stubProvider, request } = require('./helpers');
+const { images } = require('../repositories');
+const imageRoutes = require('../routes/v1/images');
+const { errorHandler } = require('../middleware/errorHandler');
+
+jest.mock('axios');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/images', imageRoutes);
+app.use(errorHandler);
+
+let png;
+
+/**
+ * Request an edit as multipart/form-data
+ * @param {Object} key - API key from createKey
+ * @param {Object} fields - Text fields and Buffer files
+ * @returns {Promise<Object>} - { status, headers, body } with the body parsed
+ */
+const requestEdit = async (key, fields) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => {
+    if (Buffer.isBuffer(value)) {
+      form.append(name, new Blob([value]), `${name}.png`);
+    } else {
+      form.append(name, value);
+    }
+  });
+  
+  const response = await request(app, '/v1/images/edits', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${key.key}` },
+    body: form
+  });
+  return { ...response, body: JSON.parse(response.body) };
+};
+
+beforeAll(async () => {
+  png = await sharp({ create: { width: 64, height: 64, channels: 4, background: '#336699' } }).png().toBuffer();
+  axios.mockImplementation(async () => ({ data: Readable.from([png]) }));
+});
+
+beforeEach(() => {
+  reset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('image edits', () => {
+  it('sends signed URLs of the stored image and mask to an edit-capable provider', async () => {
+    const provider = stubProvider('sdxl-beta');
+    const buildRequest = jest.spyOn(provider, 'buildRequest');
+    const key = await createKey();
+    
+    const response = await requestEdit(key, { image: png, mask: png, prompt: 'Add a hat', size: '256x256' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data[0]).toMatchObject({ model: 'sdxl-beta', provider: 'sdxl' });
+    
+    const { imageUrl, maskUrl, prompt } = buildRequest.mock.calls[0][0];
+    expect(prompt).toBe('Add a hat');
+    expect(imageUrl).toMatch(new RegExp(`^http://localhost:3000/storage/${key.id}/inputs/.+\\.png\\?expires=\\d+&signature=`));
+    expect(maskUrl).toMatch(/\/inputs\/.+\.png\?expires=/);
+  });
+  
+  it('links the output and mask to the uploaded source image', async () => {
+    stubProvider('sdxl-beta');
+    const key = await createKey();
+    
+    const response = await requestEdit(key, { image: png, mask: png, prompt: 'Add a hat', size: '256x256' });
+    
+    const stored = await images.listForKey(key.id, { limit: 10 });
+    const source = stored.find(image => image.kind === 'input');
+    expect(stored.find(image => image.kind === 'mask').source_image_id).toBe(source.id);
+    expect(stored.find(image => image.id === response.body.data[0].id).source_image_id).toBe(source.id);
+  });
+  
+  it('refuses models that cannot edit', async () => {
+    const key = await createKey();
+    
+    const response = await requestEdit(key, { image: png, prompt: 'Add a hat', model: 'dall-e-3' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ param: 'model', code: 'param_invalid' });
+  });
+  
+  it('requires an image file that is a supported image', async () => {
+    const key = await createKey();
+    
+    expect((await requestEdit(key, { prompt: 'Add a hat' })).body.error.param).toBe('image');
+    expect((await requestEdit(key, { image: Buffer.from('not an image'), prompt: 'Add a hat' })).body.error).toMatchObject({
+      param: 'image',
+      code: 'param_invalid'
+    });
+  });
+});
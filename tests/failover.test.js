@@ -0,0 +1,98 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const sharp = require('sharp');
+const { reset, createKey, stubProvider } = require('./helpers');
+const { requestLogs } = require('../repositories');
+const { generateImage } = require('../services/imageService');
+
+jest.mock('axios');
+
+const params = { prompt: 'A red fox', model: 'dall-e-3', size: '256x256', n: 1, url_type: 'proxy' };
+
+/**
+ * Fail a task start like an unreachable upstream
+ * @returns {Promise<never>}
+ */
+const failStart = async () => {
+  throw new Error('connect ECONNREFUSED');
+};
+
+let key;
+
+beforeAll(async () => {
+  const png = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+  
+  // Every upstream image download returns the same PNG
+  axios.mockImplementation(async () => ({ data: Readable.from([png]) }));
+});
+
+beforeEach(async () => {
+  reset();
+  key = await createKey();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('provider failover', () => {
+  it('serves the image from the next model of the chain when a task fails to start', async () => {
+    stubProvider('dalle', { startJob: failStart });
+    const flux = stubProvider('flux-1.1-pro');
+    const logRequest = jest.spyOn(requestLogs, 'create');
+    
+    const result = await generateImage({ ...params, keyId: key.id });
+    
+    expect(result.data[0]).toMatchObject({ model: 'flux-1.1-pro', provider: 'flux' });
+    expect(flux.startJob).toHaveBeenCalledTimes(1);
+    expect(logRequest).toHaveBeenCalledWith(expect.objectContaining({ model: 'dalle', provider: 'flux', fallback_used: true }));
+  });
+  
+  it('fails over when the upstream gives up on a task', async () => {
+    stubProvider('dalle', { poll: async () => ({ status: 'error', message: 'NSFW content detected' }) });
+    stubProvider('flux-1.1-pro');
+    
+    const result = await generateImage({ ...params, keyId: key.id });
+    
+    expect(result.data[0].model).toBe('flux-1.1-pro');
+  });
+  
+  it('skips fallbacks the key is not allowed to use', async () => {
+    stubProvider('dalle', { startJob: failStart });
+    const flux = stubProvider('flux-1.1-pro');
+    stubProvider('sdxl-beta');
+    
+    const result = await generateImage({
+      ...params,
+      keyId: key.id,
+      modelPolicy: { allowedModels: null, deniedModels: ['flux-1.1-pro'] }
+    });
+    
+    expect(result.data[0]).toMatchObject({ model: 'sdxl-beta', provider: 'sdxl' });
+    expect(flux.startJob).not.toHaveBeenCalled();
+  });
+  
+  it('only uses the requested model with strict_model', async () => {
+    stubProvider('dalle', { startJob: failStart });
+    const flux = stubProvider('flux-1.1-pro');
+    
+    await expect(generateImage({ ...params, keyId: key.id, strict_model: true })).rejects.toMatchObject({
+      code: 'generation_error'
+    });
+    expect(flux.startJob).not.toHaveBeenCalled();
+  });
+  
+  it('keeps a failed image in place when the whole chain fails', async () => {
+    let started = 0;
+    stubProvider('dalle', { startJob: async () => (started++ === 0 ? 'task-ok' : failStart()) });
+    stubProvider('flux-1.1-pro', { startJob: failStart });
+    stubProvider('sdxl-beta', { startJob: failStart });
+    
+    const result = await generateImage({ ...params, keyId: key.id, n: 2 });
+    
+    expect(result.data).toEqual([
+      expect.objectContaining({ model: 'dalle' }),
+      { error: expect.objectContaining({ type: 'api_error' }) }
+    ]);
+  });
+});
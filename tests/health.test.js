@@ -0,0 +1,90 @@
+const fs = require('fs');
+const express = require('express');
+const { request } = require('./helpers');
+const repositories = require('../repositories');
+const { listProviders } = require('../services/providers');
+const healthRoutes = require('../routes/health');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/health', healthRoutes);
+app.use(errorHandler);
+
+/**
+ * Request the readiness check
+ * @returns {Promise<Object>} - { status, headers, body } with the body parsed
+ */
+const getReady = async () => {
+  const response = await request(app, '/health/ready');
+  return { ...response, body: JSON.parse(response.body) };
+};
+
+beforeAll(() => {
+  // Created by the server at startup
+  fs.mkdirSync(process.env.TEMP_IMAGE_DIR, { recursive: true });
+});
+
+beforeEach(() => {
+  process.env.READINESS_CACHE_TTL = '0';
+  listProviders().forEach(provider => {
+    if (provider.checkHealth) {
+      jest.spyOn(provider, 'checkHealth').mockResolvedValue();
+    }
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.READINESS_CACHE_TTL;
+});
+
+describe('health checks', () => {
+  it('reports liveness without looking at dependencies', async () => {
+    jest.spyOn(repositories, 'ping').mockRejectedValue(new Error('connection refused'));
+    
+    expect((await request(app, '/health')).status).toBe(200);
+    expect((await request(app, '/health/live')).status).toBe(200);
+  });
+  
+  it('is ready when the database, storage and temp directory work', async () => {
+    const response = await getReady();
+    
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('ok');
+    expect(response.body.checks).toMatchObject({
+      database: { driver: 'memory', status: 'ok' },
+      storage: { driver: 'local', status: 'ok' },
+      temp_dir: { status: 'ok' }
+    });
+  });
+  
+  it('is not ready when the database is down, without exposing the error', async () => {
+    jest.spyOn(repositories, 'ping').mockRejectedValue(new Error('connect ECONNREFUSED db.internal:5432'));
+    
+    const response = await getReady();
+    
+    expect(response.status).toBe(503);
+    expect(response.body.checks.database).toEqual({ driver: 'memory', status: 'error', latency_ms: expect.any(Number) });
+    expect(JSON.stringify(response.body)).not.toContain('db.internal');
+  });
+  
+  it('reports an unhealthy provider without failing readiness', async () => {
+    const [provider] = listProviders().filter(candidate => candidate.checkHealth);
+    provider.checkHealth.mockRejectedValue(new Error('Upstream returned 500'));
+    
+    const response = await getReady();
+    
+    expect(response.status).toBe(200);
+    expect(response.body.checks.providers[provider.name].status).toBe('error');
+  });
+  
+  it('reuses a recent result', async () => {
+    const ping = jest.spyOn(repositories, 'ping');
+    
+    await getReady();
+    process.env.READINESS_CACHE_TTL = '60';
+    await getReady();
+    
+    expect(ping).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,54 @@
+const http = require('http');
+const { reset } = require('../repositories');
+const { generateApiKey } = require('../services/keyService');
+const { getProviderForModel } = require('../services/providers');
+
+/**
+ * Create a key through the key service
+ * @param {Object} [options] - Key options (credit_balance, budgets, model lists, ...)
+ * @returns {Promise<Object>} - The created key, including its ID
+ */
+const createKey = (options = {}) => generateApiKey('test@example.com', 100, 'standard', options);
+
+/**
+ * Make the provider adapter of a model answer without calling its upstream
+ * By default a task finishes on its first poll with an image at https://upstream.test/<model>.png
+ * @param {string} model - Model served by the adapter
+ * @param {Object} [behaviour] - { startJob, poll } implementations replacing the defaults
+ * @returns {Object} - The adapter, with startJob, poll and normalizeResult mocked
+ */
+const stubProvider = (model, { startJob, poll } = {}) => {
+  const provider = getProviderForModel(model);
+  
+  jest.spyOn(provider, 'startJob').mockImplementation(startJob || (async () => `task-${model}`));
+  jest.spyOn(provider, 'poll').mockImplementation(poll || (async () => ({ status: 'done' })));
+  jest.spyOn(provider, 'normalizeResult').mockReturnValue({ url: `https://upstream.test/${model}.png` });
+  
+  return provider;
+};
+
+/**
+ * Send one request to an express app on a temporary port
+ * @param {Object} app - Express app or router
+ * @param {string} path - Request path
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} - { status, headers, body } with the body as text
+ */
+const request = async (app, path, options = {}) => {
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, options);
+    return { status: response.status, headers: response.headers, body: await response.text() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+module.exports = {
+  reset,
+  createKey,
+  stubProvider,
+  request
+};
@@ -0,0 +1,107 @@
+const { reset } = require('./helpers');
+const { idempotencyKeys } = require('../repositories');
+const { beginRequest, completeRequest, releaseRequest } = require('../services/idempotencyService');
+const { IDEMPOTENCY_CONFIG } = require('../config/constants');
+
+const body = { prompt: 'a red fox', n: 1 };
+const response = { status: 200, headers: { 'X-Cache': 'MISS' }, body: { created: 1, data: [] } };
+
+beforeEach(() => {
+  reset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// The stored record, without claiming it
+const findRecord = async (keyId, idempotencyKey) => {
+  const future = new Date(Date.now() + 60 * 1000).toISOString();
+  const { claimed, ...record } = await idempotencyKeys.claim({ key_id: keyId, idempotency_key: idempotencyKey, expires_at: future, locked_until: future });
+  return record;
+};
+
+describe('idempotency', () => {
+  it('runs the first request and replays its response to retries', async () => {
+    const { owner } = await beginRequest('key-1', 'abc', body);
+    await completeRequest('key-1', 'abc', owner, response);
+    
+    const { replay } = await beginRequest('key-1', 'abc', { n: 1, prompt: 'a red fox' });
+    
+    expect(replay).toEqual(response);
+  });
+  
+  it('rejects a reused key with a different body', async () => {
+    const { owner } = await beginRequest('key-1', 'abc', body);
+    await completeRequest('key-1', 'abc', owner, response);
+    
+    await expect(beginRequest('key-1', 'abc', { ...body, n: 2 })).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'idempotency_key_reused'
+    });
+  });
+  
+  it('runs a request again after the original failed', async () => {
+    const { owner } = await beginRequest('key-1', 'abc', body);
+    await releaseRequest('key-1', 'abc', owner);
+    
+    expect(await beginRequest('key-1', 'abc', body)).toHaveProperty('owner');
+  });
+  
+  it('makes a retry wait for the original running in this process', async () => {
+    const { owner } = await beginRequest('key-1', 'abc', body);
+    
+    const retry = beginRequest('key-1', 'abc', body);
+    await completeRequest('key-1', 'abc', owner, response);
+    
+    expect(await retry).toEqual({ replay: response });
+  });
+  
+  it('keeps keys of different API keys apart', async () => {
+    const { owner } = await beginRequest('key-1', 'abc', body);
+    await completeRequest('key-1', 'abc', owner, response);
+    
+    expect(await beginRequest('key-2', 'abc', { prompt: 'something else' })).toHaveProperty('owner');
+  });
+  
+  it('reports a request another process is running as in progress', async () => {
+    const future = new Date(Date.now() + 60 * 1000).toISOString();
+    await idempotencyKeys.claim({ key_id: 'key-1', idempotency_key: 'abc', request_hash: 'other', expires_at: future, locked_until: future });
+    
+    await expect(beginRequest('key-1', 'abc', body)).rejects.toMatchObject({ statusCode: 409 });
+  });
+  
+  it('takes over a record whose processing lease expired', async () => {
+    const future = new Date(Date.now() + 60 * 1000).toISOString();
+    const past = new Date(Date.now() - 1000).toISOString();
+    await idempotencyKeys.claim({ key_id: 'key-1', idempotency_key: 'abc', request_hash: 'other', expires_at: future, locked_until: past });
+    
+    expect(await beginRequest('key-1', 'abc', body)).toHaveProperty('owner');
+  });
+  
+  it('renews the processing lease while the request runs', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask'] });
+    const { owner } = await beginRequest('key-1', 'abc', body);
+    const { locked_until: first } = await findRecord('key-1', 'abc');
+    
+    await jest.advanceTimersByTimeAsync(IDEMPOTENCY_CONFIG.renewInterval * 1000);
+    
+    const { locked_until: renewed } = await findRecord('key-1', 'abc');
+    expect(new Date(renewed).getTime()).toBe(new Date(first).getTime() + IDEMPOTENCY_CONFIG.renewInterval * 1000);
+    
+    await completeRequest('key-1', 'abc', owner, response);
+  });
+  
+  it('leaves the record of a request that took over alone when the original finishes', async () => {
+    const future = new Date(Date.now() + 60 * 1000).toISOString();
+    const past = new Date(Date.now() - 1000).toISOString();
+    const { owner } = await beginRequest('key-1', 'abc', body);
+    await idempotencyKeys.renew('key-1', 'abc', owner, past);
+    await idempotencyKeys.claim({ key_id: 'key-1', idempotency_key: 'abc', request_hash: 'other', expires_at: future, locked_until: future, locked_by: 'other-process' });
+    
+    await completeRequest('key-1', 'abc', owner, response);
+    await releaseRequest('key-1', 'abc', owner);
+    
+    expect(await findRecord('key-1', 'abc')).toMatchObject({ status: 'processing', locked_by: 'other-process' });
+  });
+});
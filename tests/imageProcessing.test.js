@@ -0,0 +1,46 @@
+const sharp = require('sharp');
+const { processImage } = require('../services/imageProcessing');
+
+/**
+ * A solid-colour PNG
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Promise<Buffer>} - PNG data
+ */
+const createPng = (width, height) => sharp({
+  create: { width, height, channels: 4, background: { r: 200, g: 40, b: 40, alpha: 1 } }
+}).png().toBuffer();
+
+describe('processImage', () => {
+  it('resizes and crops to the requested size', async () => {
+    const result = await processImage(await createPng(300, 200), { size: '256x256' });
+    
+    expect(await sharp(result.buffer).metadata()).toMatchObject({ format: 'png', width: 256, height: 256 });
+    expect(result).toMatchObject({ format: 'png', contentType: 'image/png' });
+  });
+  
+  it('encodes the requested output format', async () => {
+    const result = await processImage(await createPng(64, 64), { format: 'webp', compression: 50 });
+    
+    expect((await sharp(result.buffer).metadata()).format).toBe('webp');
+    expect(result.contentType).toBe('image/webp');
+  });
+  
+  it('rejects upstream content that is not an image', async () => {
+    await expect(processImage(Buffer.from('<html>Bad gateway</html>'))).rejects.toMatchObject({
+      statusCode: 502,
+      type: 'api_error',
+      code: 'invalid_upstream_image'
+    });
+  });
+  
+  it('reports an image that cannot be decoded as an api_error', async () => {
+    const truncated = (await createPng(64, 64)).subarray(0, 40);
+    
+    await expect(processImage(truncated)).rejects.toMatchObject({
+      statusCode: 500,
+      type: 'api_error',
+      code: 'image_processing_failed'
+    });
+  });
+});
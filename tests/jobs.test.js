@@ -0,0 +1,72 @@
+const { reset, createKey } = require('./helpers');
+const { images } = require('../repositories');
+const { generateImage } = require('../services/imageService');
+const { chargeCredits, getCreditSummary } = require('../services/creditService');
+const { createJob, getJob, cancelJob } = require('../services/jobService');
+
+jest.mock('../services/imageService');
+
+const request = { model: 'dall-e-3', size: '1024x1024', n: 1 };
+
+/**
+ * Wait until a background job has reached a given point
+ * @param {Function} check - Returns (a promise of) true once the point is reached
+ * @returns {Promise<void>}
+ */
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (await check()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  
+  throw new Error('Timed out waiting for the job');
+};
+
+beforeEach(() => {
+  reset();
+  generateImage.mockReset();
+});
+
+describe('cancelJob', () => {
+  it('refunds and deletes the images of a generation that finished after the cancellation', async () => {
+    const key = await createKey({ credit_balance: 100 });
+    const creditCharge = await chargeCredits(key.id, request);
+    const image = await images.create({
+      key_id: key.id,
+      storage_path: `${key.id}/cancelled.png`,
+      storage_driver: 'local',
+      kind: 'output',
+      created_at: new Date().toISOString()
+    });
+    
+    let finish;
+    generateImage.mockReturnValue(new Promise(resolve => {
+      finish = resolve;
+    }));
+    
+    const job = await createJob({ ...request, prompt: 'a red fox', keyId: key.id, creditCharge });
+    await waitFor(() => generateImage.mock.calls.length > 0);
+    
+    const cancelled = await cancelJob(job.id, key.id);
+    finish({ created: 1, data: [{ id: image.id, url: 'http://localhost:3000/image.png' }] });
+    await waitFor(async () => (await images.findForKey(image.id, key.id)) === null);
+    
+    expect(cancelled.status).toBe('cancelled');
+    expect((await getJob(job.id, key.id)).status).toBe('cancelled');
+    expect((await getCreditSummary(key.id)).credits.balance).toBe(100);
+    expect(await images.findForKey(image.id, key.id)).toBeNull();
+  });
+  
+  it('refuses to cancel a finished job', async () => {
+    const key = await createKey({ credit_balance: 100 });
+    const creditCharge = await chargeCredits(key.id, request);
+    generateImage.mockResolvedValue({ created: 1, data: [] });
+    
+    const job = await createJob({ ...request, prompt: 'a red fox', keyId: key.id, creditCharge });
+    await waitFor(async () => (await getJob(job.id, key.id)).status === 'succeeded');
+    
+    await expect(cancelJob(job.id, key.id)).rejects.toMatchObject({ statusCode: 409, code: 'job_not_cancellable' });
+  });
+});
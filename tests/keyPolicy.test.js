@@ -0,0 +1,69 @@
+const { reset, createKey } = require('./helpers');
+const { resolveScopes, isModelAllowed, isSizeAllowed } = require('../utils/keyPolicy');
+const { KEY_ROLES, SCOPES, DEFAULT_KEY_SCOPES, OPENAI_MODEL_MAP } = require('../config/constants');
+
+const [alias, nativeModel] = Object.entries(OPENAI_MODEL_MAP)[0];
+
+describe('resolveScopes', () => {
+  it('gives keys without a scope list the defaults', () => {
+    expect(resolveScopes({ role: KEY_ROLES.STANDARD })).toEqual(DEFAULT_KEY_SCOPES);
+  });
+  
+  it('always gives admin keys the admin scope', () => {
+    expect(resolveScopes({ role: KEY_ROLES.ADMIN, scopes: [] })).toContain(SCOPES.ADMIN);
+  });
+  
+  it('never gives standard keys the admin scope', () => {
+    expect(resolveScopes({ role: KEY_ROLES.STANDARD, scopes: [SCOPES.IMAGES_READ, SCOPES.ADMIN] })).toEqual([SCOPES.IMAGES_READ]);
+  });
+});
+
+describe('key scopes', () => {
+  beforeEach(() => {
+    reset();
+  });
+  
+  it('refuses to assign the admin scope', async () => {
+    await expect(createKey({ scopes: [SCOPES.IMAGES_READ, SCOPES.ADMIN] })).rejects.toMatchObject({
+      statusCode: 400,
+      param: 'scopes'
+    });
+  });
+  
+  it('assigns the other scopes', async () => {
+    const key = await createKey({ scopes: [SCOPES.IMAGES_READ] });
+    
+    expect(key.scopes).toEqual([SCOPES.IMAGES_READ]);
+  });
+});
+
+describe('isModelAllowed', () => {
+  it('allows every model without lists', () => {
+    expect(isModelAllowed({ allowedModels: null, deniedModels: null }, nativeModel)).toBe(true);
+  });
+  
+  it('denies a model requested by its OpenAI alias when the native name is denied', () => {
+    expect(isModelAllowed({ allowedModels: null, deniedModels: [nativeModel] }, alias)).toBe(false);
+  });
+  
+  it('denies a model requested by its native name when the alias is denied', () => {
+    expect(isModelAllowed({ allowedModels: null, deniedModels: [alias] }, nativeModel)).toBe(false);
+  });
+  
+  it('matches an allowlist entry by alias or native name', () => {
+    expect(isModelAllowed({ allowedModels: [alias], deniedModels: null }, nativeModel)).toBe(true);
+    expect(isModelAllowed({ allowedModels: [nativeModel], deniedModels: null }, alias)).toBe(true);
+  });
+  
+  it('denies models missing from the allowlist', () => {
+    expect(isModelAllowed({ allowedModels: [nativeModel], deniedModels: null }, 'not-a-model')).toBe(false);
+  });
+});
+
+describe('isSizeAllowed', () => {
+  it('checks the allow and deny lists', () => {
+    expect(isSizeAllowed({ allowedSizes: ['1024x1024'], deniedSizes: null }, '1024x1024')).toBe(true);
+    expect(isSizeAllowed({ allowedSizes: ['1024x1024'], deniedSizes: null }, '512x512')).toBe(false);
+    expect(isSizeAllowed({ allowedSizes: null, deniedSizes: ['512x512'] }, '512x512')).toBe(false);
+  });
+});
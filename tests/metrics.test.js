@@ -0,0 +1,105 @@
+const express = require('express');
+const { request } = require('./helpers');
+const { trackRequests } = require('../middleware/metrics');
+const { register, httpRequests, storageUploadDuration } = require('../services/metrics');
+const { getStorage } = require('../services/storage');
+const metricsRoutes = require('../routes/metrics');
+const { ApiError, errorHandler } = require('../middleware/errorHandler');
+
+const things = express.Router();
+things.get('/', (req, res) => res.json({ data: [] }));
+things.get('/:id', (req, res, next) => {
+  if (req.params.id === 'missing') {
+    return next(new ApiError('Thing not found', 404, 'invalid_request_error', 'id', 'not_found'));
+  }
+  
+  res.locals.model = 'dalle';
+  res.json({ id: req.params.id });
+});
+
+const app = express();
+app.use(trackRequests);
+app.use('/v1/things', things);
+app.use('/metrics', metricsRoutes);
+app.use(errorHandler);
+
+/**
+ * Current value of a series of the request counter
+ * @param {Object} labels - Labels the series must have
+ * @returns {Promise<number>} - Counter value (0 when the series doesn't exist)
+ */
+const countRequests = async (labels) => {
+  const { values } = await httpRequests.get();
+  const series = values.find(({ labels: seriesLabels }) => Object.entries(labels).every(([name, value]) => seriesLabels[name] === value));
+  return series ? series.value : 0;
+};
+
+beforeEach(() => {
+  register.resetMetrics();
+  process.env.METRICS_TOKEN = 'metrics-token';
+});
+
+afterAll(() => {
+  delete process.env.METRICS_TOKEN;
+});
+
+describe('request metrics', () => {
+  it('labels requests with the route pattern and model instead of the URL', async () => {
+    await request(app, '/v1/things/123');
+    await request(app, '/v1/things/456');
+    
+    expect(await countRequests({ method: 'GET', route: '/v1/things/:id', model: 'dalle', status: '200' })).toBe(2);
+  });
+  
+  it('labels a router root with its mount path', async () => {
+    await request(app, '/v1/things');
+    
+    expect(await countRequests({ route: '/v1/things', model: 'none', status: '200' })).toBe(1);
+  });
+  
+  it('keeps the route of requests that fail inside a router', async () => {
+    await request(app, '/v1/things/missing');
+    
+    expect(await countRequests({ route: '/v1/things/:id', status: '404' })).toBe(1);
+  });
+  
+  it('labels requests that match no route as unmatched', async () => {
+    await request(app, '/v1/nothing/here');
+    
+    expect(await countRequests({ route: 'unmatched' })).toBe(1);
+  });
+  
+  it('times storage uploads by driver', async () => {
+    await getStorage('local').upload(`metrics/${Date.now()}.png`, Buffer.from('png'));
+    
+    const { values } = await storageUploadDuration.get();
+    expect(values).toContainEqual(expect.objectContaining({
+      metricName: 'featherops_storage_upload_duration_seconds_count',
+      labels: { driver: 'local', outcome: 'success' },
+      value: 1
+    }));
+  });
+});
+
+describe('GET /metrics', () => {
+  it('serves the metrics to the metrics token', async () => {
+    await request(app, '/v1/things/123');
+    
+    const response = await request(app, '/metrics', { headers: { 'Authorization': 'Bearer metrics-token' } });
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toContain('featherops_http_requests_total{method="GET",route="/v1/things/:id",model="dalle",status="200"} 1');
+  });
+  
+  it('refuses other tokens', async () => {
+    const response = await request(app, '/metrics', { headers: { 'Authorization': 'Bearer wrong' } });
+    
+    expect(response.status).toBe(401);
+  });
+  
+  it('does not exist without a metrics token', async () => {
+    delete process.env.METRICS_TOKEN;
+    
+    expect((await request(app, '/metrics')).status).toBe(404);
+  });
+});
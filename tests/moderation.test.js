@@ -0,0 +1,117 @@
+const express = require('express');
+const { reset, createKey, stubProvider, request } = require('./helpers');
+const { moderationLogs } = require('../repositories');
+const { parseModerationPolicy, moderatePrompt, enforcePromptPolicy } = require('../services/moderationService');
+const moderationRoutes = require('../routes/v1/moderations');
+const imageRoutes = require('../routes/v1/images');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/moderations', moderationRoutes);
+app.use('/v1/images', imageRoutes);
+app.use(errorHandler);
+
+const context = { keyId: 'key-1', moderation: null, source: 'generations' };
+
+/**
+ * Send a JSON request with an API key
+ * @param {Object} key - API key from createKey
+ * @param {string} path - Request path
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - { status, headers, body } with the body parsed
+ */
+const post = async (key, path, body) => {
+  const response = await request(app, path, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${key.key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { ...response, body: JSON.parse(response.body) };
+};
+
+beforeEach(() => {
+  reset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('moderatePrompt', () => {
+  it('matches blocklist terms as whole words only', async () => {
+    const moderation = { blocklist: ['art'] };
+    
+    expect((await moderatePrompt('Modern art in a museum', { ...context, moderation })).flagged).toBe(true);
+    expect((await moderatePrompt('A birthday party', { ...context, moderation })).flagged).toBe(false);
+  });
+  
+  it('flags prompts matching a content rule', async () => {
+    const result = await moderatePrompt('A photo of Brand-X logo', { ...context, moderation: { rules: ['brand-?x'] } });
+    
+    expect(result.categories).toMatchObject({ custom_rule: true, blocklist: false });
+  });
+  
+  it('detects card numbers only when their checksum is valid', async () => {
+    expect((await moderatePrompt('Card 4111 1111 1111 1111 on a table', context)).categories.pii).toBe(true);
+    expect((await moderatePrompt('Serial 4111 1111 1111 1112 on a table', context)).categories.pii).toBe(false);
+  });
+  
+  it("lets a key's policy turn PII detection off", async () => {
+    const result = await moderatePrompt('Mail me at fox@example.com', { ...context, moderation: { pii_detection: false } });
+    
+    expect(result.flagged).toBe(false);
+  });
+  
+  it('logs the decision with personal data masked', async () => {
+    const logDecision = jest.spyOn(moderationLogs, 'create');
+    
+    await moderatePrompt('Mail me at fox@example.com', context);
+    
+    expect(logDecision).toHaveBeenCalledWith(expect.objectContaining({
+      key_id: 'key-1',
+      flagged: true,
+      categories: ['pii'],
+      prompt: 'Mail me at [EMAIL]'
+    }));
+  });
+});
+
+describe('enforcePromptPolicy', () => {
+  it('rejects a flagged prompt', async () => {
+    await expect(enforcePromptPolicy('x'.repeat(20), { ...context, moderation: { max_prompt_length: 10 } })).rejects.toMatchObject({
+      statusCode: 400,
+      param: 'prompt',
+      code: 'content_policy_violation'
+    });
+  });
+});
+
+describe('parseModerationPolicy', () => {
+  it('refuses rules that are not valid regular expressions', () => {
+    expect(() => parseModerationPolicy({ rules: ['(unclosed'] })).toThrow(expect.objectContaining({ param: 'moderation' }));
+  });
+});
+
+describe('moderation routes', () => {
+  it('reports each input of POST /v1/moderations', async () => {
+    const key = await createKey({ moderation: { blocklist: ['wolf'] } });
+    
+    const response = await post(key, '/v1/moderations', { input: ['A red fox', 'A grey wolf'] });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.results.map(result => result.flagged)).toEqual([false, true]);
+    expect(response.body.results[1].category_scores.blocklist).toBe(1);
+  });
+  
+  it('rejects a flagged generation before it reaches a provider', async () => {
+    const provider = stubProvider('dalle');
+    const key = await createKey({ moderation: { blocklist: ['wolf'] } });
+    
+    const response = await post(key, '/v1/images/generations', { prompt: 'A grey wolf', model: 'dall-e-3' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('content_policy_violation');
+    expect(provider.startJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+const { reset } = require('./helpers');
+const { createDynamicRateLimiter } = require('../middleware/rateLimit');
+
+/**
+ * Run the limiter for one request of a key
+ * @param {Object} apiKey - req.apiKey
+ * @returns {Promise<Object>} - { passed, status, headers, body }
+ */
+const hit = (apiKey) => new Promise((resolve) => {
+  const headers = {};
+  const res = {
+    setHeader: (name, value) => {
+      headers[name] = value;
+    },
+    status: (status) => ({
+      json: (body) => resolve({ passed: false, status, headers, body })
+    })
+  };
+  
+  createDynamicRateLimiter()({ apiKey }, res, () => resolve({ passed: true, status: 200, headers }));
+});
+
+beforeEach(() => {
+  reset();
+  delete process.env.RATE_LIMIT_BURST;
+});
+
+describe('createDynamicRateLimiter', () => {
+  it("counts requests against the key's daily quota", async () => {
+    const apiKey = { id: 'key-1', rateLimit: 3 };
+    
+    const first = await hit(apiKey);
+    const second = await hit(apiKey);
+    
+    expect(first.passed).toBe(true);
+    expect(first.headers['X-RateLimit-Limit']).toBe(3);
+    expect(first.headers['X-RateLimit-Remaining']).toBe(2);
+    expect(second.headers['X-RateLimit-Remaining']).toBe(1);
+  });
+  
+  it('rejects requests over the daily quota with Retry-After', async () => {
+    const apiKey = { id: 'key-1', rateLimit: 2 };
+    
+    await hit(apiKey);
+    await hit(apiKey);
+    const rejected = await hit(apiKey);
+    
+    expect(rejected.passed).toBe(false);
+    expect(rejected.status).toBe(429);
+    expect(rejected.body.error.code).toBe('rate_limit_exceeded');
+    expect(rejected.headers['Retry-After']).toBeGreaterThan(0);
+  });
+  
+  it('rejects requests over the per-minute burst limit', async () => {
+    process.env.RATE_LIMIT_BURST = '1';
+    const apiKey = { id: 'key-1', rateLimit: 100 };
+    
+    await hit(apiKey);
+    const rejected = await hit(apiKey);
+    
+    expect(rejected.status).toBe(429);
+    expect(rejected.body.error.message).toMatch(/Burst rate limit/);
+  });
+  
+  it('keeps separate counters per key', async () => {
+    await hit({ id: 'key-1', rateLimit: 1 });
+    const other = await hit({ id: 'key-2', rateLimit: 1 });
+    
+    expect(other.passed).toBe(true);
+  });
+});
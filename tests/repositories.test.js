@@ -0,0 +1,43 @@
+const repositories = require('../repositories');
+
+const { keys, jobs, reset } = repositories;
+
+beforeEach(() => {
+  reset();
+});
+
+describe('memory repositories', () => {
+  it('are selected with DB_DRIVER=memory and always reachable', async () => {
+    expect(reset).toEqual(expect.any(Function));
+    await expect(repositories.ping()).resolves.toBeUndefined();
+  });
+  
+  it('assign ids and return copies callers cannot use to change stored rows', async () => {
+    const key = await keys.create({ key_hash: 'hash', owner_email: 'test@example.com' });
+    key.owner_email = 'changed@example.com';
+    
+    expect(key.id).toEqual(expect.any(String));
+    expect((await keys.findById(key.id)).owner_email).toBe('test@example.com');
+  });
+  
+  it('update rows and return null when nothing matches', async () => {
+    const key = await keys.create({ key_hash: 'hash', owner_email: 'test@example.com' });
+    
+    expect(await keys.update(key.id, { revoked: true })).toMatchObject({ id: key.id, revoked: true });
+    expect(await keys.update('missing', { revoked: true })).toBeNull();
+  });
+  
+  it('never overwrite a job that is no longer active', async () => {
+    const job = await jobs.create({ key_id: 'key-1', status: 'cancelled', params: {} });
+    
+    expect(await jobs.updateActive(job.id, { status: 'succeeded' })).toBeNull();
+    expect((await jobs.findForKey(job.id, 'key-1')).status).toBe('cancelled');
+  });
+  
+  it('start empty after reset', async () => {
+    await keys.create({ key_hash: 'hash', owner_email: 'test@example.com' });
+    reset();
+    
+    expect(await keys.listAll()).toEqual([]);
+  });
+});
@@ -0,0 +1,12 @@
+const os = require('os');
+const path = require('path');
+
+// Tests run offline against the in-memory repositories and local storage
+process.env.DB_DRIVER = 'memory';
+process.env.RATE_LIMIT_STORE = 'database';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(os.tmpdir(), `featherops-test-storage-${process.pid}`);
+process.env.TEMP_IMAGE_DIR = path.join(os.tmpdir(), `featherops-test-temp-${process.pid}`);
+process.env.KEY_SALT = 'test-salt';
+process.env.PUBLIC_URL = 'http://localhost:3000';
+process.env.LOG_LEVEL = 'error';
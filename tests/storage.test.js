@@ -0,0 +1,84 @@
+const express = require('express');
+const { request } = require('./helpers');
+const { getStorage } = require('../services/storage');
+const storageRoutes = require('../routes/storage');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/storage', storageRoutes);
+app.use(errorHandler);
+
+const storage = getStorage('local');
+
+/**
+ * Path and query of a signed URL, as requested from the server
+ * @param {string} url - Signed URL
+ * @returns {string} - Path with query string
+ */
+const toRequestPath = (url) => {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+};
+
+afterEach(() => {
+  process.env.STORAGE_DRIVER = 'local';
+});
+
+describe('local storage', () => {
+  it('stores, reads and removes files', async () => {
+    await storage.upload('images/a.png', Buffer.from('png data'));
+    
+    expect((await storage.download('images/a.png')).toString()).toBe('png data');
+    
+    await storage.remove('images/a.png');
+    await storage.remove('images/a.png');
+    await expect(storage.download('images/a.png')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+  
+  it('refuses paths outside the storage directory', async () => {
+    await expect(storage.upload('../escape.png', Buffer.from('x'))).rejects.toThrow('Invalid storage path');
+  });
+  
+  it('signs URLs that expire', async () => {
+    const url = new URL(await storage.getSignedUrl('images/b.png', 60));
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+    
+    expect(url.origin + url.pathname).toBe('http://localhost:3000/storage/images/b.png');
+    expect(storage.verifySignature('images/b.png', expires, signature)).toBe(true);
+    expect(storage.verifySignature('images/c.png', expires, signature)).toBe(false);
+    expect(storage.verifySignature('images/b.png', String(Number(expires) + 1), signature)).toBe(false);
+    
+    const expired = new URL(await storage.getSignedUrl('images/b.png', -1));
+    expect(storage.verifySignature('images/b.png', expired.searchParams.get('expires'), expired.searchParams.get('signature'))).toBe(false);
+  });
+});
+
+describe('storage route', () => {
+  it('serves a file from a signed URL', async () => {
+    await storage.upload('images/served.png', Buffer.from('served'));
+    
+    const response = await request(app, toRequestPath(await storage.getSignedUrl('images/served.png', 60)));
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toBe('served');
+  });
+  
+  it('refuses a URL with a bad signature', async () => {
+    const response = await request(app, '/storage/images/served.png?expires=9999999999&signature=00');
+    
+    expect(response.status).toBe(403);
+    expect(JSON.parse(response.body).error.code).toBe('invalid_signature');
+  });
+  
+  it('keeps serving signed local URLs after the storage driver is switched', async () => {
+    await storage.upload('images/before-switch.png', Buffer.from('kept'));
+    const url = await storage.getSignedUrl('images/before-switch.png', 60);
+    process.env.STORAGE_DRIVER = 's3';
+    
+    const response = await request(app, toRequestPath(url));
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toBe('kept');
+  });
+});
@@ -0,0 +1,105 @@
+const { Readable } = require('stream');
+const express = require('express');
+const axios = require('axios');
+const sharp = require('sharp');
+const { reset, createKey, stubProvider, request } = require('./helpers');
+const imageRoutes = require('../routes/v1/images');
+const { errorHandler } = require('../middleware/errorHandler');
+
+jest.mock('axios');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/images', imageRoutes);
+app.use(errorHandler);
+
+/**
+ * Parse a Server-Sent Events body
+ * @param {string} body - Raw event stream
+ * @returns {Array<Object>} - [{ event, data }] in order, without comments
+ */
+const parseEvents = (body) => body
+  .split('\n\n')
+  .filter(block => block.startsWith('event: '))
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+
+/**
+ * Request a streamed generation
+ * @param {Object} key - API key from createKey
+ * @param {Object} body - Request body (stream is added)
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+const streamGeneration = (key, body) => request(app, '/v1/images/generations', {
+  method: 'POST',
+  headers: { 'Authorization': `Bearer ${key.key}`, 'Content-Type': 'application/json' },
+  body: JSON.stringify({ model: 'dall-e-3', size: '256x256', ...body, stream: true })
+});
+
+beforeAll(async () => {
+  const png = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+  axios.mockImplementation(async () => ({ data: Readable.from([png]) }));
+});
+
+beforeEach(() => {
+  reset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('streamed generations', () => {
+  it('streams progress events and ends with the result', async () => {
+    stubProvider('dalle');
+    const key = await createKey();
+    
+    const response = await streamGeneration(key, { prompt: 'A red fox' });
+    
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+    
+    const events = parseEvents(response.body);
+    expect(events.map(({ event }) => event)).toEqual(['queued', 'task.started', 'task.progress', 'image.uploading', 'completed']);
+    expect(events[0].data).toEqual({ model: 'dall-e-3', size: '256x256', n: 1 });
+    expect(events[4].data.data[0]).toMatchObject({ model: 'dalle', provider: 'dalle' });
+  });
+  
+  it('reports failovers in the stream', async () => {
+    stubProvider('dalle', { startJob: async () => { throw new Error('connect ECONNREFUSED'); } });
+    stubProvider('flux-1.1-pro');
+    const key = await createKey();
+    
+    const events = parseEvents((await streamGeneration(key, { prompt: 'A red fox' })).body);
+    
+    expect(events.find(({ event }) => event === 'task.failover').data).toMatchObject({
+      index: 0,
+      from: 'dalle',
+      to: 'flux-1.1-pro'
+    });
+    expect(events[events.length - 1].event).toBe('completed');
+  });
+  
+  it('ends with an error event when the generation fails', async () => {
+    stubProvider('dalle', { poll: async () => ({ status: 'error', message: 'Upstream refused the prompt' }) });
+    const key = await createKey();
+    
+    const events = parseEvents((await streamGeneration(key, { prompt: 'A red fox', strict_model: true })).body);
+    
+    expect(events[events.length - 1]).toEqual({
+      event: 'error',
+      data: { error: expect.objectContaining({ message: 'Upstream refused the prompt', code: 'generation_failed' }) }
+    });
+  });
+  
+  it('refuses stream combined with async', async () => {
+    const key = await createKey();
+    
+    const response = await streamGeneration(key, { prompt: 'A red fox', async: true });
+    
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body).error.param).toBe('stream');
+  });
+});
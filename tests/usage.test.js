@@ -0,0 +1,92 @@
+const { reset } = require('./helpers');
+const { requestLogs } = require('../repositories');
+const { parseUsageQuery, parseKeyFilter, getUsage, formatUsageCsv } = require('../services/usageService');
+
+/**
+ * Log a request made on a given day
+ * @param {Object} fields - Request log fields
+ * @returns {Promise<void>}
+ */
+const logRequest = (fields) => requestLogs.create({
+  key_id: 'key-1',
+  model: 'dalle',
+  status: 'success',
+  images_requested: 1,
+  images_generated: 1,
+  credits_used: 4,
+  ...fields
+});
+
+beforeEach(() => {
+  reset();
+});
+
+describe('parseUsageQuery', () => {
+  it('turns inclusive dates into a half-open range', () => {
+    expect(parseUsageQuery({ start_date: '2024-03-01', end_date: '2024-03-02' })).toEqual({
+      from: '2024-03-01T00:00:00.000Z',
+      to: '2024-03-03T00:00:00.000Z',
+      startDate: '2024-03-01',
+      endDate: '2024-03-02',
+      format: 'json'
+    });
+  });
+  
+  it('rejects days that do not exist', () => {
+    expect(() => parseUsageQuery({ start_date: '2024-02-30', end_date: '2024-03-01' })).toThrow('start_date must be a date in YYYY-MM-DD format');
+    expect(() => parseUsageQuery({ start_date: '2023-02-29', end_date: '2023-03-01' })).toThrow('start_date must be a date in YYYY-MM-DD format');
+    expect(parseUsageQuery({ start_date: '2024-02-29', end_date: '2024-03-01' }).startDate).toBe('2024-02-29');
+  });
+  
+  it('rejects a range that ends before it starts', () => {
+    expect(() => parseUsageQuery({ start_date: '2024-03-02', end_date: '2024-03-01' })).toThrow('start_date must not be after end_date');
+  });
+});
+
+describe('parseKeyFilter', () => {
+  it('accepts a key ID or no filter', () => {
+    expect(parseKeyFilter('9b2f6c1e-4d3a-4f8b-9c7e-1a2b3c4d5e6f')).toBe('9b2f6c1e-4d3a-4f8b-9c7e-1a2b3c4d5e6f');
+    expect(parseKeyFilter(undefined)).toBeUndefined();
+  });
+  
+  it('rejects a value that is not a UUID', () => {
+    expect(() => parseKeyFilter('not-a-key')).toThrow(expect.objectContaining({ statusCode: 400, param: 'key_id' }));
+    expect(() => parseKeyFilter(['9b2f6c1e-4d3a-4f8b-9c7e-1a2b3c4d5e6f'])).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('getUsage', () => {
+  beforeEach(async () => {
+    await logRequest({ created_at: '2024-03-01T10:00:00.000Z' });
+    await logRequest({ created_at: '2024-03-01T11:00:00.000Z', images_requested: 2, credits_used: 8 });
+    await logRequest({ created_at: '2024-03-01T12:00:00.000Z', status: 'error', images_generated: 0, credits_used: 0 });
+    await logRequest({ created_at: '2024-03-02T09:00:00.000Z', key_id: 'key-2' });
+    await logRequest({ created_at: '2024-03-05T09:00:00.000Z' });
+  });
+  
+  it("groups a key's requests by day, model and status", async () => {
+    const usage = await getUsage({ keyId: 'key-1', ...parseUsageQuery({ start_date: '2024-03-01', end_date: '2024-03-02' }) });
+    
+    expect(usage.data).toEqual([
+      { date: '2024-03-01', model: 'dalle', status: 'error', requests: 1, errors: 1, images_requested: 1, images_generated: 0, credits_used: 0 },
+      { date: '2024-03-01', model: 'dalle', status: 'success', requests: 2, errors: 0, images_requested: 3, images_generated: 2, credits_used: 12 }
+    ]);
+    expect(usage.totals).toEqual({ requests: 3, errors: 1, images_requested: 4, images_generated: 2, credits_used: 12 });
+  });
+  
+  it('breaks usage down by key across keys', async () => {
+    const usage = await getUsage(parseUsageQuery({ start_date: '2024-03-01', end_date: '2024-03-02' }));
+    
+    expect(usage.key_id).toBeNull();
+    expect(usage.data.map(row => row.key_id)).toEqual(['key-1', 'key-1', 'key-2']);
+  });
+  
+  it('renders the report as CSV', async () => {
+    const usage = await getUsage({ keyId: 'key-1', ...parseUsageQuery({ start_date: '2024-03-05', end_date: '2024-03-05' }) });
+    
+    expect(formatUsageCsv(usage)).toBe(
+      'date,model,status,requests,errors,images_requested,images_generated,credits_used\r\n' +
+      '2024-03-05,dalle,success,1,0,1,1,4\r\n'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+const { Readable } = require('stream');
+const express = require('express');
+const axios = require('axios');
+const sharp = require('sharp');
+const { reset, createKey, stubProvider, request } = require('./helpers');
+const imageRoutes = require('../routes/v1/images');
+const { errorHandler } = require('../middleware/errorHandler');
+
+jest.mock('axios');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/images', imageRoutes);
+app.use(errorHandler);
+
+let png;
+
+/**
+ * Request variations of an image as multipart/form-data
+ * @param {Object} key - API key from createKey
+ * @param {Object} [fields] - Text fields sent along with the image
+ * @returns {Promise<Object>} - { status, headers, body } with the body parsed
+ */
+const requestVariations = async (key, fields = {}) => {
+  const form = new FormData();
+  form.append('image', new Blob([png]), 'image.png');
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  
+  const response = await request(app, '/v1/images/variations', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${key.key}` },
+    body: form
+  });
+  return { ...response, body: JSON.parse(response.body) };
+};
+
+beforeAll(async () => {
+  png = await sharp({ create: { width: 64, height: 64, channels: 4, background: '#336699' } }).png().toBuffer();
+  axios.mockImplementation(async () => ({ data: Readable.from([png]) }));
+});
+
+beforeEach(() => {
+  reset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('image variations', () => {
+  it('makes variations without a prompt on the default variations model', async () => {
+    const provider = stubProvider('magicstudio');
+    const buildRequest = jest.spyOn(provider, 'buildRequest');
+    const key = await createKey();
+    
+    const response = await requestVariations(key, { n: '2', size: '256x256' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([
+      expect.objectContaining({ model: 'magicstudio' }),
+      expect.objectContaining({ model: 'magicstudio' })
+    ]);
+    expect(buildRequest.mock.calls[0][0]).toMatchObject({ prompt: undefined, imageUrl: expect.stringContaining('/inputs/') });
+  });
+  
+  it('refuses models that cannot make variations', async () => {
+    const key = await createKey();
+    
+    const response = await requestVariations(key, { model: 'dall-e-3' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toMatch(/does not support image variations/);
+  });
+  
+  it('lists the operations each model supports', async () => {
+    const key = await createKey();
+    
+    const response = await request(app, '/v1/images/models', { headers: { 'Authorization': `Bearer ${key.key}` } });
+    const models = JSON.parse(response.body).data;
+    
+    expect(models.find(model => model.id === 'dalle').capabilities).toEqual(['generations']);
+    expect(models.find(model => model.id === 'magicstudio').capabilities).toEqual(['generations', 'variations']);
+  });
+});
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { reset, createKey } = require('./helpers');
+const { webhooks, webhookDeliveries } = require('../repositories');
+const {
+  createWebhook,
+  deleteWebhook,
+  notifyGeneration,
+  getCallbackSecret,
+  listDeliveries,
+  resumePendingDeliveries
+} = require('../services/webhookService');
+
+jest.mock('axios');
+
+/**
+ * Wait for queued deliveries to be attempted
+ * @returns {Promise<void>}
+ */
+const flushDeliveries = () => new Promise(resolve => setTimeout(resolve, 50));
+
+/**
+ * Check a signature header against a secret and the body as sent
+ * @param {string} header - "t=<timestamp>,v1=<hex>"
+ * @param {string} secret - Signing secret
+ * @param {string} body - Raw JSON body
+ * @returns {boolean} - Whether the signature matches
+ */
+const verifySignature = (header, secret, body) => {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return v1 === expected;
+};
+
+const result = {
+  created: 1,
+  size: '1024x1024',
+  output_format: 'png',
+  data: [{ id: 'image-1', b64_json: 'aGVsbG8=', model: 'dalle', provider: 'dalle' }]
+};
+
+/**
+ * Store a pending delivery without scheduling it, as left by a stopped process
+ * @param {string} keyId - API key ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} - The delivery
+ */
+const queueDelivery = async (keyId, webhookId) => {
+  const now = new Date().toISOString();
+  return webhookDeliveries.create({
+    id: crypto.randomUUID(),
+    key_id: keyId,
+    webhook_id: webhookId,
+    url: 'https://example.com/hooks',
+    event: 'generation.succeeded',
+    payload: {},
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: now,
+    created_at: now,
+    updated_at: now
+  });
+};
+
+beforeEach(() => {
+  reset();
+  axios.post.mockReset();
+  axios.post.mockResolvedValue({ status: 200 });
+  process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+});
+
+describe('webhook deliveries', () => {
+  it('signs deliveries with the webhook secret', async () => {
+    const key = await createKey();
+    const webhook = await createWebhook(key.id, { url: 'https://example.com/hooks' });
+    
+    await notifyGeneration({ keyId: key.id, model: 'dall-e-3' }, { result });
+    await flushDeliveries();
+    
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    const [url, body, config] = axios.post.mock.calls[0];
+    expect(url).toBe('https://example.com/hooks');
+    expect(verifySignature(config.headers['X-FeatherOps-Signature'], webhook.secret, body)).toBe(true);
+    expect(verifySignature(config.headers['X-FeatherOps-Signature'], 'whsec_wrong', body)).toBe(false);
+  });
+  
+  it("signs callback_url deliveries with the key's callback secret", async () => {
+    const key = await createKey();
+    
+    await notifyGeneration({ keyId: key.id, callback_url: 'https://example.com/callback' }, { result });
+    await flushDeliveries();
+    
+    const [, body, config] = axios.post.mock.calls[0];
+    expect(verifySignature(config.headers['X-FeatherOps-Signature'], getCallbackSecret(key.id), body)).toBe(true);
+  });
+  
+  it('stores image ids and URLs instead of base64 data', async () => {
+    const key = await createKey();
+    
+    await notifyGeneration({ keyId: key.id, callback_url: 'https://example.com/callback' }, { result });
+    await flushDeliveries();
+    
+    const [delivery] = await listDeliveries(key.id, {});
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.payload.data.result.data[0]).toEqual({
+      id: 'image-1',
+      url: 'http://localhost:3000/v1/images/image-1/content',
+      model: 'dalle',
+      provider: 'dalle'
+    });
+  });
+  
+  it('keeps the errors of failed images in the payload', async () => {
+    const key = await createKey();
+    const failed = { error: { message: 'Provider timed out', type: 'api_error', code: 'provider_timeout' } };
+    
+    await notifyGeneration({ keyId: key.id, callback_url: 'https://example.com/callback' }, {
+      result: { ...result, data: [...result.data, failed] }
+    });
+    await flushDeliveries();
+    
+    const [delivery] = await listDeliveries(key.id, {});
+    expect(delivery.payload.data.result.data).toEqual([
+      expect.objectContaining({ id: 'image-1' }),
+      failed
+    ]);
+  });
+  
+  it('fails the pending deliveries of a deleted webhook without sending them', async () => {
+    const key = await createKey();
+    const webhook = await createWebhook(key.id, { url: 'https://example.com/hooks' });
+    
+    await notifyGeneration({ keyId: key.id }, { result });
+    await deleteWebhook(webhook.id, key.id);
+    await flushDeliveries();
+    
+    expect(axios.post).not.toHaveBeenCalled();
+    const [delivery] = await listDeliveries(key.id, {});
+    expect(delivery).toMatchObject({ webhook_id: webhook.id, status: 'failed', last_error: 'Webhook was deleted' });
+  });
+  
+  it('leaves a delivery pending when its webhook could not be loaded', async () => {
+    const key = await createKey();
+    const webhook = await createWebhook(key.id, { url: 'https://example.com/hooks' });
+    const delivery = await queueDelivery(key.id, webhook.id);
+    jest.spyOn(webhooks, 'listForKey').mockRejectedValueOnce(new Error('connection reset'));
+    
+    expect(await resumePendingDeliveries()).toBe(0);
+    
+    expect(await listDeliveries(key.id, {})).toEqual([expect.objectContaining({ id: delivery.id, status: 'pending' })]);
+  });
+  
+  it('fails a pending delivery whose webhook is gone', async () => {
+    const key = await createKey();
+    await queueDelivery(key.id, '00000000-0000-4000-8000-000000000000');
+    
+    expect(await resumePendingDeliveries()).toBe(0);
+    
+    const [delivery] = await listDeliveries(key.id, {});
+    expect(delivery).toMatchObject({ status: 'failed', last_error: 'Webhook was deleted' });
+  });
+  
+  it('refuses private callback targets', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'false';
+    const key = await createKey();
+    
+    await expect(createWebhook(key.id, { url: 'http://127.0.0.1/hooks' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
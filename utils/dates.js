@@ -0,0 +1,31 @@
+const { ApiError } = require('../middleware/errorHandler');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a YYYY-MM-DD query parameter as a UTC date
+ * Days that don't exist (2024-02-30) are rejected rather than rolled over into the next month
+ * @param {string} value - Date string
+ * @param {string} param - Parameter name used in the error
+ * @returns {Date} - Midnight UTC of that day
+ */
+const parseDate = (value, param) => {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  
+  if (
+    typeof value !== 'string' ||
+    !DATE_PATTERN.test(value) ||
+    isNaN(date.getTime()) ||
+    date.toISOString().slice(0, 10) !== value
+  ) {
+    throw new ApiError(`${param} must be a date in YYYY-MM-DD format`, 400, 'invalid_request_error', param, 'param_invalid');
+  }
+  
+  return date;
+};
+
+module.exports = {
+  DAY,
+  parseDate
+};
@@ -0,0 +1,62 @@
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Content type and file extension of each image format the API reads or writes
+const FORMATS = {
+  png: { contentType: 'image/png', extension: 'png' },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+  gif: { contentType: 'image/gif', extension: 'gif' }
+};
+
+/**
+ * Detect an image's format from its magic bytes
+ * Upstream URLs and client-declared content types can't be trusted to match the content
+ * @param {Buffer} buffer - Image content
+ * @returns {string|null} - png, jpeg, webp or gif, or null when unrecognized
+ */
+const detectImageFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+  
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    return 'gif';
+  }
+  
+  return null;
+};
+
+/**
+ * Get the content type and file extension of an image format
+ * @param {string} format - Format returned by detectImageFormat
+ * @returns {Object} - { contentType, extension }
+ */
+const getFormatInfo = (format) => FORMATS[format];
+
+/**
+ * Parse a WIDTHxHEIGHT size
+ * @param {string} size - Requested size
+ * @returns {Object|null} - { width, height }, or null for sizes without fixed dimensions (hd)
+ */
+const parseDimensions = (size) => {
+  const match = /^(\d+)x(\d+)$/.exec(size || '');
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+};
+
+module.exports = {
+  detectImageFormat,
+  getFormatInfo,
+  parseDimensions
+};
@@ -0,0 +1,82 @@
+const { ApiError } = require('../middleware/errorHandler');
+const { IMAGE_URL_CONFIG } = require('../config/constants');
+
+/**
+ * Base URL clients reach this server on
+ * @returns {string} - Base URL without a trailing slash
+ */
+const getPublicBaseUrl = () => process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Stable URL serving a stored image through GET /v1/images/:id/content
+ * @param {string} imageId - ID of the image
+ * @returns {string} - Proxy URL (requires the owning API key)
+ */
+const getImageContentUrl = (imageId) => `${getPublicBaseUrl()}/v1/images/${imageId}/content`;
+
+/**
+ * Longest signed URL lifetime the server allows, in seconds
+ * @returns {number} - Maximum TTL
+ */
+const getMaxUrlTtl = () => {
+  const value = parseInt(process.env.IMAGE_URL_MAX_TTL, 10);
+  return Number.isInteger(value) && value > 0 ? value : IMAGE_URL_CONFIG.maxTtl;
+};
+
+/**
+ * Validate a requested signed URL lifetime
+ * @param {*} value - Requested TTL in seconds (undefined for the default)
+ * @param {number} defaultTtl - TTL used when none is requested
+ * @returns {number} - TTL in seconds, never above the server maximum
+ */
+const parseUrlTtl = (value, defaultTtl) => {
+  const maxTtl = getMaxUrlTtl();
+  
+  if (value === undefined || value === null || value === '') {
+    return Math.min(defaultTtl, maxTtl);
+  }
+  
+  const ttl = Number(value);
+  
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > maxTtl) {
+    throw new ApiError(
+      `url_ttl must be an integer between 1 and ${maxTtl} seconds`,
+      400,
+      'invalid_request_error',
+      'url_ttl',
+      'param_invalid'
+    );
+  }
+  
+  return ttl;
+};
+
+/**
+ * Validate a requested URL type
+ * @param {*} value - 'signed' or 'proxy' (undefined for the default)
+ * @returns {string} - The URL type
+ */
+const parseUrlType = (value) => {
+  if (value === undefined || value === null) {
+    return process.env.IMAGE_URL_TYPE || IMAGE_URL_CONFIG.defaultType;
+  }
+  
+  if (!IMAGE_URL_CONFIG.types.includes(value)) {
+    throw new ApiError(
+      `Invalid url_type. Must be one of: ${IMAGE_URL_CONFIG.types.join(', ')}`,
+      400,
+      'invalid_request_error',
+      'url_type',
+      'param_invalid'
+    );
+  }
+  
+  return value;
+};
+
+module.exports = {
+  getPublicBaseUrl,
+  getImageContentUrl,
+  parseUrlTtl,
+  parseUrlType
+};
@@ -0,0 +1,12 @@
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Identifies this server process as the holder of job and webhook delivery leases
+ * The random suffix keeps a restarted process with a reused PID from inheriting old leases
+ */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+module.exports = {
+  INSTANCE_ID
+};
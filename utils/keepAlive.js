@@ -1,5 +1,7 @@
 const axios = require('axios');
 const process = require('process');
+const { keepAlivePings } = require('../services/metrics');
+const { logger } = require('./logger');
 
 /**
  * Service to keep the Render deployment alive by pinging it regularly
@@ -22,7 +24,7 @@ class KeepAliveService {
    */
   start(url, intervalMinutes = 5) {
     if (this.isRunning) {
-      console.log('Keep-alive service is already running');
+      logger.info('Keep-alive service is already running');
       return;
     }
 
@@ -30,8 +32,7 @@ class KeepAliveService {
     this.pingUrl = url || `http://localhost:${process.env.PORT || 80}/health`;
     this.pingInterval = intervalMinutes * 60 * 1000;
     
-    console.log(`🔄 Starting keep-alive service...`);
-    console.log(`📡 Pinging ${this.pingUrl} every ${intervalMinutes} minutes`);
+    logger.info('Starting keep-alive service', { url: this.pingUrl, interval_minutes: intervalMinutes });
     
     // Perform an initial ping
     this.ping();
@@ -46,13 +47,13 @@ class KeepAliveService {
    */
   stop() {
     if (!this.isRunning) {
-      console.log('Keep-alive service is not running');
+      logger.info('Keep-alive service is not running');
       return;
     }
     
     clearInterval(this.interval);
     this.isRunning = false;
-    console.log('Keep-alive service stopped');
+    logger.info('Keep-alive service stopped');
   }
 
   /**
@@ -61,7 +62,7 @@ class KeepAliveService {
   async ping() {
     try {
       const timestamp = new Date().toISOString();
-      console.log(`[${timestamp}] Pinging ${this.pingUrl}...`);
+      logger.debug('Pinging', { url: this.pingUrl });
       
       const startTime = Date.now();
       const response = await axios.get(this.pingUrl, { timeout: 10000 });
@@ -78,7 +79,8 @@ class KeepAliveService {
       };
       
       this.addLog(logEntry);
-      console.log(`[${timestamp}] Ping successful - Status: ${status}, Response time: ${responseTime}ms`);
+      keepAlivePings.inc({ outcome: 'success' });
+      logger.info('Keep-alive ping succeeded', { url: this.pingUrl, status, response_time_ms: responseTime });
     } catch (error) {
       const timestamp = new Date().toISOString();
       const errorMessage = error.response ? 
@@ -94,7 +96,8 @@ class KeepAliveService {
       };
       
       this.addLog(logEntry);
-      console.error(`[${timestamp}] Ping failed - ${errorMessage}`);
+      keepAlivePings.inc({ outcome: 'failure' });
+      logger.error(`Keep-alive ping failed - ${errorMessage}`, { url: this.pingUrl, error });
     }
   }
 
@@ -0,0 +1,70 @@
+const {
+  KEY_ROLES,
+  SCOPES,
+  DEFAULT_KEY_SCOPES
+} = require('../config/constants');
+const { resolveModel } = require('../services/providers');
+
+/**
+ * Get the effective scopes of a key row
+ * Keys without an explicit scope list get the defaults; the admin scope follows the admin role only
+ * @param {Object} key - Key row from the database
+ * @returns {Array<string>} - Scopes
+ */
+const resolveScopes = (key) => {
+  const scopes = new Set(key.scopes || DEFAULT_KEY_SCOPES);
+  
+  if (key.role === KEY_ROLES.ADMIN) {
+    scopes.add(SCOPES.ADMIN);
+  } else {
+    scopes.delete(SCOPES.ADMIN);
+  }
+  
+  return Array.from(scopes);
+};
+
+/**
+ * Check a value against optional allow and deny lists
+ * @param {Array<string>} names - Names the value can be matched by
+ * @param {Array<string>|null} allowed - Allowlist (no restriction when null)
+ * @param {Array<string>|null} denied - Denylist (no restriction when null)
+ * @returns {boolean} - Whether the value is allowed
+ */
+const isListed = (names, allowed, denied) => {
+  if (denied && names.some(name => denied.includes(name))) {
+    return false;
+  }
+  
+  if (allowed && !names.some(name => allowed.includes(name))) {
+    return false;
+  }
+  
+  return true;
+};
+
+/**
+ * Check whether a model is allowed by a key's model lists
+ * The model and the list entries are compared by native name, so an OpenAI alias and its
+ * native model are always treated as the same model (denying dall-e-3 also denies dalle)
+ * @param {Object} policy - { allowedModels, deniedModels } (e.g. req.apiKey)
+ * @param {string} model - Requested or native model name
+ * @returns {boolean} - Whether the model is allowed
+ */
+const isModelAllowed = (policy, model) => {
+  const resolveList = (list) => (list ? list.map(resolveModel) : null);
+  return isListed([resolveModel(model)], resolveList(policy.allowedModels), resolveList(policy.deniedModels));
+};
+
+/**
+ * Check whether a size is allowed by a key's size lists
+ * @param {Object} policy - { allowedSizes, deniedSizes } (e.g. req.apiKey)
+ * @param {string} size - Requested size
+ * @returns {boolean} - Whether the size is allowed
+ */
+const isSizeAllowed = (policy, size) => isListed([size], policy.allowedSizes, policy.deniedSizes);
+
+module.exports = {
+  resolveScopes,
+  isModelAllowed,
+  isSizeAllowed
+};
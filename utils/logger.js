@@ -0,0 +1,155 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOGGING_CONFIG } = require('../config/constants');
+
+// Log levels by severity
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+const API_KEY_PATTERN = /feather-ops-apikey-[A-Za-z0-9]+/g;
+
+// Fields that hold credentials, redacted with the keys option
+const KEY_FIELDS = ['authorization', 'api_key', 'apiKey', 'key_hash', 'secret'];
+
+// Nested objects deeper than this are summarized, which also stops reference cycles
+const MAX_DEPTH = 5;
+
+// Context of the request or job being handled ({ request_id, key_id, model, provider, job_id }),
+// added to every line logged while handling it
+const contextStorage = new AsyncLocalStorage();
+
+// Level and redaction settings, read from config and the environment on first use
+let settings = null;
+
+/**
+ * Get the logger settings
+ * @returns {Object} - { minLevel, redactPrompts, redactKeys }
+ */
+const getSettings = () => {
+  if (settings) {
+    return settings;
+  }
+  
+  const level = (process.env.LOG_LEVEL || LOGGING_CONFIG.level).toLowerCase();
+  const redact = process.env.LOG_REDACT !== undefined
+    ? process.env.LOG_REDACT.split(',').map(item => item.trim())
+    : LOGGING_CONFIG.redact;
+  
+  settings = {
+    minLevel: LEVELS[level] ?? LEVELS[LOGGING_CONFIG.level],
+    redactPrompts: redact.includes('prompts'),
+    redactKeys: redact.includes('keys')
+  };
+  
+  return settings;
+};
+
+/**
+ * Turn a value into plain JSON-safe data, redacting prompts and keys as configured
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} - Serializable value
+ */
+const serialize = (value, depth = 0) => {
+  const { redactPrompts, redactKeys } = getSettings();
+  
+  if (typeof value === 'string') {
+    return redactKeys ? value.replace(API_KEY_PATTERN, `feather-ops-apikey-${REDACTED}`) : value;
+  }
+  
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+  
+  // Errors only keep what helps debugging (axios errors carry whole requests otherwise)
+  if (value instanceof Error) {
+    return serialize({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      status: value.statusCode ?? (value.response ? value.response.status : undefined),
+      stack: value.stack
+    }, depth + 1);
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(item => serialize(item, depth + 1));
+  }
+  
+  return Object.entries(value).reduce((fields, [name, field]) => {
+    if (field !== undefined && field !== null && ((redactPrompts && name === 'prompt') || (redactKeys && KEY_FIELDS.includes(name)))) {
+      fields[name] = REDACTED;
+    } else if (field !== undefined) {
+      fields[name] = serialize(field, depth + 1);
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Write a log line as JSON (errors to stderr, everything else to stdout)
+ * @param {string} level - Log level
+ * @param {string} message - What happened
+ * @param {Object} [fields] - Extra data, e.g. { error }
+ */
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < getSettings().minLevel) {
+    return;
+  }
+  
+  const entry = serialize({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...contextStorage.getStore(),
+    ...fields
+  });
+  
+  (level === 'error' ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Run a function with fields added to the log context
+ * The context is inherited by everything the function starts, including async work
+ * @param {Object} fields - Context fields (e.g. { request_id } or { model, provider })
+ * @param {Function} fn - Function to run
+ * @returns {*} - What the function returns
+ */
+const runWithLogContext = (fields, fn) => contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+
+/**
+ * Add fields to the current log context, e.g. the key ID once a request is authenticated
+ * @param {Object} fields - Context fields
+ */
+const setLogContext = (fields) => {
+  const context = contextStorage.getStore();
+  if (context) {
+    Object.assign(context, fields);
+  }
+};
+
+/**
+ * Get the ID of the request being handled
+ * @returns {string|null} - Request ID
+ */
+const getRequestId = () => {
+  const context = contextStorage.getStore();
+  return (context && context.request_id) || null;
+};
+
+module.exports = {
+  logger,
+  runWithLogContext,
+  setLogContext,
+  getRequestId
+};
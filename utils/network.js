@@ -0,0 +1,108 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Address ranges outgoing requests on behalf of clients may not reach: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Host names that always point at the local machine or network
+const LOCAL_HOSTNAME = /(^|\.)(localhost|local|internal)$/i;
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - Whether requests to it must be refused
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs normalize it) is checked as the IPv4 address it wraps
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check whether a URL's host is local without resolving it (IP literals and local names)
+ * @param {string} url - Absolute URL
+ * @returns {boolean} - Whether the host is known to be local
+ */
+const hasPrivateHost = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return net.isIP(hostname) ? isPrivateAddress(hostname) : LOCAL_HOSTNAME.test(hostname);
+};
+
+/**
+ * DNS lookup refusing private addresses, used when connecting so a host can't resolve
+ * to a public address when checked and a private one when connected to
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that a URL only points at public addresses
+ * @param {string} url - Absolute URL
+ * @returns {Promise<void>} - Rejects when the host is, or resolves to, a private address
+ */
+const assertPublicUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  
+  if (hasPrivateHost(url)) {
+    throw new Error(`${hostname} is a private address`);
+  }
+  
+  if (!net.isIP(hostname)) {
+    await new Promise((resolve, reject) => {
+      publicLookup(hostname, {}, error => (error ? reject(error) : resolve()));
+    });
+  }
+};
+
+// Agents for requests that must only reach public addresses (pass as httpAgent and httpsAgent to axios)
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+module.exports = {
+  isPrivateAddress,
+  hasPrivateHost,
+  assertPublicUrl,
+  publicAgents
+};
@@ -1,3 +1,5 @@
+const { getRequestId } = require('./logger');
+
 /**
  * Format an image generation response to match OpenAI's format
  * @param {Array} imageUrls - Array of image URLs
@@ -26,6 +28,7 @@ const formatImageResponse = (imageUrls, responseFormat = 'url') => {
 
 /**
  * Format an error response to match OpenAI's format
+ * The ID of the request being handled is included, so support tickets can be matched to logs
  * @param {string} message - Error message
  * @param {string} type - Error type
  * @param {string} param - Parameter that caused the error
@@ -33,17 +36,61 @@ const formatImageResponse = (imageUrls, responseFormat = 'url') => {
  * @returns {Object} OpenAI-compatible error object
  */
 const formatErrorResponse = (message, type = 'server_error', param = null, code = null) => {
+  const requestId = getRequestId();
+  
   return {
     error: {
       message,
       type,
       param,
-      code
+      code,
+      ...(requestId && { request_id: requestId })
     }
   };
 };
 
+/**
+ * Format an async generation job for API responses
+ * @param {Object} job - Job row from the database
+ * @returns {Object} Job status object
+ */
+const formatJobResponse = (job) => {
+  const toUnix = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : null);
+  
+  return {
+    id: job.id,
+    object: 'image.generation.job',
+    status: job.status,
+    created: toUnix(job.created_at),
+    updated: toUnix(job.updated_at),
+    result: job.result || null,
+    error: job.error || null
+  };
+};
+
+/**
+ * Format a stored image for API responses
+ * @param {Object} image - Image row from the database
+ * @param {Object} [signed] - { url, expiresIn } when a signed URL was issued
+ * @returns {Object} Image object
+ */
+const formatStoredImage = (image, signed = null) => ({
+  id: image.id,
+  object: 'image',
+  created: Math.floor(new Date(image.created_at).getTime() / 1000),
+  kind: image.kind || 'output',
+  model: image.model || null,
+  prompt: image.prompt || null,
+  source_image_id: image.source_image_id || null,
+  ...(signed && {
+    url: signed.url,
+    expires_at: Math.floor(Date.now() / 1000) + signed.expiresIn
+  })
+});
+
 module.exports = {
   formatImageResponse,
-  formatErrorResponse
+  formatErrorResponse,
+  formatJobResponse,
+  formatStoredImage
 }; 
\ No newline at end of file